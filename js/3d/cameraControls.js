@@ -0,0 +1,342 @@
+/**
+ * 3D Camera Controls
+ * Tweens the camera between view modes, adds orbit/pan/zoom for the overhead and
+ * perspective views (mouse and touch), and can follow the generator's current cell
+ */
+
+class MazeCameraControls {
+    /**
+     * @param {MazeScene3D} mazeScene - Scene providing camera, view mode and frame callbacks
+     */
+    constructor(mazeScene) {
+        this.mazeScene = mazeScene;
+        this.camera = mazeScene.camera;
+        this.config = window.MazeConfig.threeD;
+
+        // Orbit state around a point on the floor
+        this.target = new THREE.Vector3();
+        this.spherical = new THREE.Spherical();
+        this.offset = new THREE.Vector3();
+
+        // Active tween, if any
+        this.transition = null;
+        this.isTransitioning = false;
+
+        // Pointer tracking for drag and pinch gestures
+        this.pointers = new Map();
+        this.dragMode = null;
+        this.pinchDistance = null;
+
+        this.followGenerator = false;
+        this.followGoal = null;
+        this.followToggle = document.getElementById('followGeneratorToggle');
+
+        this.syncFromCamera(this.target);
+        this.setupEventListeners();
+        this.mazeScene.onFrame(delta => this.update(delta));
+    }
+
+    /**
+     * Orbit controls only apply outside first-person mode
+     * @returns {boolean} True if orbit, pan and zoom are available
+     */
+    isOrbitEnabled() {
+        return this.mazeScene.viewMode !== 'first-person' && !this.isTransitioning;
+    }
+
+    /**
+     * Tween the camera to the pose produced by a view change
+     * The callback snaps the camera to its final pose; the tween then plays from the old pose to it
+     * @param {Function} applyPose - Moves the camera to the destination pose
+     * @param {THREE.Vector3|null} target - Orbit target of the destination, or null for first-person
+     */
+    transitionTo(applyPose, target) {
+        const fromPosition = this.camera.position.clone();
+        const fromQuaternion = this.camera.quaternion.clone();
+
+        applyPose();
+
+        this.transition = {
+            fromPosition,
+            fromQuaternion,
+            toPosition: this.camera.position.clone(),
+            toQuaternion: this.camera.quaternion.clone(),
+            target: target ? target.clone() : null,
+            elapsed: 0
+        };
+        this.isTransitioning = true;
+
+        this.camera.position.copy(fromPosition);
+        this.camera.quaternion.copy(fromQuaternion);
+    }
+
+    /**
+     * Snap the camera to a view change without tweening
+     * @param {Function} applyPose - Moves the camera to the destination pose
+     * @param {THREE.Vector3|null} target - Orbit target of the destination, or null for first-person
+     */
+    jumpTo(applyPose, target) {
+        this.transition = null;
+        this.isTransitioning = false;
+        applyPose();
+        if (target) {
+            this.syncFromCamera(target);
+        }
+    }
+
+    /**
+     * Advance the tween, follow camera, and orbit for one frame
+     * @param {number} delta - Seconds since the last frame
+     */
+    update(delta) {
+        if (this.transition) {
+            this.updateTransition(delta);
+            return;
+        }
+
+        if (this.followGenerator && this.followGoal && this.isOrbitEnabled() && !this.dragMode) {
+            // Exponential smoothing keeps the chase frame-rate independent
+            const t = 1 - Math.exp(-this.config.followSmoothing * delta);
+            this.target.x = window.MazeUtils.lerp(this.target.x, this.followGoal.x, t);
+            this.target.z = window.MazeUtils.lerp(this.target.z, this.followGoal.z, t);
+            this.applyOrbit();
+        }
+    }
+
+    /**
+     * Step the active tween
+     * @param {number} delta - Seconds since the last frame
+     */
+    updateTransition(delta) {
+        const transition = this.transition;
+        transition.elapsed += delta * 1000;
+
+        const progress = window.MazeUtils.clamp(transition.elapsed / this.config.cameraTransitionDuration, 0, 1);
+        const eased = window.MazeUtils.easeInOutCubic(progress);
+        const lerp = window.MazeUtils.lerp.bind(window.MazeUtils);
+
+        this.camera.position.set(
+            lerp(transition.fromPosition.x, transition.toPosition.x, eased),
+            lerp(transition.fromPosition.y, transition.toPosition.y, eased),
+            lerp(transition.fromPosition.z, transition.toPosition.z, eased)
+        );
+        this.camera.quaternion.copy(transition.fromQuaternion).slerp(transition.toQuaternion, eased);
+
+        if (progress >= 1) {
+            this.transition = null;
+            this.isTransitioning = false;
+            if (transition.target) {
+                this.syncFromCamera(transition.target);
+            }
+        }
+    }
+
+    /**
+     * Derive the orbit state from where the camera currently is
+     * @param {THREE.Vector3} target - Point the camera is looking at
+     */
+    syncFromCamera(target) {
+        this.target.copy(target);
+        this.offset.copy(this.camera.position).sub(this.target);
+        this.spherical.setFromVector3(this.offset);
+        this.clampOrbit();
+    }
+
+    /**
+     * Keep the orbit within zoom limits and above the floor
+     */
+    clampOrbit() {
+        const maxDistance = Math.max(this.config.cameraDistance * 2, this.config.minCameraDistance);
+        this.spherical.radius = window.MazeUtils.clamp(this.spherical.radius, this.config.minCameraDistance, maxDistance);
+
+        // The lowest allowed polar angle still leaves the camera minCameraHeight above the target
+        const floorLimit = Math.acos(Math.min(this.config.minCameraHeight / this.spherical.radius, 1));
+        this.spherical.phi = window.MazeUtils.clamp(this.spherical.phi, 0.01, Math.min(floorLimit, Math.PI / 2 - 0.01));
+    }
+
+    /**
+     * Place the camera from the orbit state
+     */
+    applyOrbit() {
+        this.clampOrbit();
+        this.offset.setFromSpherical(this.spherical);
+        this.camera.position.copy(this.target).add(this.offset);
+        this.camera.lookAt(this.target);
+    }
+
+    /**
+     * Rotate around the target
+     * @param {number} dx - Horizontal drag in pixels
+     * @param {number} dy - Vertical drag in pixels
+     */
+    orbit(dx, dy) {
+        this.spherical.theta -= dx * this.config.orbitSensitivity;
+        this.spherical.phi -= dy * this.config.orbitSensitivity;
+        this.applyOrbit();
+    }
+
+    /**
+     * Slide the target across the floor plane
+     * @param {number} dx - Horizontal drag in pixels
+     * @param {number} dy - Vertical drag in pixels
+     */
+    pan(dx, dy) {
+        const scale = this.spherical.radius * this.config.panSensitivity;
+        const sin = Math.sin(this.spherical.theta);
+        const cos = Math.cos(this.spherical.theta);
+
+        // Right and forward directions of the camera, flattened onto the floor
+        this.target.x += (-cos * dx - sin * dy) * scale;
+        this.target.z += (sin * dx - cos * dy) * scale;
+
+        // Manual panning takes over from the follow camera
+        this.followGoal = null;
+        this.applyOrbit();
+    }
+
+    /**
+     * Move toward or away from the target
+     * @param {number} factor - Distance multiplier (below 1 zooms in)
+     */
+    zoom(factor) {
+        this.spherical.radius *= factor;
+        this.applyOrbit();
+    }
+
+    /**
+     * Turn the follow-the-generator camera on or off
+     * @param {boolean} enabled - Desired state
+     */
+    setFollowGenerator(enabled) {
+        this.followGenerator = enabled;
+        if (!enabled) {
+            this.followGoal = null;
+        }
+        if (this.followToggle) {
+            this.followToggle.checked = enabled;
+        }
+    }
+
+    /**
+     * Handle a pointer press on the canvas
+     * @param {PointerEvent} event - Pointer event
+     */
+    onPointerDown(event) {
+        if (!this.isOrbitEnabled()) return;
+
+        this.pointers.set(event.pointerId, { x: event.clientX, y: event.clientY });
+        event.target.setPointerCapture(event.pointerId);
+
+        if (this.pointers.size === 2) {
+            this.dragMode = 'pinch';
+            this.pinchDistance = this.getPinchDistance();
+        } else {
+            this.dragMode = event.button === 2 || event.shiftKey ? 'pan' : 'orbit';
+        }
+    }
+
+    /**
+     * Handle pointer movement while dragging
+     * @param {PointerEvent} event - Pointer event
+     */
+    onPointerMove(event) {
+        const previous = this.pointers.get(event.pointerId);
+        if (!previous || !this.isOrbitEnabled()) return;
+
+        const dx = event.clientX - previous.x;
+        const dy = event.clientY - previous.y;
+
+        if (this.dragMode === 'pinch') {
+            // Two fingers: spread to zoom, move together to pan (each finger contributes half)
+            this.pointers.set(event.pointerId, { x: event.clientX, y: event.clientY });
+            const distance = this.getPinchDistance();
+            if (this.pinchDistance > 0 && distance > 0) {
+                this.zoom(this.pinchDistance / distance);
+            }
+            this.pinchDistance = distance;
+            this.pan(dx / 2, dy / 2);
+            return;
+        }
+
+        this.pointers.set(event.pointerId, { x: event.clientX, y: event.clientY });
+        if (this.dragMode === 'pan') {
+            this.pan(dx, dy);
+        } else if (this.dragMode === 'orbit') {
+            this.orbit(dx, dy);
+        }
+    }
+
+    /**
+     * Handle a pointer release
+     * @param {PointerEvent} event - Pointer event
+     */
+    onPointerUp(event) {
+        this.pointers.delete(event.pointerId);
+
+        if (this.pointers.size === 1) {
+            // Lifting one finger of a pinch continues as a one-finger orbit
+            this.dragMode = 'orbit';
+            this.pinchDistance = null;
+        } else if (this.pointers.size === 0) {
+            this.dragMode = null;
+            this.pinchDistance = null;
+        }
+    }
+
+    /**
+     * Distance between the two tracked pointers
+     * @returns {number} Distance in pixels
+     */
+    getPinchDistance() {
+        const [a, b] = [...this.pointers.values()];
+        return Math.hypot(a.x - b.x, a.y - b.y);
+    }
+
+    /**
+     * Setup event listeners
+     */
+    setupEventListeners() {
+        const canvas = this.mazeScene.renderer.domElement;
+        canvas.style.touchAction = 'none';
+
+        canvas.addEventListener('pointerdown', event => this.onPointerDown(event));
+        canvas.addEventListener('pointermove', event => this.onPointerMove(event));
+        canvas.addEventListener('pointerup', event => this.onPointerUp(event));
+        canvas.addEventListener('pointercancel', event => this.onPointerUp(event));
+
+        canvas.addEventListener('wheel', (event) => {
+            if (!this.isOrbitEnabled()) return;
+            event.preventDefault();
+            this.zoom(Math.exp(event.deltaY * this.config.zoomSensitivity));
+        }, { passive: false });
+
+        // Right-drag pans, so keep the browser menu out of the way
+        canvas.addEventListener('contextmenu', (event) => {
+            if (this.isOrbitEnabled()) {
+                event.preventDefault();
+            }
+        });
+
+        if (this.followToggle) {
+            this.followToggle.addEventListener('change', () => {
+                this.setFollowGenerator(this.followToggle.checked);
+            });
+        }
+
+        window.EventBus.on(window.MazeConfig.events.MAZE_GENERATION_PROGRESS, (data) => {
+            const current = data.currentState && data.currentState.current;
+            if (!this.followGenerator || !current) return;
+
+            // The scene may not have this maze's transform yet, but cell centers do not depend on size
+            const world = window.MazeUtils.mazeToWorld(current.x, current.y, this.config);
+            this.followGoal = { x: world.x, z: world.z };
+        });
+
+        window.EventBus.on(window.MazeConfig.events.MAZE_GENERATION_COMPLETE, () => {
+            this.followGoal = null;
+        });
+    }
+}
+
+// Register globally
+window.MazeCameraControls = MazeCameraControls;
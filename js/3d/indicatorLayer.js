@@ -0,0 +1,142 @@
+/**
+ * Instanced Path Indicator Layer
+ * Draws one indicator per maze cell through a single InstancedMesh
+ * Cells are added and removed individually, so a generation step only touches what changed
+ */
+
+class PathIndicatorLayer {
+    /**
+     * @param {THREE.BufferGeometry} geometry - Geometry shared by every indicator
+     * @param {THREE.Material} material - Material shared by every indicator
+     * @param {number} capacity - Maximum indicators (normally width * height)
+     * @param {Function} positionOf - Maps a cell index to a THREE.Vector3 world position
+     */
+    constructor(geometry, material, capacity, positionOf) {
+        this.mesh = new THREE.InstancedMesh(geometry, material, capacity);
+        this.mesh.count = 0;
+        this.mesh.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
+        // Bounds come from the single source geometry, not the instances, so culling would be wrong
+        this.mesh.frustumCulled = false;
+
+        this.positionOf = positionOf;
+        this.slotOf = new Int32Array(capacity).fill(-1);
+        this.cellAt = new Int32Array(capacity);
+        this.matrix = new THREE.Matrix4();
+        this.color = new THREE.Color();
+    }
+
+    /**
+     * Check whether a cell currently has an indicator
+     * @param {number} cellIndex - Cell index (y * width + x)
+     * @returns {boolean} True if shown
+     */
+    has(cellIndex) {
+        return this.slotOf[cellIndex] !== -1;
+    }
+
+    /**
+     * Show an indicator on a cell
+     * @param {number} cellIndex - Cell index
+     */
+    add(cellIndex) {
+        if (this.has(cellIndex)) return;
+
+        const slot = this.mesh.count++;
+        this.slotOf[cellIndex] = slot;
+        this.cellAt[slot] = cellIndex;
+
+        const position = this.positionOf(cellIndex);
+        this.matrix.makeTranslation(position.x, position.y, position.z);
+        this.mesh.setMatrixAt(slot, this.matrix);
+        this.mesh.instanceMatrix.needsUpdate = true;
+    }
+
+    /**
+     * Hide the indicator on a cell
+     * The last instance is moved into the freed slot so the visible range stays packed
+     * @param {number} cellIndex - Cell index
+     */
+    remove(cellIndex) {
+        const slot = this.slotOf[cellIndex];
+        if (slot === -1) return;
+
+        const last = --this.mesh.count;
+        if (slot !== last) {
+            const movedCell = this.cellAt[last];
+            this.mesh.getMatrixAt(last, this.matrix);
+            this.mesh.setMatrixAt(slot, this.matrix);
+            if (this.mesh.instanceColor) {
+                this.mesh.getColorAt(last, this.color);
+                this.mesh.setColorAt(slot, this.color);
+                this.mesh.instanceColor.needsUpdate = true;
+            }
+            this.slotOf[movedCell] = slot;
+            this.cellAt[slot] = movedCell;
+        }
+
+        this.slotOf[cellIndex] = -1;
+        this.mesh.instanceMatrix.needsUpdate = true;
+    }
+
+    /**
+     * Show or hide the indicator on a cell
+     * @param {number} cellIndex - Cell index
+     * @param {boolean} visible - Desired state
+     */
+    toggle(cellIndex, visible) {
+        if (visible) {
+            this.add(cellIndex);
+        } else {
+            this.remove(cellIndex);
+        }
+    }
+
+    /**
+     * Allocate per-instance colours for every slot up front
+     * setColorAt would otherwise size the buffer to the instances visible at that moment
+     */
+    enableColors() {
+        if (this.mesh.instanceColor) return;
+
+        this.mesh.instanceColor = new THREE.InstancedBufferAttribute(new Float32Array(this.slotOf.length * 3), 3);
+        this.mesh.instanceColor.setUsage(THREE.DynamicDrawUsage);
+    }
+
+    /**
+     * Tint the indicator on a cell
+     * @param {number} cellIndex - Cell index
+     * @param {THREE.Color|number|string} color - Tint colour
+     */
+    setColor(cellIndex, color) {
+        const slot = this.slotOf[cellIndex];
+        if (slot === -1) return;
+
+        this.mesh.setColorAt(slot, this.color.set(color));
+        this.mesh.instanceColor.needsUpdate = true;
+    }
+
+    /**
+     * Hide every indicator
+     */
+    clear() {
+        for (let slot = 0; slot < this.mesh.count; slot++) {
+            this.slotOf[this.cellAt[slot]] = -1;
+        }
+        this.mesh.count = 0;
+        this.mesh.instanceMatrix.needsUpdate = true;
+    }
+
+    /**
+     * Release GPU resources
+     */
+    dispose() {
+        this.mesh.geometry.dispose();
+        this.mesh.material.dispose();
+        if (this.mesh.dispose) {
+            this.mesh.dispose();
+        }
+    }
+}
+
+// Register globally
+window.PathIndicatorLayer = PathIndicatorLayer;
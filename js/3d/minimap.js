@@ -0,0 +1,326 @@
+/**
+ * 3D View Minimap Overlay
+ * Draws a small 2D map in a corner of the 3D view with the camera position and heading,
+ * fog-of-war over cells the player has not walked near, and optionally the last solver path
+ */
+
+class MazeMinimap {
+    /**
+     * @param {MazeScene3D} mazeScene - Scene providing camera, maze and frame callbacks
+     * @param {HTMLElement} container - Element the overlay is positioned in
+     */
+    constructor(mazeScene, container) {
+        this.mazeScene = mazeScene;
+        this.container = container;
+        this.config = window.MazeConfig.ui.minimap;
+        this.colors = window.MazeConfig.colors;
+
+        this.maze = null;
+        this.explored = null;
+        this.solverPath = [];
+        this.size = this.config.size;
+        this.isVisible = true;
+        this.showSolverPath = true;
+        this.needsRedraw = true;
+        this.lastCell = null;
+        this.lastHeading = null;
+        this.lastViewMode = null;
+        this.lastProgressRedraw = 0;
+        this.direction = new THREE.Vector3();
+
+        this.createElements();
+        this.setupEventListeners();
+        this.mazeScene.onFrame(() => this.update());
+    }
+
+    /**
+     * Build the overlay: a canvas plus toggle and resize buttons
+     */
+    createElements() {
+        this.element = document.createElement('div');
+        this.element.className = 'minimap';
+        Object.assign(this.element.style, {
+            position: 'absolute',
+            top: '10px',
+            right: '10px',
+            zIndex: 10,
+            background: this.colors.border,
+            padding: '4px',
+            borderRadius: '4px'
+        });
+
+        const toolbar = document.createElement('div');
+        toolbar.className = 'minimap-toolbar';
+        Object.assign(toolbar.style, {
+            display: 'flex',
+            gap: '4px',
+            justifyContent: 'flex-end',
+            marginBottom: '4px'
+        });
+
+        const buttons = [
+            { label: '🧭', title: 'Toggle solver path', action: () => this.toggleSolverPath() },
+            { label: '−', title: 'Smaller minimap', action: () => this.resize(-this.config.sizeStep) },
+            { label: '+', title: 'Larger minimap', action: () => this.resize(this.config.sizeStep) },
+            { label: '×', title: 'Hide minimap (M)', action: () => this.setVisible(false) }
+        ];
+        buttons.forEach(({ label, title, action }) => {
+            const button = document.createElement('button');
+            button.className = 'minimap-btn';
+            button.textContent = label;
+            button.title = title;
+            button.addEventListener('click', action);
+            toolbar.appendChild(button);
+        });
+
+        this.canvas = document.createElement('canvas');
+        this.canvas.className = 'minimap-canvas';
+        this.canvas.style.display = 'block';
+        this.ctx = this.canvas.getContext('2d');
+
+        this.element.appendChild(toolbar);
+        this.element.appendChild(this.canvas);
+
+        // The overlay is absolutely positioned inside the 3D container
+        if (getComputedStyle(this.container).position === 'static') {
+            this.container.style.position = 'relative';
+        }
+        this.container.appendChild(this.element);
+        this.applySize();
+    }
+
+    /**
+     * Start tracking a new maze with everything hidden under fog
+     * @param {MazeGrid} maze - Maze to map
+     */
+    setMaze(maze) {
+        this.maze = maze;
+        this.explored = maze ? new Uint8Array(maze.width * maze.height) : null;
+        this.solverPath = [];
+        this.lastCell = null;
+        this.needsRedraw = true;
+    }
+
+    /**
+     * Per-frame update: follow the camera, reveal nearby cells, redraw if anything changed
+     */
+    update() {
+        if (this.mazeScene.maze !== this.maze) {
+            this.setMaze(this.mazeScene.maze);
+        }
+        if (!this.isVisible || !this.maze) return;
+
+        if (this.mazeScene.viewMode !== this.lastViewMode) {
+            this.lastViewMode = this.mazeScene.viewMode;
+            this.needsRedraw = true;
+        }
+
+        const camera = this.mazeScene.camera;
+        const cell = this.mazeScene.transform.worldToCell(camera.position.x, camera.position.z);
+        camera.getWorldDirection(this.direction);
+        const heading = Math.atan2(this.direction.x, this.direction.z);
+
+        const cellChanged = !this.lastCell || cell.x !== this.lastCell.x || cell.y !== this.lastCell.y;
+        if (cellChanged) {
+            this.lastCell = cell;
+            if (this.isFogged()) {
+                this.reveal(cell);
+            }
+            this.needsRedraw = true;
+        }
+        if (this.lastHeading === null || Math.abs(heading - this.lastHeading) > 0.02) {
+            this.lastHeading = heading;
+            this.needsRedraw = true;
+        }
+
+        if (this.needsRedraw) {
+            this.draw();
+            this.needsRedraw = false;
+        }
+    }
+
+    /**
+     * Fog only applies while walking; the overhead views show the whole maze
+     * @returns {boolean} True if unexplored cells should be hidden
+     */
+    isFogged() {
+        return this.config.fogOfWar && this.mazeScene.viewMode === 'first-person';
+    }
+
+    /**
+     * Clear fog around a cell
+     * @param {Object} cell - Cell the camera is in
+     */
+    reveal(cell) {
+        if (!this.maze.inBounds(cell.x, cell.y)) return;
+
+        const radius = this.config.revealRadius;
+        for (let dy = -radius; dy <= radius; dy++) {
+            for (let dx = -radius; dx <= radius; dx++) {
+                const x = cell.x + dx;
+                const y = cell.y + dy;
+                if (this.maze.inBounds(x, y)) {
+                    this.explored[y * this.maze.width + x] = 1;
+                }
+            }
+        }
+    }
+
+    /**
+     * Render the map, solver path, and camera marker
+     */
+    draw() {
+        const ctx = this.ctx;
+        const maze = this.maze;
+        const cellSize = this.size / Math.max(maze.width, maze.height);
+        const fogged = this.isFogged();
+
+        ctx.fillStyle = this.colors.background;
+        ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+
+        for (let y = 0; y < maze.height; y++) {
+            for (let x = 0; x < maze.width; x++) {
+                const hidden = fogged && !this.explored[y * maze.width + x];
+                if (hidden) {
+                    ctx.fillStyle = this.config.fogColor;
+                } else {
+                    ctx.fillStyle = maze.isWall(x, y) ? this.colors.wall : this.colors.path;
+                }
+                ctx.fillRect(x * cellSize, y * cellSize, cellSize, cellSize);
+            }
+        }
+
+        if (this.showSolverPath && this.solverPath.length > 1) {
+            ctx.strokeStyle = this.colors.solutionPath;
+            ctx.lineWidth = Math.max(1, cellSize / 3);
+            ctx.beginPath();
+            this.solverPath.forEach((cell, index) => {
+                const px = (cell.x + 0.5) * cellSize;
+                const py = (cell.y + 0.5) * cellSize;
+                if (index === 0) {
+                    ctx.moveTo(px, py);
+                } else {
+                    ctx.lineTo(px, py);
+                }
+            });
+            ctx.stroke();
+        }
+
+        if (this.lastCell && maze.inBounds(this.lastCell.x, this.lastCell.y)) {
+            this.drawCameraMarker(cellSize);
+        }
+    }
+
+    /**
+     * Draw the camera as an arrow pointing along its heading
+     * @param {number} cellSize - Minimap pixels per cell
+     */
+    drawCameraMarker(cellSize) {
+        const ctx = this.ctx;
+        const cx = (this.lastCell.x + 0.5) * cellSize;
+        const cy = (this.lastCell.y + 0.5) * cellSize;
+        const length = Math.max(cellSize * 1.2, 6);
+
+        ctx.save();
+        ctx.translate(cx, cy);
+        // Canvas Y grows downward, matching world Z
+        ctx.rotate(-this.lastHeading + Math.PI);
+        ctx.fillStyle = this.colors.current;
+        ctx.beginPath();
+        ctx.moveTo(0, -length);
+        ctx.lineTo(length * 0.6, length * 0.6);
+        ctx.lineTo(-length * 0.6, length * 0.6);
+        ctx.closePath();
+        ctx.fill();
+        ctx.restore();
+    }
+
+    /**
+     * Change the minimap size within the configured limits
+     * @param {number} delta - Pixels to add (negative to shrink)
+     */
+    resize(delta) {
+        this.size = window.MazeUtils.clamp(this.size + delta, this.config.minSize, this.config.maxSize);
+        this.applySize();
+    }
+
+    /**
+     * Apply the current size to the canvas
+     */
+    applySize() {
+        this.canvas.width = this.size;
+        this.canvas.height = this.size;
+        this.needsRedraw = true;
+    }
+
+    /**
+     * Show or hide the overlay
+     * @param {boolean} visible - Desired visibility
+     */
+    setVisible(visible) {
+        this.isVisible = visible;
+        this.element.style.display = visible ? 'block' : 'none';
+        this.needsRedraw = true;
+    }
+
+    /**
+     * Show or hide the solver path
+     */
+    toggleSolverPath() {
+        this.showSolverPath = !this.showSolverPath;
+        this.needsRedraw = true;
+    }
+
+    /**
+     * Setup event listeners
+     */
+    setupEventListeners() {
+        window.EventBus.on(window.MazeConfig.events.SOLVER_COMPLETE, (data) => {
+            this.solverPath = (data.stats && data.stats.path) || [];
+            this.needsRedraw = true;
+        });
+
+        // Edits keep the same grid object, so setMaze() would not notice them
+        window.EventBus.on(window.MazeConfig.events.MAZE_EDITED, () => {
+            this.needsRedraw = true;
+        });
+
+        // The scene switches to a run's grid when it starts and keeps it through completion,
+        // so carving only shows if progress redraws the map; a whole-map redraw per step is too much
+        window.EventBus.on(window.MazeConfig.events.MAZE_GENERATION_PROGRESS, () => {
+            const now = performance.now();
+            if (now - this.lastProgressRedraw < window.MazeConfig.ui.progressUpdateInterval) return;
+            this.lastProgressRedraw = now;
+            this.needsRedraw = true;
+        });
+
+        window.EventBus.on(window.MazeConfig.events.MAZE_GENERATION_COMPLETE, () => {
+            this.needsRedraw = true;
+        });
+
+        // A fresh walk starts with the whole maze under fog again
+        window.EventBus.on(window.MazeConfig.events.PLAYER_SPAWNED, () => {
+            if (!this.maze) return;
+            this.explored.fill(0);
+            this.lastCell = null;
+            this.needsRedraw = true;
+        });
+
+        document.addEventListener('keydown', (event) => {
+            if (event.code !== 'KeyM' || event.target instanceof HTMLInputElement) return;
+            this.setVisible(!this.isVisible);
+        });
+    }
+
+    /**
+     * Remove the overlay from the page
+     */
+    dispose() {
+        if (this.element.parentNode) {
+            this.element.parentNode.removeChild(this.element);
+        }
+    }
+}
+
+// Register globally
+window.MazeMinimap = MazeMinimap;
@@ -0,0 +1,267 @@
+/**
+ * First-Person Player Controller
+ * Turns the first-person camera into a walkable player: pointer-lock mouse look,
+ * WASD movement with wall collision, a timer and step counter, and an exit goal
+ */
+
+class FirstPersonPlayer {
+    /**
+     * @param {MazeScene3D} mazeScene - Scene providing camera, maze and frame callbacks
+     */
+    constructor(mazeScene) {
+        this.mazeScene = mazeScene;
+        this.config = window.MazeConfig.threeD;
+        this.isActive = false;
+        this.keys = new Set();
+        this.yaw = 0;
+        this.pitch = 0;
+        this.cell = null;
+        this.steps = 0;
+        this.startTime = null;
+        this.elapsed = 0;
+        this.hasFinished = false;
+
+        this.hud = {
+            container: document.getElementById('playerHud'),
+            timer: document.getElementById('playerTimer'),
+            steps: document.getElementById('playerSteps')
+        };
+
+        // Keys that drive movement; everything else is left to the page
+        this.movementKeys = ['KeyW', 'KeyA', 'KeyS', 'KeyD', 'ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight'];
+
+        this.setupEventListeners();
+        this.mazeScene.onFrame(delta => this.update(delta));
+    }
+
+    /**
+     * Enter walk mode at the maze start
+     */
+    activate() {
+        const maze = this.mazeScene.maze;
+        if (!maze) return;
+
+        this.isActive = true;
+        this.spawn();
+        this.setHudVisible(true);
+
+        window.MazeUtils.debug('FirstPersonPlayer', 'Walk mode activated', this.cell);
+    }
+
+    /**
+     * Leave walk mode and release the pointer
+     */
+    deactivate() {
+        if (!this.isActive) return;
+
+        this.isActive = false;
+        this.keys.clear();
+        this.setHudVisible(false);
+        if (document.pointerLockElement === this.mazeScene.renderer.domElement) {
+            document.exitPointerLock();
+        }
+    }
+
+    /**
+     * Place the camera on the start cell facing an open corridor and reset the run
+     */
+    spawn() {
+        const maze = this.mazeScene.maze;
+        const start = maze.start || { x: 1, y: 1 };
+        const world = this.mazeScene.transform.cellCenter(start.x, start.y);
+
+        this.mazeScene.camera.position.set(world.x, this.config.playerHeight, world.z);
+        this.cell = { x: start.x, y: start.y };
+        this.steps = 0;
+        this.startTime = null;
+        this.elapsed = 0;
+        this.hasFinished = false;
+
+        // Face the first open neighbor so the player does not start staring at a wall
+        const open = maze.getPassableNeighbors(start.x, start.y)[0];
+        this.yaw = open ? Math.atan2(-(open.x - start.x), -(open.y - start.y)) : 0;
+        this.pitch = 0;
+        this.applyRotation();
+        this.updateHud();
+
+        window.EventBus.player.spawned(this.cell, this.getExit());
+    }
+
+    /**
+     * Exit cell: the maze's marked exit, or the far corner
+     * @returns {Object} Exit coordinates
+     */
+    getExit() {
+        const maze = this.mazeScene.maze;
+        return maze.exit || { x: maze.width - 2, y: maze.height - 2 };
+    }
+
+    /**
+     * Advance movement for one frame
+     * @param {number} delta - Seconds since the last frame
+     */
+    update(delta) {
+        if (!this.isActive || !this.mazeScene.maze) return;
+        // Hold still while the camera tweens into first-person
+        const controls = this.mazeScene.cameraControls;
+        if (controls && controls.isTransitioning) return;
+
+        if (this.startTime !== null && !this.hasFinished) {
+            this.elapsed = (performance.now() - this.startTime) / 1000;
+            this.updateHud();
+        }
+
+        const forward = (this.isPressed('KeyW', 'ArrowUp') ? 1 : 0) - (this.isPressed('KeyS', 'ArrowDown') ? 1 : 0);
+        const strafe = (this.isPressed('KeyD', 'ArrowRight') ? 1 : 0) - (this.isPressed('KeyA', 'ArrowLeft') ? 1 : 0);
+        if (forward === 0 && strafe === 0) return;
+
+        // Cap the frame delta so a stalled tab cannot tunnel the player through a wall
+        const distance = this.config.playerSpeed * Math.min(delta, 0.1);
+        const length = Math.hypot(forward, strafe);
+        const sin = Math.sin(this.yaw);
+        const cos = Math.cos(this.yaw);
+        const dx = ((-sin * forward) + (cos * strafe)) / length * distance;
+        const dz = ((-cos * forward) - (sin * strafe)) / length * distance;
+
+        // Resolve each axis separately so the player slides along walls
+        const position = this.mazeScene.camera.position;
+        if (!this.collides(position.x + dx, position.z)) position.x += dx;
+        if (!this.collides(position.x, position.z + dz)) position.z += dz;
+
+        if (this.startTime === null) {
+            this.startTime = performance.now();
+        }
+
+        this.updateCell();
+    }
+
+    /**
+     * Check whether the player's footprint at a position overlaps a wall
+     * @param {number} worldX - Candidate world X
+     * @param {number} worldZ - Candidate world Z
+     * @returns {boolean} True if any corner of the footprint is inside a wall cell
+     */
+    collides(worldX, worldZ) {
+        const maze = this.mazeScene.maze;
+        const transform = this.mazeScene.transform;
+        const radius = this.config.playerRadius;
+        const corners = [
+            [worldX - radius, worldZ - radius],
+            [worldX + radius, worldZ - radius],
+            [worldX - radius, worldZ + radius],
+            [worldX + radius, worldZ + radius]
+        ];
+
+        return corners.some(([x, z]) => {
+            const cell = transform.worldToCell(x, z);
+            return maze.isWall(cell.x, cell.y);
+        });
+    }
+
+    /**
+     * Track cell changes for the step counter and the exit check
+     */
+    updateCell() {
+        const position = this.mazeScene.camera.position;
+        const cell = this.mazeScene.transform.worldToCell(position.x, position.z);
+        if (cell.x === this.cell.x && cell.y === this.cell.y) return;
+
+        this.cell = cell;
+        this.steps++;
+        this.updateHud();
+        window.EventBus.player.moved(cell, this.yaw, this.steps);
+
+        const exit = this.getExit();
+        if (!this.hasFinished && cell.x === exit.x && cell.y === exit.y) {
+            this.hasFinished = true;
+            this.elapsed = (performance.now() - this.startTime) / 1000;
+            this.updateHud();
+            window.EventBus.player.exitReached(this.elapsed, this.steps);
+
+            window.MazeUtils.debug('FirstPersonPlayer', 'Exit reached', {
+                time: this.elapsed,
+                steps: this.steps
+            });
+        }
+    }
+
+    /**
+     * Check whether any of the given key codes is held
+     * @param {...string} codes - KeyboardEvent.code values
+     * @returns {boolean} True if one is pressed
+     */
+    isPressed(...codes) {
+        return codes.some(code => this.keys.has(code));
+    }
+
+    /**
+     * Apply yaw and pitch to the camera
+     */
+    applyRotation() {
+        const camera = this.mazeScene.camera;
+        camera.rotation.order = 'YXZ';
+        camera.rotation.set(this.pitch, this.yaw, 0);
+    }
+
+    /**
+     * Show or hide the timer/step overlay
+     * @param {boolean} visible - Desired visibility
+     */
+    setHudVisible(visible) {
+        if (this.hud.container) {
+            this.hud.container.style.display = visible ? 'flex' : 'none';
+        }
+    }
+
+    /**
+     * Refresh the timer and step counter
+     */
+    updateHud() {
+        if (this.hud.timer) {
+            this.hud.timer.textContent = window.MazeUtils.formatTime(this.elapsed);
+        }
+        if (this.hud.steps) {
+            this.hud.steps.textContent = this.steps;
+        }
+    }
+
+    /**
+     * Setup event listeners
+     */
+    setupEventListeners() {
+        const canvas = this.mazeScene.renderer.domElement;
+
+        canvas.addEventListener('click', () => {
+            if (this.isActive && document.pointerLockElement !== canvas) {
+                canvas.requestPointerLock();
+            }
+        });
+
+        document.addEventListener('mousemove', (event) => {
+            if (!this.isActive || document.pointerLockElement !== canvas) return;
+
+            const sensitivity = this.config.mouseSensitivity;
+            this.yaw -= event.movementX * sensitivity;
+            this.pitch = window.MazeUtils.clamp(this.pitch - event.movementY * sensitivity, -Math.PI / 2.5, Math.PI / 2.5);
+            this.applyRotation();
+        });
+
+        document.addEventListener('keydown', (event) => {
+            if (!this.isActive || !this.movementKeys.includes(event.code)) return;
+            // Inputs elsewhere on the page keep their keys
+            if (event.target instanceof HTMLInputElement) return;
+
+            this.keys.add(event.code);
+            event.preventDefault();
+        });
+
+        document.addEventListener('keyup', (event) => {
+            this.keys.delete(event.code);
+        });
+
+        window.addEventListener('blur', () => this.keys.clear());
+    }
+}
+
+// Register globally
+window.FirstPersonPlayer = FirstPersonPlayer;
@@ -11,9 +11,24 @@ class MazeScene3D {
         this.camera = null;
         this.renderer = null;
         this.maze = null;
+        this.transform = null;
         this.meshes = [];
         this.animationId = null;
         this.isInitialized = false;
+        this.geometryBuilder = null;
+        this.materialManager = null;
+        this.indicatorLayers = null;
+        this.heatLayer = null;
+        this.heat = null;
+        this.markers = null;
+        this.pendingCells = new Set();
+        this.lastStatsUpdate = 0;
+        this.frameCallbacks = [];
+        this.lastFrameTime = null;
+        this.viewMode = 'overhead';
+        this.player = null;
+        this.minimap = null;
+        this.cameraControls = null;
         
         // Configuration
         this.config = window.MazeConfig.threeD;
@@ -46,9 +61,22 @@ class MazeScene3D {
             // Add renderer to container
             this.container.appendChild(this.renderer.domElement);
             
+            // Builders are reused for every maze and progress update
+            this.geometryBuilder = new window.MazeGeometry3D(this.config);
+            this.materialManager = new window.MazeMaterials3D(this.config);
+            
             // Setup camera
             this.setupCamera();
             
+            // Orbit/pan/zoom, view tweens and the follow camera
+            this.cameraControls = new window.MazeCameraControls(this);
+            
+            // Walkable first-person mode
+            this.player = new window.FirstPersonPlayer(this);
+            
+            // 2D overview in the corner of the 3D view
+            this.minimap = new window.MazeMinimap(this, this.container.parentElement || this.container);
+            
             // Setup lighting
             this.setupLighting();
             
@@ -108,6 +136,7 @@ class MazeScene3D {
      */
     loadMaze(mazeData) {
         this.maze = mazeData;
+        this.transform = new window.MazeTransform(mazeData.width, mazeData.height, this.config);
         this.clearMeshes();
         
         if (!this.isInitialized) {
@@ -115,125 +144,320 @@ class MazeScene3D {
             return;
         }
         
-        const geometryBuilder = new window.MazeGeometry3D(this.config);
-        const materialManager = new window.MazeMaterials3D(this.config);
+        const geometryBuilder = this.geometryBuilder;
+        const materialManager = this.materialManager;
         
         // Generate floor
         const floorMesh = geometryBuilder.createFloor(mazeData.width, mazeData.height);
         floorMesh.material = materialManager.getFloorMaterial();
+        const center = this.transform.getCenter();
+        floorMesh.position.x = center.x;
+        floorMesh.position.z = center.z;
         floorMesh.receiveShadow = this.config.enableShadows;
         this.scene.add(floorMesh);
         this.meshes.push(floorMesh);
         
-        // Generate walls
-        const wallMeshes = geometryBuilder.createWalls(mazeData);
-        wallMeshes.forEach(wallMesh => {
-            wallMesh.material = materialManager.getWallMaterial();
-            wallMesh.castShadow = this.config.enableShadows;
-            wallMesh.receiveShadow = this.config.enableShadows;
-            this.scene.add(wallMesh);
-            this.meshes.push(wallMesh);
-        });
+        // Generate walls as one merged mesh with a single material
+        const wallMesh = window.MazeWallBatcher.createWallMesh(
+            mazeData,
+            materialManager.getWallMaterial(),
+            this.config
+        );
+        wallMesh.castShadow = this.config.enableShadows;
+        wallMesh.receiveShadow = this.config.enableShadows;
+        this.scene.add(wallMesh);
+        this.meshes.push(wallMesh);
         
         // Generate path indicators for visualization
+        this.buildIndicatorLayers();
         this.updatePathVisualization();
         
+        // Start and exit markers
+        this.buildMarkers();
+        
+        // Heatmap overlay, if one is showing and still matches this maze
+        this.updateHeatLayer();
+        
         // Adjust camera to fit maze
         this.fitCameraToMaze();
         
         window.MazeUtils.debug('MazeScene3D', 'Maze loaded into 3D scene', {
-            wallCount: wallMeshes.length,
+            wallRuns: wallMesh.userData.runCount,
             mazeSize: `${mazeData.width}x${mazeData.height}`
         });
     }
 
     /**
-     * Update path visualization based on current maze state
+     * Create the instanced current/path indicator layers for the loaded maze
      */
-    updatePathVisualization() {
-        if (!this.maze) return;
-        
-        // Remove existing path indicators
-        this.meshes = this.meshes.filter(mesh => {
-            if (mesh.userData.isPathIndicator) {
-                this.scene.remove(mesh);
-                if (mesh.geometry) mesh.geometry.dispose();
-                if (mesh.material) mesh.material.dispose();
-                return false;
-            }
-            return true;
+    buildIndicatorLayers() {
+        this.disposeIndicatorLayers();
+        
+        const capacity = this.maze.width * this.maze.height;
+        
+        const createLayer = (type, material) => {
+            // One template indicator supplies the shared geometry and its height above the floor
+            const template = this.geometryBuilder.createPathIndicator(0, 0, type);
+            const height = template.position.y;
+            const position = new THREE.Vector3();
+            
+            const layer = new window.PathIndicatorLayer(template.geometry, material, capacity, (index) => {
+                const center = this.transform.indexCenter(index);
+                return position.set(center.x, height, center.z);
+            });
+            this.scene.add(layer.mesh);
+            return layer;
+        };
+        
+        this.indicatorLayers = {
+            current: createLayer('current', this.materialManager.getCurrentMaterial()),
+            path: createLayer('path', this.materialManager.getPathMaterial())
+        };
+    }
+
+    /**
+     * Show the current heatmap as coloured floor tiles
+     * The layer is rebuilt from scratch; heatmaps change once per run, not per step
+     */
+    updateHeatLayer() {
+        this.disposeHeatLayer();
+        
+        const heat = this.heat;
+        if (!this.maze || !heat || heat.values.length !== this.maze.width * this.maze.height) return;
+        
+        const size = this.config.cellSize;
+        const geometry = new THREE.PlaneGeometry(size, size);
+        geometry.rotateX(-Math.PI / 2);
+        const material = new THREE.MeshBasicMaterial({
+            color: 0xffffff,
+            transparent: true,
+            opacity: window.MazeConfig.colors.heatmapOpacity,
+            depthWrite: false
         });
         
-        const geometryBuilder = new window.MazeGeometry3D(this.config);
-        const materialManager = new window.MazeMaterials3D(this.config);
+        const position = new THREE.Vector3();
+        this.heatLayer = new window.PathIndicatorLayer(geometry, material, heat.values.length, (index) => {
+            const center = this.transform.indexCenter(index);
+            // Just above the floor so the tiles do not z-fight with it
+            return position.set(center.x, 0.02, center.z);
+        });
+        this.heatLayer.enableColors();
         
-        // Add path indicators for current generation state
-        for (let y = 0; y < this.maze.height; y++) {
-            for (let x = 0; x < this.maze.width; x++) {
-                const cell = this.maze.grid[y][x];
-                
-                if (cell.current) {
-                    // Current position indicator
-                    const indicator = geometryBuilder.createPathIndicator(x, y, 'current');
-                    indicator.material = materialManager.getCurrentMaterial();
-                    indicator.userData.isPathIndicator = true;
-                    this.scene.add(indicator);
-                    this.meshes.push(indicator);
-                } else if (cell.path) {
-                    // Generated path indicator
-                    const indicator = geometryBuilder.createPathIndicator(x, y, 'path');
-                    indicator.material = materialManager.getPathMaterial();
-                    indicator.userData.isPathIndicator = true;
-                    this.scene.add(indicator);
-                    this.meshes.push(indicator);
-                }
+        heat.values.forEach((value, index) => {
+            if (Number.isNaN(value)) return;
+            this.heatLayer.add(index);
+            this.heatLayer.setColor(index, window.MazeHeatmap.colorAt(value));
+        });
+        this.scene.add(this.heatLayer.mesh);
+    }
+
+    /**
+     * Remove and dispose the heatmap layer
+     */
+    disposeHeatLayer() {
+        if (!this.heatLayer) return;
+        
+        this.scene.remove(this.heatLayer.mesh);
+        this.heatLayer.dispose();
+        this.heatLayer = null;
+    }
+
+    /**
+     * Create the start and exit marker discs for the loaded maze
+     * They are tracked in this.meshes, so clearMeshes disposes them with the rest of the maze
+     */
+    buildMarkers() {
+        const colors = window.MazeConfig.colors;
+        const createMarker = (color) => {
+            const geometry = new THREE.CylinderGeometry(this.config.cellSize * 0.35, this.config.cellSize * 0.35, 0.2, 24);
+            const mesh = new THREE.Mesh(geometry, new THREE.MeshBasicMaterial({ color }));
+            this.scene.add(mesh);
+            this.meshes.push(mesh);
+            return mesh;
+        };
+        
+        this.markers = {
+            start: createMarker(colors.startMaterial),
+            exit: createMarker(colors.exitMaterial)
+        };
+        this.updateMarkers();
+    }
+
+    /**
+     * Move the marker discs to the maze's current start and exit
+     */
+    updateMarkers() {
+        if (!this.markers || !this.maze) return;
+        
+        ['start', 'exit'].forEach(key => {
+            const cell = this.maze[key];
+            const marker = this.markers[key];
+            marker.visible = !!cell;
+            if (cell) {
+                const center = this.transform.cellCenter(cell.x, cell.y);
+                marker.position.set(center.x, 0.1, center.z);
             }
+        });
+    }
+
+    /**
+     * Raycast from a screen point onto the floor plane
+     * @param {number} clientX - Pointer X in client coordinates
+     * @param {number} clientY - Pointer Y in client coordinates
+     * @returns {Object|null} Cell under the pointer, or null if the ray misses the maze
+     */
+    pickCell(clientX, clientY) {
+        if (!this.maze || !this.camera) return null;
+        
+        const rect = this.renderer.domElement.getBoundingClientRect();
+        const pointer = new THREE.Vector2(
+            ((clientX - rect.left) / rect.width) * 2 - 1,
+            -((clientY - rect.top) / rect.height) * 2 + 1
+        );
+        const raycaster = new THREE.Raycaster();
+        raycaster.setFromCamera(pointer, this.camera);
+        
+        const floor = new THREE.Plane(new THREE.Vector3(0, 1, 0), 0);
+        const hit = raycaster.ray.intersectPlane(floor, new THREE.Vector3());
+        if (!hit) return null;
+        
+        const cell = this.transform.worldToCell(hit.x, hit.z);
+        return this.transform.contains(cell.x, cell.y) ? cell : null;
+    }
+
+    /**
+     * Remove and dispose the indicator layers
+     */
+    disposeIndicatorLayers() {
+        if (!this.indicatorLayers) return;
+        
+        Object.values(this.indicatorLayers).forEach(layer => {
+            this.scene.remove(layer.mesh);
+            layer.dispose();
+        });
+        this.indicatorLayers = null;
+        this.pendingCells.clear();
+    }
+
+    /**
+     * Update path visualization based on current maze state
+     * @param {Array} changedCells - Cells to refresh; omit to refresh the whole maze
+     */
+    updatePathVisualization(changedCells = null) {
+        if (!this.maze || !this.indicatorLayers) return;
+        
+        if (changedCells) {
+            changedCells.forEach(cell => this.updateCellIndicator(cell.y * this.maze.width + cell.x));
+            return;
         }
+        
+        const cellCount = this.maze.width * this.maze.height;
+        for (let index = 0; index < cellCount; index++) {
+            this.updateCellIndicator(index);
+        }
+    }
+
+    /**
+     * Show the right indicator (if any) for a single cell
+     * @param {number} index - Cell index (y * width + x)
+     */
+    updateCellIndicator(index) {
+        const x = index % this.maze.width;
+        const y = Math.floor(index / this.maze.width);
+        const FLAGS = window.MazeGrid.FLAGS;
+        const isCurrent = this.maze.hasFlag(x, y, FLAGS.CURRENT);
+        const isPath = !isCurrent && this.maze.hasFlag(x, y, FLAGS.PATH);
+        
+        this.indicatorLayers.current.toggle(index, isCurrent);
+        this.indicatorLayers.path.toggle(index, isPath);
+    }
+
+    /**
+     * Queue changed cells; they are applied once per rendered frame
+     * so bursts of progress events never cost more than one update per frame
+     * @param {Array} changedCells - Cells reported by a generation step
+     */
+    queueIndicatorUpdates(changedCells) {
+        changedCells.forEach(cell => this.pendingCells.add(cell.y * this.maze.width + cell.x));
+    }
+
+    /**
+     * Apply queued indicator updates
+     */
+    flushIndicatorUpdates() {
+        if (this.pendingCells.size === 0 || !this.indicatorLayers) return;
+        
+        this.pendingCells.forEach(index => this.updateCellIndicator(index));
+        this.pendingCells.clear();
     }
 
     /**
      * Set camera view mode
      * @param {string} viewMode - 'overhead', 'perspective', or 'first-person'
+     * @param {boolean} animate - Tween from the current pose instead of jumping
      */
-    setCameraView(viewMode) {
+    setCameraView(viewMode, animate = false) {
         if (!this.camera) return;
         
         const mazeCenter = this.getMazeCenter();
+        const lookTarget = new THREE.Vector3(mazeCenter.x, 0, mazeCenter.z);
+        this.viewMode = viewMode;
         
-        switch (viewMode) {
-            case 'overhead':
-                this.camera.position.set(
-                    mazeCenter.x, 
-                    this.config.cameraDistance, 
-                    mazeCenter.z
-                );
-                this.camera.lookAt(mazeCenter.x, 0, mazeCenter.z);
-                break;
-                
-            case 'perspective':
-                this.camera.position.set(
-                    mazeCenter.x + this.config.cameraDistance * 0.7,
-                    this.config.cameraDistance * 0.5,
-                    mazeCenter.z + this.config.cameraDistance * 0.7
-                );
-                this.camera.lookAt(mazeCenter.x, 0, mazeCenter.z);
-                break;
-                
-            case 'first-person':
-                this.camera.position.set(
-                    mazeCenter.x,
-                    this.config.playerHeight,
-                    mazeCenter.z
-                );
-                this.camera.lookAt(
-                    mazeCenter.x + 1,
-                    this.config.playerHeight,
-                    mazeCenter.z
-                );
-                break;
+        if (this.player && viewMode !== 'first-person') {
+            this.player.deactivate();
         }
         
-        window.MazeUtils.debug('MazeScene3D', `Camera set to ${viewMode} view`);
+        const applyView = () => {
+            switch (viewMode) {
+                case 'overhead':
+                    this.camera.position.set(
+                        mazeCenter.x, 
+                        this.config.cameraDistance, 
+                        mazeCenter.z
+                    );
+                    this.camera.lookAt(lookTarget);
+                    break;
+                    
+                case 'perspective':
+                    this.camera.position.set(
+                        mazeCenter.x + this.config.cameraDistance * 0.7,
+                        this.config.cameraDistance * 0.5,
+                        mazeCenter.z + this.config.cameraDistance * 0.7
+                    );
+                    this.camera.lookAt(lookTarget);
+                    break;
+                    
+                case 'first-person':
+                    if (this.player && this.maze) {
+                        this.player.activate();
+                        break;
+                    }
+                    
+                    this.camera.position.set(
+                        mazeCenter.x,
+                        this.config.playerHeight,
+                        mazeCenter.z
+                    );
+                    this.camera.lookAt(
+                        mazeCenter.x + 1,
+                        this.config.playerHeight,
+                        mazeCenter.z
+                    );
+                    break;
+            }
+        };
+        
+        // First-person has no orbit target; the player owns the camera once it arrives
+        const orbitTarget = viewMode === 'first-person' ? null : lookTarget;
+        if (!this.cameraControls) {
+            applyView();
+        } else if (animate) {
+            this.cameraControls.transitionTo(applyView, orbitTarget);
+        } else {
+            this.cameraControls.jumpTo(applyView, orbitTarget);
+        }
+        
+        window.MazeUtils.debug('MazeScene3D', `Camera set to ${viewMode} view`, { animate });
     }
 
     /**
@@ -241,15 +465,11 @@ class MazeScene3D {
      * @returns {Object} Center coordinates {x, y, z}
      */
     getMazeCenter() {
-        if (!this.maze) {
+        if (!this.transform) {
             return { x: 0, y: 0, z: 0 };
         }
         
-        return {
-            x: (this.maze.width * this.config.cellSize) / 2,
-            y: 0,
-            z: (this.maze.height * this.config.cellSize) / 2
-        };
+        return this.transform.getCenter();
     }
 
     /**
@@ -258,28 +478,63 @@ class MazeScene3D {
     fitCameraToMaze() {
         if (!this.maze || !this.camera) return;
         
-        const maxDimension = Math.max(this.maze.width, this.maze.height);
-        const distance = maxDimension * this.config.cellSize * 0.8;
+        const size = this.transform.getSize();
+        const distance = Math.max(size.width, size.depth) * 0.8;
         
         this.config.cameraDistance = distance;
-        this.setCameraView('overhead');
+        this.setCameraView(this.viewMode);
     }
 
     /**
      * Start the render loop
      */
     startRenderLoop() {
-        const animate = () => {
+        const animate = (time) => {
             this.animationId = requestAnimationFrame(animate);
             
+            const delta = this.lastFrameTime === null || time === undefined ? 0 : (time - this.lastFrameTime) / 1000;
+            this.lastFrameTime = time === undefined ? null : time;
+            
             if (this.renderer && this.scene && this.camera) {
+                this.frameCallbacks.forEach(callback => callback(delta));
+                this.flushIndicatorUpdates();
                 this.renderer.render(this.scene, this.camera);
+                this.reportRenderStats();
             }
         };
         
         animate();
     }
 
+    /**
+     * Register a callback to run every frame before rendering
+     * @param {Function} callback - Called with seconds since the previous frame
+     * @returns {Function} Function that removes the callback
+     */
+    onFrame(callback) {
+        this.frameCallbacks.push(callback);
+        return () => {
+            this.frameCallbacks = this.frameCallbacks.filter(existing => existing !== callback);
+        };
+    }
+
+    /**
+     * Publish draw-call and triangle counts, throttled to the stat update interval
+     */
+    reportRenderStats() {
+        const now = performance.now();
+        if (now - this.lastStatsUpdate < window.MazeConfig.ui.statUpdateInterval) return;
+        this.lastStatsUpdate = now;
+        
+        const info = this.renderer.info;
+        window.EventBus.emit(window.MazeConfig.events.SCENE_STATS_UPDATED, {
+            drawCalls: info.render.calls,
+            triangles: info.render.triangles,
+            geometries: info.memory.geometries,
+            textures: info.memory.textures
+        });
+    }
+
     /**
      * Stop the render loop
      */
@@ -294,6 +549,9 @@ class MazeScene3D {
      * Clear all meshes from the scene
      */
     clearMeshes() {
+        this.disposeIndicatorLayers();
+        this.disposeHeatLayer();
+        
         this.meshes.forEach(mesh => {
             this.scene.remove(mesh);
             if (mesh.geometry) mesh.geometry.dispose();
@@ -306,6 +564,7 @@ class MazeScene3D {
             }
         });
         this.meshes = [];
+        this.markers = null;
     }
 
     /**
@@ -326,9 +585,27 @@ class MazeScene3D {
      * Setup event listeners
      */
     setupEventListeners() {
+        // A new run brings its own grid, possibly of another size; rebuild walls and indicator
+        // layers from it so the progress diffs that follow land on the right maze
+        window.EventBus.on(window.MazeConfig.events.MAZE_GENERATION_START, (data) => {
+            const maze = data.config && data.config.maze;
+            this.heat = null;
+            if (maze) {
+                this.loadMaze(maze);
+            } else {
+                this.clearMeshes();
+                this.maze = null;
+            }
+        });
+
         // Listen for maze generation events
         window.EventBus.on(window.MazeConfig.events.MAZE_GENERATION_PROGRESS, (data) => {
-            if (this.maze) {
+            if (!this.maze) return;
+            
+            const changedCells = data.currentState && data.currentState.changedCells;
+            if (changedCells) {
+                this.queueIndicatorUpdates(changedCells);
+            } else {
                 this.updatePathVisualization();
             }
         });
@@ -337,8 +614,37 @@ class MazeScene3D {
             this.loadMaze(data.maze);
         });
         
+        // Committed editor changes rebuild the walls from the same grid
+        window.EventBus.on(window.MazeConfig.events.MAZE_EDITED, (data) => {
+            this.loadMaze(data.maze);
+        });
+        
+        window.EventBus.on(window.MazeConfig.events.MAZE_START_CHANGED, () => this.updateMarkers());
+        window.EventBus.on(window.MazeConfig.events.MAZE_EXIT_CHANGED, () => this.updateMarkers());
+        
+        window.EventBus.on(window.MazeConfig.events.HEATMAP_CHANGED, (data) => {
+            this.heat = data.heat;
+            this.updateHeatLayer();
+        });
+        
+        // Floor picking for the start/exit picker; a drag (orbit or pan) is not a pick
+        if (this.renderer) {
+            const canvas = this.renderer.domElement;
+            let pressedAt = null;
+            canvas.addEventListener('pointerdown', (event) => {
+                pressedAt = { x: event.clientX, y: event.clientY };
+            });
+            canvas.addEventListener('click', (event) => {
+                const picker = window.CellPicker;
+                if (!picker || !picker.mode || this.viewMode === 'first-person' || !pressedAt) return;
+                if (Math.hypot(event.clientX - pressedAt.x, event.clientY - pressedAt.y) > 4) return;
+                
+                picker.pick(this.pickCell(event.clientX, event.clientY));
+            });
+        }
+        
         window.EventBus.on(window.MazeConfig.events.CAMERA_CHANGED, (data) => {
-            this.setCameraView(data.cameraType);
+            this.setCameraView(data.cameraType, true);
         });
         
         // Handle window resize
@@ -352,6 +658,13 @@ class MazeScene3D {
      */
     dispose() {
         this.stopRenderLoop();
+        if (this.player) {
+            this.player.deactivate();
+        }
+        if (this.minimap) {
+            this.minimap.dispose();
+        }
+        this.frameCallbacks = [];
         this.clearMeshes();
         
         if (this.renderer) {
@@ -365,6 +678,7 @@ class MazeScene3D {
         this.camera = null;
         this.renderer = null;
         this.maze = null;
+        this.markers = null;
         this.isInitialized = false;
         
         window.MazeUtils.debug('MazeScene3D', 'Scene disposed');
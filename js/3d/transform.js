@@ -0,0 +1,105 @@
+/**
+ * Maze ↔ World Transform
+ * Single source of truth for where maze cells sit in 3D space
+ * Cell (x, y) covers [x * cellSize, (x + 1) * cellSize] on X and the same on Z for y
+ */
+
+class MazeTransform {
+    /**
+     * @param {number} width - Maze width in cells
+     * @param {number} height - Maze height in cells
+     * @param {Object} config - 3D config with cellSize
+     */
+    constructor(width, height, config = window.MazeConfig.threeD) {
+        this.width = width;
+        this.height = height;
+        this.cellSize = config.cellSize;
+    }
+
+    /**
+     * World-space center of a cell on the floor
+     * @param {number} x - Cell X coordinate
+     * @param {number} y - Cell Y coordinate
+     * @returns {Object} Object with x, z world coordinates
+     */
+    cellCenter(x, y) {
+        return {
+            x: (x + 0.5) * this.cellSize,
+            z: (y + 0.5) * this.cellSize
+        };
+    }
+
+    /**
+     * World-space center of a cell given its grid index
+     * @param {number} index - Cell index (y * width + x)
+     * @returns {Object} Object with x, z world coordinates
+     */
+    indexCenter(index) {
+        return this.cellCenter(index % this.width, Math.floor(index / this.width));
+    }
+
+    /**
+     * World-space footprint of a cell
+     * @param {number} x - Cell X coordinate
+     * @param {number} y - Cell Y coordinate
+     * @returns {Object} Object with minX, maxX, minZ, maxZ
+     */
+    cellBounds(x, y) {
+        return {
+            minX: x * this.cellSize,
+            maxX: (x + 1) * this.cellSize,
+            minZ: y * this.cellSize,
+            maxZ: (y + 1) * this.cellSize
+        };
+    }
+
+    /**
+     * Cell containing a world position
+     * Positions outside the maze map to out-of-range cells; check with contains()
+     * @param {number} worldX - World X coordinate
+     * @param {number} worldZ - World Z coordinate
+     * @returns {Object} Object with x, y cell coordinates
+     */
+    worldToCell(worldX, worldZ) {
+        return {
+            x: Math.floor(worldX / this.cellSize),
+            y: Math.floor(worldZ / this.cellSize)
+        };
+    }
+
+    /**
+     * Check whether a cell lies inside the maze
+     * @param {number} x - Cell X coordinate
+     * @param {number} y - Cell Y coordinate
+     * @returns {boolean} True if in bounds
+     */
+    contains(x, y) {
+        return x >= 0 && x < this.width && y >= 0 && y < this.height;
+    }
+
+    /**
+     * World-space center of the whole maze on the floor
+     * @returns {Object} Center coordinates {x, y, z}
+     */
+    getCenter() {
+        return {
+            x: (this.width * this.cellSize) / 2,
+            y: 0,
+            z: (this.height * this.cellSize) / 2
+        };
+    }
+
+    /**
+     * World-space extent of the maze
+     * @returns {Object} Object with width and depth in world units
+     */
+    getSize() {
+        return {
+            width: this.width * this.cellSize,
+            depth: this.height * this.cellSize
+        };
+    }
+}
+
+// Register globally
+window.MazeTransform = MazeTransform;
@@ -0,0 +1,116 @@
+/**
+ * Batched Wall Geometry
+ * Collapses wall cells into horizontal and vertical runs and merges every run
+ * into a single BufferGeometry, so the whole maze's walls cost one draw call
+ */
+
+window.MazeWallBatcher = {
+    /**
+     * Group wall cells into as few boxes as possible
+     * Horizontal runs of two or more cells are taken first; leftover cells are joined vertically
+     * @param {MazeGrid} maze - Maze to scan
+     * @returns {Array} Runs as {x, y, length, horizontal}
+     */
+    findWallRuns(maze) {
+        const runs = [];
+        const used = new Uint8Array(maze.width * maze.height);
+
+        for (let y = 0; y < maze.height; y++) {
+            let x = 0;
+            while (x < maze.width) {
+                if (!maze.isWall(x, y)) {
+                    x++;
+                    continue;
+                }
+
+                let end = x;
+                while (end + 1 < maze.width && maze.isWall(end + 1, y)) end++;
+
+                if (end > x) {
+                    runs.push({ x, y, length: end - x + 1, horizontal: true });
+                    for (let i = x; i <= end; i++) used[y * maze.width + i] = 1;
+                }
+                x = end + 1;
+            }
+        }
+
+        for (let x = 0; x < maze.width; x++) {
+            let y = 0;
+            while (y < maze.height) {
+                if (used[y * maze.width + x] || !maze.isWall(x, y)) {
+                    y++;
+                    continue;
+                }
+
+                let end = y;
+                while (end + 1 < maze.height && maze.isWall(x, end + 1) && !used[(end + 1) * maze.width + x]) end++;
+
+                runs.push({ x, y, length: end - y + 1, horizontal: false });
+                y = end + 1;
+            }
+        }
+
+        return runs;
+    },
+
+    /**
+     * Build one merged geometry containing a box per wall run
+     * @param {MazeGrid} maze - Maze to build walls for
+     * @param {Object} config - 3D config with cellSize and wallHeight
+     * @returns {Object} Object with geometry and the number of runs merged
+     */
+    buildGeometry(maze, config = window.MazeConfig.threeD) {
+        const transform = new window.MazeTransform(maze.width, maze.height, config);
+        const runs = this.findWallRuns(maze);
+        const positions = [];
+        const normals = [];
+        const uvs = [];
+        const indices = [];
+        let vertexOffset = 0;
+
+        runs.forEach(run => {
+            const width = (run.horizontal ? run.length : 1) * config.cellSize;
+            const depth = (run.horizontal ? 1 : run.length) * config.cellSize;
+            const box = new THREE.BoxGeometry(width, config.wallHeight, depth);
+
+            // Runs start at their top-left cell; the box is centered on the whole run
+            const bounds = transform.cellBounds(run.x, run.y);
+            box.translate(
+                bounds.minX + width / 2,
+                config.wallHeight / 2,
+                bounds.minZ + depth / 2
+            );
+
+            positions.push(...box.attributes.position.array);
+            normals.push(...box.attributes.normal.array);
+            uvs.push(...box.attributes.uv.array);
+            box.index.array.forEach(index => indices.push(index + vertexOffset));
+            vertexOffset += box.attributes.position.count;
+            box.dispose();
+        });
+
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+        geometry.setAttribute('normal', new THREE.Float32BufferAttribute(normals, 3));
+        geometry.setAttribute('uv', new THREE.Float32BufferAttribute(uvs, 2));
+        geometry.setIndex(indices);
+        geometry.computeBoundingSphere();
+
+        return { geometry, runCount: runs.length };
+    },
+
+    /**
+     * Build the wall mesh for a maze with a single shared material
+     * @param {MazeGrid} maze - Maze to build walls for
+     * @param {THREE.Material} material - Wall material
+     * @param {Object} config - 3D config with cellSize and wallHeight
+     * @returns {THREE.Mesh} Merged wall mesh
+     */
+    createWallMesh(maze, material, config = window.MazeConfig.threeD) {
+        const { geometry, runCount } = this.buildGeometry(maze, config);
+        const mesh = new THREE.Mesh(geometry, material);
+        mesh.userData.isWall = true;
+        mesh.userData.runCount = runCount;
+        return mesh;
+    }
+};
@@ -0,0 +1,529 @@
+/**
+ * Tabular Reinforcement Learning Agent
+ * Learns to walk from start to exit over repeated episodes using Q-learning or SARSA
+ * The Q-table is a flat Float32Array indexed by (cell, action)
+ */
+
+class QLearningAgent {
+    constructor(maze, config = {}) {
+        this.maze = maze;
+        this.config = {
+            ...window.MazeConfig.learning,
+            ...config,
+            rewards: {
+                ...window.MazeConfig.learning.rewards,
+                ...(config.rewards || {})
+            }
+        };
+        this.actions = [
+            { dx: 0, dy: -1, name: 'north' },
+            { dx: 1, dy: 0, name: 'east' },
+            { dx: 0, dy: 1, name: 'south' },
+            { dx: -1, dy: 0, name: 'west' }
+        ];
+
+        this.qTable = null;
+        this.start = null;
+        this.goal = null;
+        this.position = null;
+        this.nextAction = null;
+        this.epsilon = this.config.epsilon;
+        this.episode = 0;
+        this.episodeReward = 0;
+        this.episodeSteps = 0;
+        this.episodeWallHits = 0;
+        this.history = [];
+        this.isComplete = false;
+        this.isPaused = false;
+        this.isTraining = false;
+        this.stepCount = 0;
+        this.resumeResolver = null;
+        this.seed = window.MazeUtils.normalizeSeed(
+            this.config.seed ?? window.MazeConfig.maze.defaultSeed ?? window.MazeUtils.randomSeed()
+        );
+        this.random = window.MazeUtils.createRandom(this.seed);
+    }
+
+    /**
+     * Initialize the Q-table and place the agent at the start
+     */
+    initialize() {
+        this.start = this.config.start || this.maze.start || { x: 1, y: 1 };
+        this.goal = this.config.goal || this.maze.exit || { x: this.maze.width - 2, y: this.maze.height - 2 };
+        this.qTable = new Float32Array(this.maze.width * this.maze.height * this.actions.length);
+        this.epsilon = this.config.epsilon;
+        this.episode = 0;
+        this.history = [];
+        this.isComplete = false;
+        this.stepCount = 0;
+        this.random = window.MazeUtils.createRandom(this.seed);
+        this.beginEpisode();
+
+        window.MazeUtils.debug('QLearningAgent', 'Agent initialized', {
+            method: this.config.method,
+            seed: this.seed,
+            start: this.start,
+            goal: this.goal
+        });
+    }
+
+    /**
+     * Put the agent back at the start for a fresh episode
+     */
+    beginEpisode() {
+        this.position = { ...this.start };
+        this.episodeReward = 0;
+        this.episodeSteps = 0;
+        this.episodeWallHits = 0;
+        this.nextAction = this.chooseAction(this.position);
+    }
+
+    /**
+     * Execute one move of the agent and update the Q-table
+     * @returns {Object} Step result with position, action, reward and episode status
+     */
+    step() {
+        if (this.isComplete) {
+            return { complete: true, current: this.position, episode: this.episode };
+        }
+
+        const state = this.position;
+        const action = this.config.method === 'sarsa' ? this.nextAction : this.chooseAction(state);
+        const outcome = this.act(state, action);
+        const reachedGoal = outcome.next.x === this.goal.x && outcome.next.y === this.goal.y;
+
+        const qIndex = this.qIndex(state.x, state.y, action);
+        let target = outcome.reward;
+
+        if (this.config.method === 'sarsa') {
+            this.nextAction = this.chooseAction(outcome.next);
+            if (!reachedGoal) {
+                target += this.config.gamma * this.qTable[this.qIndex(outcome.next.x, outcome.next.y, this.nextAction)];
+            }
+        } else if (!reachedGoal) {
+            target += this.config.gamma * this.maxQ(outcome.next.x, outcome.next.y);
+        }
+
+        this.qTable[qIndex] += this.config.alpha * (target - this.qTable[qIndex]);
+
+        this.position = outcome.next;
+        this.episodeReward += outcome.reward;
+        this.episodeSteps++;
+        if (outcome.hitWall) this.episodeWallHits++;
+        this.stepCount++;
+
+        const episodeDone = reachedGoal || this.episodeSteps >= this.config.maxStepsPerEpisode;
+        let episodeStats = null;
+        if (episodeDone) {
+            episodeStats = this.endEpisode(reachedGoal);
+        }
+
+        return {
+            complete: this.isComplete,
+            current: this.position,
+            step: this.stepCount,
+            action: this.actions[action].name,
+            reward: outcome.reward,
+            hitWall: outcome.hitWall,
+            episode: this.episode,
+            episodeDone: episodeDone,
+            episodeStats: episodeStats
+        };
+    }
+
+    /**
+     * Record the finished episode, decay exploration and start the next one
+     * @param {boolean} reachedGoal - Whether the episode ended at the exit
+     * @returns {Object} Statistics for the finished episode
+     */
+    endEpisode(reachedGoal) {
+        const episodeStats = {
+            episode: this.episode + 1,
+            reward: this.episodeReward,
+            steps: this.episodeSteps,
+            wallHits: this.episodeWallHits,
+            epsilon: this.epsilon,
+            reachedGoal: reachedGoal
+        };
+        this.history.push(episodeStats);
+
+        this.episode++;
+        this.epsilon = Math.max(this.config.epsilonMin, this.epsilon * this.config.epsilonDecay);
+
+        if (this.episode >= this.config.episodes) {
+            this.isComplete = true;
+
+            window.MazeUtils.debug('QLearningAgent', 'Training completed', {
+                episodes: this.episode,
+                lastReward: episodeStats.reward
+            });
+        } else {
+            this.beginEpisode();
+        }
+
+        return episodeStats;
+    }
+
+    /**
+     * Run moves until the current episode finishes
+     * @returns {Object} Statistics for the finished episode
+     */
+    runEpisode() {
+        let result = this.step();
+        while (!result.episodeDone && !this.isComplete) {
+            result = this.step();
+        }
+        return result.episodeStats;
+    }
+
+    /**
+     * Apply an action in the environment
+     * Moving into a wall leaves the agent in place and costs the wall penalty
+     * @param {Object} state - Current cell
+     * @param {number} action - Action index
+     * @returns {Object} Next cell, reward and whether a wall was hit
+     */
+    act(state, action) {
+        const move = this.actions[action];
+        const next = { x: state.x + move.dx, y: state.y + move.dy };
+        const rewards = this.config.rewards;
+
+        if (!this.isPassable(next.x, next.y)) {
+            return { next: state, reward: rewards.wall + rewards.step, hitWall: true };
+        }
+
+        if (next.x === this.goal.x && next.y === this.goal.y) {
+            return { next, reward: rewards.goal, hitWall: false };
+        }
+
+        return { next, reward: rewards.step, hitWall: false };
+    }
+
+    /**
+     * Epsilon-greedy action selection
+     * @param {Object} state - Current cell
+     * @returns {number} Action index
+     */
+    chooseAction(state) {
+        if (this.random() < this.epsilon) {
+            return Math.floor(this.random() * this.actions.length);
+        }
+        return this.bestAction(state.x, state.y);
+    }
+
+    /**
+     * Greedy action for a cell, breaking ties randomly
+     * @param {number} x - Cell X coordinate
+     * @param {number} y - Cell Y coordinate
+     * @returns {number} Action index
+     */
+    bestAction(x, y) {
+        const base = this.qIndex(x, y, 0);
+        let best = [];
+        let bestValue = -Infinity;
+
+        for (let a = 0; a < this.actions.length; a++) {
+            const value = this.qTable[base + a];
+            if (value > bestValue) {
+                bestValue = value;
+                best = [a];
+            } else if (value === bestValue) {
+                best.push(a);
+            }
+        }
+
+        return best[Math.floor(this.random() * best.length)];
+    }
+
+    /**
+     * Highest Q-value available from a cell
+     * @param {number} x - Cell X coordinate
+     * @param {number} y - Cell Y coordinate
+     * @returns {number} Maximum Q-value
+     */
+    maxQ(x, y) {
+        const base = this.qIndex(x, y, 0);
+        let best = -Infinity;
+        for (let a = 0; a < this.actions.length; a++) {
+            best = Math.max(best, this.qTable[base + a]);
+        }
+        return best;
+    }
+
+    /**
+     * Get the Q-values of a cell, one per action
+     * @param {number} x - Cell X coordinate
+     * @param {number} y - Cell Y coordinate
+     * @returns {Object} Q-values keyed by direction name
+     */
+    getQValues(x, y) {
+        const base = this.qIndex(x, y, 0);
+        const values = {};
+        this.actions.forEach((action, index) => {
+            values[action.name] = this.qTable ? this.qTable[base + index] : 0;
+        });
+        return values;
+    }
+
+    /**
+     * Best Q-value of every cell, for heatmaps
+     * @returns {Float32Array} Max Q-value per cell index; NaN for walls or before training
+     */
+    getValueMap() {
+        const values = new Float32Array(this.maze.width * this.maze.height).fill(NaN);
+        if (!this.qTable) return values;
+
+        for (let y = 0; y < this.maze.height; y++) {
+            for (let x = 0; x < this.maze.width; x++) {
+                if (this.isPassable(x, y)) {
+                    values[y * this.maze.width + x] = this.maxQ(x, y);
+                }
+            }
+        }
+        return values;
+    }
+
+    /**
+     * Follow the greedy policy from the start without exploring
+     * @param {number} maxSteps - Give up after this many moves
+     * @returns {Object} Path taken and whether it reached the exit
+     */
+    getPolicyPath(maxSteps = this.maze.width * this.maze.height) {
+        const path = [{ ...this.start }];
+        const seen = new Set([this.qIndex(this.start.x, this.start.y, 0)]);
+        let position = this.start;
+
+        for (let i = 0; i < maxSteps; i++) {
+            if (position.x === this.goal.x && position.y === this.goal.y) {
+                return { path, reachedGoal: true };
+            }
+
+            const move = this.actions[this.bestAction(position.x, position.y)];
+            const next = { x: position.x + move.dx, y: position.y + move.dy };
+            const key = this.qIndex(next.x, next.y, 0);
+            if (!this.isPassable(next.x, next.y) || seen.has(key)) break;
+
+            seen.add(key);
+            path.push(next);
+            position = next;
+        }
+
+        return { path, reachedGoal: position.x === this.goal.x && position.y === this.goal.y };
+    }
+
+    /**
+     * Check whether the agent may stand on a cell
+     * @param {number} x - Cell X coordinate
+     * @param {number} y - Cell Y coordinate
+     * @returns {boolean} True for in-bounds passages
+     */
+    isPassable(x, y) {
+        return this.maze.isPassable(x, y);
+    }
+
+    /**
+     * Index of a (cell, action) pair in the Q-table
+     * @param {number} x - Cell X coordinate
+     * @param {number} y - Cell Y coordinate
+     * @param {number} action - Action index
+     * @returns {number} Q-table index
+     */
+    qIndex(x, y, action) {
+        return (y * this.maze.width + x) * this.actions.length + action;
+    }
+
+    /**
+     * Train over all configured episodes, pausing between episodes when requested
+     * @param {Function} progressCallback - Callback for per-episode updates
+     * @param {number} animationSpeed - Starting speed of animation (1-10); follows the speed slider afterwards
+     * @param {AbortSignal} signal - Optional signal that stops training, even while paused; the promise then rejects with an AbortError
+     * @returns {Promise} Promise that resolves with training statistics
+     */
+    async train(progressCallback = null, animationSpeed = 5, signal = null) {
+        const startTime = performance.now();
+        this.initialize();
+        this.isTraining = true;
+        window.EventBus.training.started(this.config.method, this.config);
+
+        // Episodes are the unit of animation, ten times the generator rate; individual moves run unthrottled
+        const scheduler = new window.StepScheduler({
+            speed: animationSpeed,
+            signal,
+            expectedSteps: this.config.episodes,
+            rateScale: 10
+        });
+
+        try {
+            while (!this.isComplete) {
+                window.MazeUtils.throwIfAborted(signal);
+
+                if (this.isPaused) {
+                    await this.waitForResume(signal);
+                }
+                await scheduler.run(
+                    () => this.runEpisode(),
+                    () => this.isComplete || this.isPaused,
+                    episodeStats => this.reportEpisode(episodeStats, progressCallback)
+                );
+            }
+        } catch (error) {
+            this.isTraining = false;
+            this.isPaused = false;
+            this.resumeResolver = null;
+            if (window.MazeUtils.isAbortError(error)) {
+                window.EventBus.training.cancelled(this.config.method, {
+                    episodes: this.episode,
+                    steps: this.stepCount
+                });
+            }
+            throw error;
+        }
+
+        this.isTraining = false;
+        const endTime = performance.now();
+        const stats = {
+            method: this.config.method,
+            seed: this.seed,
+            episodes: this.episode,
+            steps: this.stepCount,
+            time: (endTime - startTime) / 1000,
+            successRate: window.MazeUtils.calculatePercentage(
+                this.history.filter(entry => entry.reachedGoal).length,
+                this.history.length
+            ),
+            policy: this.getPolicyPath(),
+            valueMap: this.getValueMap(),
+            history: this.history
+        };
+
+        window.EventBus.training.completed(stats);
+        return stats;
+    }
+
+    /**
+     * Block until resume() is called or the signal fires
+     * @param {AbortSignal} signal - Optional cancellation signal
+     * @returns {Promise} Resolves on resume, rejects with an AbortError on cancel
+     */
+    waitForResume(signal = null) {
+        return new Promise((resolve, reject) => {
+            const onAbort = () => reject(window.MazeUtils.createAbortError());
+            this.resumeResolver = () => {
+                if (signal) signal.removeEventListener('abort', onAbort);
+                resolve();
+            };
+            if (signal) signal.addEventListener('abort', onAbort, { once: true });
+        });
+    }
+
+    /**
+     * Forward one finished episode to the callback and the event bus
+     * @param {Object} episodeStats - Statistics for the finished episode
+     * @param {Function} progressCallback - Optional progress callback
+     */
+    reportEpisode(episodeStats, progressCallback = null) {
+        if (!episodeStats) return;
+
+        const percentage = (this.episode / this.config.episodes) * 100;
+        if (progressCallback) {
+            progressCallback(percentage, this.episode, episodeStats);
+        }
+        window.EventBus.training.progress(percentage, this.episode, episodeStats);
+    }
+
+    /**
+     * Pause training after the current episode
+     */
+    pause() {
+        if (!this.isTraining || this.isPaused) return;
+
+        this.isPaused = true;
+        window.EventBus.training.paused(this.episode);
+    }
+
+    /**
+     * Resume paused training
+     */
+    resume() {
+        if (!this.isPaused) return;
+
+        this.isPaused = false;
+        window.EventBus.training.resumed(this.episode);
+
+        if (this.resumeResolver) {
+            const resolve = this.resumeResolver;
+            this.resumeResolver = null;
+            resolve();
+        }
+    }
+
+    /**
+     * Run exactly one episode while paused
+     * @returns {Object|null} Statistics for the episode, or null if not paused
+     */
+    stepEpisode() {
+        if (!this.isPaused || this.isComplete) return null;
+
+        const episodeStats = this.runEpisode();
+        this.reportEpisode(episodeStats);
+        return episodeStats;
+    }
+
+    /**
+     * Get agent information
+     * @returns {Object} Hyperparameters and training status
+     */
+    getInfo() {
+        return {
+            method: this.config.method,
+            seed: this.seed,
+            alpha: this.config.alpha,
+            gamma: this.config.gamma,
+            epsilon: this.epsilon,
+            episodes: this.config.episodes,
+            currentEpisode: this.episode,
+            isComplete: this.isComplete,
+            isPaused: this.isPaused
+        };
+    }
+
+    /**
+     * Reset agent state, forgetting everything learned
+     */
+    reset() {
+        this.qTable = null;
+        this.position = null;
+        this.nextAction = null;
+        this.epsilon = this.config.epsilon;
+        this.episode = 0;
+        this.episodeReward = 0;
+        this.episodeSteps = 0;
+        this.episodeWallHits = 0;
+        this.history = [];
+        this.isComplete = false;
+        this.isPaused = false;
+        this.stepCount = 0;
+
+        window.MazeUtils.debug('QLearningAgent', 'Agent reset');
+    }
+
+    /**
+     * Get current agent state for debugging
+     * @returns {Object} Current state information
+     */
+    getState() {
+        return {
+            current: this.position,
+            episode: this.episode,
+            episodeSteps: this.episodeSteps,
+            episodeReward: this.episodeReward,
+            epsilon: this.epsilon,
+            stepCount: this.stepCount,
+            isComplete: this.isComplete,
+            isPaused: this.isPaused
+        };
+    }
+}
+
+// Register globally
+window.QLearningAgent = QLearningAgent;
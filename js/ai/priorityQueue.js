@@ -0,0 +1,94 @@
+/**
+ * Binary Min-Heap Priority Queue
+ * Used by the cost-ordered solvers (Dijkstra, A*, greedy)
+ * Ties are broken by insertion order so expansion is deterministic
+ */
+
+class PriorityQueue {
+    constructor() {
+        this.heap = [];
+        this.counter = 0;
+    }
+
+    /**
+     * Add an item with a priority (lower comes out first)
+     * @param {*} item - Item to store
+     * @param {number} priority - Priority value
+     */
+    push(item, priority) {
+        this.heap.push({ item, priority, order: this.counter++ });
+        this.bubbleUp(this.heap.length - 1);
+    }
+
+    /**
+     * Remove and return the lowest-priority item
+     * @returns {*} Item, or undefined when empty
+     */
+    pop() {
+        if (this.heap.length === 0) return undefined;
+
+        const top = this.heap[0];
+        const last = this.heap.pop();
+        if (this.heap.length > 0) {
+            this.heap[0] = last;
+            this.sinkDown(0);
+        }
+        return top.item;
+    }
+
+    /**
+     * Number of queued items
+     * @returns {number} Queue size
+     */
+    get size() {
+        return this.heap.length;
+    }
+
+    /**
+     * Compare two heap entries
+     * @param {number} a - First index
+     * @param {number} b - Second index
+     * @returns {boolean} True if entry a should come out before entry b
+     */
+    less(a, b) {
+        const ea = this.heap[a];
+        const eb = this.heap[b];
+        return ea.priority < eb.priority || (ea.priority === eb.priority && ea.order < eb.order);
+    }
+
+    /**
+     * Move an entry up until the heap property holds
+     * @param {number} index - Entry index
+     */
+    bubbleUp(index) {
+        while (index > 0) {
+            const parent = (index - 1) >> 1;
+            if (!this.less(index, parent)) break;
+            [this.heap[index], this.heap[parent]] = [this.heap[parent], this.heap[index]];
+            index = parent;
+        }
+    }
+
+    /**
+     * Move an entry down until the heap property holds
+     * @param {number} index - Entry index
+     */
+    sinkDown(index) {
+        const length = this.heap.length;
+        while (true) {
+            const left = index * 2 + 1;
+            const right = left + 1;
+            let smallest = index;
+
+            if (left < length && this.less(left, smallest)) smallest = left;
+            if (right < length && this.less(right, smallest)) smallest = right;
+            if (smallest === index) break;
+
+            [this.heap[index], this.heap[smallest]] = [this.heap[smallest], this.heap[index]];
+            index = smallest;
+        }
+    }
+}
+
+// Register globally
+window.PriorityQueue = PriorityQueue;
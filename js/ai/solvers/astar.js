@@ -0,0 +1,24 @@
+/**
+ * A* Search Solver
+ * Orders the frontier by cost so far plus the heuristic distance to the goal
+ * Shortest path is guaranteed while the heuristic never overestimates
+ */
+
+class AStarSolver extends window.MazeSolver {
+    constructor(maze, config = {}) {
+        super(maze, 'astar', config);
+    }
+
+    /**
+     * f = g + h
+     * @param {Object} node - Cell coordinates
+     * @param {number} cost - Path cost from start
+     * @returns {number} Priority value
+     */
+    priority(node, cost) {
+        return cost + this.estimate(node);
+    }
+}
+
+// Register solver globally
+window.AStarSolver = AStarSolver;
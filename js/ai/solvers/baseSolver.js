@@ -0,0 +1,314 @@
+/**
+ * Base Maze Solver
+ * Shared step-by-step graph search used by every solver in js/ai/solvers/
+ * Subclasses only choose the frontier ordering; the step contract matches the generators
+ */
+
+class MazeSolver {
+    /**
+     * @param {MazeGrid} maze - Maze to search
+     * @param {string} solverId - Key into MazeConfig.solvers
+     * @param {Object} config - Overrides, including start, goal and heuristic
+     */
+    constructor(maze, solverId, config = {}) {
+        this.maze = maze;
+        this.solverId = solverId;
+        this.config = {
+            heuristic: window.MazeConfig.solverDefaults.heuristic,
+            ...window.MazeConfig.solvers[solverId],
+            ...config
+        };
+        this.heuristic = MazeSolver.heuristics[this.config.heuristic] || MazeSolver.heuristics.manhattan;
+        this.updatesCosts = true;
+
+        this.frontier = null;
+        this.openSet = new Set();
+        this.closedSet = new Set();
+        this.cameFrom = new Map();
+        this.gScore = new Map();
+        this.start = null;
+        this.goal = null;
+        this.current = null;
+        this.path = [];
+        this.found = false;
+        this.isComplete = false;
+        this.stepCount = 0;
+    }
+
+    /**
+     * Initialize the search from the configured start toward the goal
+     * Without overrides the maze's start and exit markers are used
+     */
+    initialize() {
+        this.start = this.config.start || this.maze.start || { x: 1, y: 1 };
+        this.goal = this.config.goal || this.maze.exit || { x: this.maze.width - 2, y: this.maze.height - 2 };
+
+        this.frontier = this.createFrontier();
+        this.openSet = new Set();
+        this.closedSet = new Set();
+        this.cameFrom = new Map();
+        this.gScore = new Map();
+        this.current = null;
+        this.path = [];
+        this.found = false;
+        this.isComplete = false;
+        this.stepCount = 0;
+
+        const startKey = this.key(this.start.x, this.start.y);
+        this.gScore.set(startKey, 0);
+        this.openSet.add(startKey);
+        this.frontier.push(this.start, this.priority(this.start, 0));
+
+        window.MazeUtils.debug(this.constructor.name, 'Solver initialized', {
+            start: this.start,
+            goal: this.goal
+        });
+    }
+
+    /**
+     * Create the frontier container; override for queue or stack ordering
+     * @returns {Object} Container with push(item, priority), pop() and size
+     */
+    createFrontier() {
+        return new window.PriorityQueue();
+    }
+
+    /**
+     * Priority of a node in the frontier; lower is expanded first
+     * @param {Object} node - Cell coordinates
+     * @param {number} cost - Path cost from start
+     * @returns {number} Priority value
+     */
+    priority(node, cost) {
+        return cost;
+    }
+
+    /**
+     * Estimated distance from a cell to the goal
+     * @param {Object} node - Cell coordinates
+     * @returns {number} Heuristic estimate
+     */
+    estimate(node) {
+        return this.heuristic(node.x, node.y, this.goal.x, this.goal.y);
+    }
+
+    /**
+     * Execute one step of the search: expand a single node
+     * @returns {Object} Step result with the expanded node and newly opened nodes
+     */
+    step() {
+        if (this.isComplete) {
+            return { complete: true, current: this.current, found: this.found, path: this.path };
+        }
+
+        // Skip stale frontier entries left behind by cost updates
+        let node = this.frontier.pop();
+        while (node && this.closedSet.has(this.key(node.x, node.y))) {
+            node = this.frontier.pop();
+        }
+
+        const opened = [];
+
+        if (!node) {
+            this.current = null;
+            this.isComplete = true;
+
+            window.MazeUtils.debug(this.constructor.name, 'No path to goal', {
+                nodesExpanded: this.closedSet.size
+            });
+        } else {
+            const nodeKey = this.key(node.x, node.y);
+            this.current = node;
+            this.openSet.delete(nodeKey);
+            this.closedSet.add(nodeKey);
+
+            if (node.x === this.goal.x && node.y === this.goal.y) {
+                this.found = true;
+                this.path = this.reconstructPath(node);
+                this.isComplete = true;
+
+                window.MazeUtils.debug(this.constructor.name, 'Path found', {
+                    nodesExpanded: this.closedSet.size,
+                    pathLength: this.path.length
+                });
+            } else {
+                const cost = this.gScore.get(nodeKey) + 1;
+
+                for (let neighbor of this.getPassableNeighbors(node.x, node.y)) {
+                    const neighborKey = this.key(neighbor.x, neighbor.y);
+                    if (this.closedSet.has(neighborKey)) continue;
+
+                    const known = this.gScore.has(neighborKey);
+                    if (!known || (this.updatesCosts && cost < this.gScore.get(neighborKey))) {
+                        this.gScore.set(neighborKey, cost);
+                        this.cameFrom.set(neighborKey, node);
+                        this.openSet.add(neighborKey);
+                        this.frontier.push(neighbor, this.priority(neighbor, cost));
+                        opened.push(neighbor);
+                    }
+                }
+            }
+        }
+
+        this.stepCount++;
+        return {
+            complete: this.isComplete,
+            current: this.current,
+            step: this.stepCount,
+            opened: opened,
+            found: this.found,
+            path: this.path,
+            openSize: this.openSet.size,
+            closedSize: this.closedSet.size
+        };
+    }
+
+    /**
+     * Get open neighbors of a cell
+     * @param {number} x - Cell X coordinate
+     * @param {number} y - Cell Y coordinate
+     * @returns {Array} Array of passable neighbor coordinates
+     */
+    getPassableNeighbors(x, y) {
+        return this.maze.getPassableNeighbors(x, y).map(n => ({ x: n.x, y: n.y }));
+    }
+
+    /**
+     * Follow cameFrom links back to the start
+     * @param {Object} node - Goal node
+     * @returns {Array} Path from start to goal, inclusive
+     */
+    reconstructPath(node) {
+        const path = [node];
+        let key = this.key(node.x, node.y);
+        while (this.cameFrom.has(key)) {
+            const previous = this.cameFrom.get(key);
+            path.unshift(previous);
+            key = this.key(previous.x, previous.y);
+        }
+        return path;
+    }
+
+    /**
+     * Map coordinates to a numeric key
+     * @param {number} x - Cell X coordinate
+     * @param {number} y - Cell Y coordinate
+     * @returns {number} Cell key
+     */
+    key(x, y) {
+        return y * this.maze.width + x;
+    }
+
+    /**
+     * Solve the maze step by step, emitting solver events along the way
+     * @param {Function} progressCallback - Callback for progress updates
+     * @param {number} animationSpeed - Starting speed of animation (1-10); follows the speed slider afterwards
+     * @param {AbortSignal} signal - Optional signal that stops the search; the promise then rejects with an AbortError
+     * @returns {Promise} Promise that resolves with solver statistics
+     */
+    async solve(progressCallback = null, animationSpeed = 5, signal = null) {
+        const startTime = performance.now();
+        this.initialize();
+        window.EventBus.solver.started(this.solverId, {
+            ...this.config,
+            start: this.start,
+            goal: this.goal
+        });
+
+        // Worst case every passage is expanded once
+        const scheduler = new window.StepScheduler({ speed: animationSpeed, signal, expectedSteps: this.maze.countPassages() });
+
+        try {
+            await scheduler.run(() => this.step(), () => this.isComplete, (result) => {
+                if (progressCallback) {
+                    progressCallback(this.closedSet.size, this.stepCount, result);
+                }
+                window.EventBus.solver.progress(this.solverId, this.closedSet.size, result);
+            });
+        } catch (error) {
+            if (window.MazeUtils.isAbortError(error)) {
+                window.EventBus.solver.cancelled(this.solverId, {
+                    nodesExpanded: this.closedSet.size,
+                    steps: this.stepCount
+                });
+            }
+            throw error;
+        }
+
+        const endTime = performance.now();
+        const stats = {
+            solver: this.solverId,
+            found: this.found,
+            nodesExpanded: this.closedSet.size,
+            pathLength: this.path.length,
+            steps: this.stepCount,
+            time: (endTime - startTime) / 1000,
+            path: this.path
+        };
+
+        window.EventBus.solver.completed(this.solverId, stats);
+        return stats;
+    }
+
+    /**
+     * Get solver information
+     * @returns {Object} Solver description and properties
+     */
+    getInfo() {
+        return {
+            name: this.config.name,
+            description: this.config.description,
+            usesHeuristic: this.config.usesHeuristic,
+            guaranteesShortest: this.config.guaranteesShortest,
+            heuristic: this.config.usesHeuristic ? this.config.heuristic : null,
+            currentStep: this.stepCount,
+            isComplete: this.isComplete
+        };
+    }
+
+    /**
+     * Reset solver state
+     */
+    reset() {
+        this.frontier = null;
+        this.openSet = new Set();
+        this.closedSet = new Set();
+        this.cameFrom = new Map();
+        this.gScore = new Map();
+        this.current = null;
+        this.path = [];
+        this.found = false;
+        this.isComplete = false;
+        this.stepCount = 0;
+
+        window.MazeUtils.debug(this.constructor.name, 'Solver reset');
+    }
+
+    /**
+     * Get current solver state for rendering or debugging
+     * @returns {Object} Current state with open/closed sets as coordinates
+     */
+    getState() {
+        const toCell = key => ({ x: key % this.maze.width, y: Math.floor(key / this.maze.width) });
+        return {
+            current: this.current,
+            openSet: [...this.openSet].map(toCell),
+            closedSet: [...this.closedSet].map(toCell),
+            path: this.path,
+            found: this.found,
+            stepCount: this.stepCount,
+            isComplete: this.isComplete
+        };
+    }
+}
+
+/**
+ * Selectable distance heuristics, keyed by MazeConfig.solverDefaults.heuristic values
+ */
+MazeSolver.heuristics = {
+    manhattan: (x1, y1, x2, y2) => window.MazeUtils.manhattanDistance(x1, y1, x2, y2),
+    euclidean: (x1, y1, x2, y2) => window.MazeUtils.euclideanDistance(x1, y1, x2, y2)
+};
+
+// Register globally
+window.MazeSolver = MazeSolver;
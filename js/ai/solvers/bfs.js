@@ -0,0 +1,31 @@
+/**
+ * Breadth-First Search Solver
+ * Expands cells in first-in, first-out order
+ * Guarantees the shortest path on an unweighted grid
+ */
+
+class BreadthFirstSolver extends window.MazeSolver {
+    constructor(maze, config = {}) {
+        super(maze, 'bfs', config);
+        this.updatesCosts = false;
+    }
+
+    /**
+     * FIFO queue frontier; priorities are ignored
+     * @returns {Object} Queue with push, pop and size
+     */
+    createFrontier() {
+        const items = [];
+        let head = 0;
+        return {
+            push: item => items.push(item),
+            pop: () => head < items.length ? items[head++] : undefined,
+            get size() {
+                return items.length - head;
+            }
+        };
+    }
+}
+
+// Register solver globally
+window.BreadthFirstSolver = BreadthFirstSolver;
@@ -0,0 +1,30 @@
+/**
+ * Depth-First Search Solver
+ * Expands the most recently discovered cell first
+ * Finds a path quickly with little memory, but not necessarily the shortest
+ */
+
+class DepthFirstSolver extends window.MazeSolver {
+    constructor(maze, config = {}) {
+        super(maze, 'dfs', config);
+        this.updatesCosts = false;
+    }
+
+    /**
+     * LIFO stack frontier; priorities are ignored
+     * @returns {Object} Stack with push, pop and size
+     */
+    createFrontier() {
+        const items = [];
+        return {
+            push: item => items.push(item),
+            pop: () => items.pop(),
+            get size() {
+                return items.length;
+            }
+        };
+    }
+}
+
+// Register solver globally
+window.DepthFirstSolver = DepthFirstSolver;
@@ -0,0 +1,14 @@
+/**
+ * Dijkstra's Algorithm Solver
+ * Expands the cell with the lowest path cost from the start
+ * Uses the base priority (cost so far) unchanged
+ */
+
+class DijkstraSolver extends window.MazeSolver {
+    constructor(maze, config = {}) {
+        super(maze, 'dijkstra', config);
+    }
+}
+
+// Register solver globally
+window.DijkstraSolver = DijkstraSolver;
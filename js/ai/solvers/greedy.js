@@ -0,0 +1,23 @@
+/**
+ * Greedy Best-First Search Solver
+ * Orders the frontier by heuristic distance to the goal alone
+ * Ignores the cost already travelled, so paths may be longer than necessary
+ */
+
+class GreedyBestFirstSolver extends window.MazeSolver {
+    constructor(maze, config = {}) {
+        super(maze, 'greedy', config);
+    }
+
+    /**
+     * f = h
+     * @param {Object} node - Cell coordinates
+     * @returns {number} Priority value
+     */
+    priority(node) {
+        return this.estimate(node);
+    }
+}
+
+// Register solver globally
+window.GreedyBestFirstSolver = GreedyBestFirstSolver;
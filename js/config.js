@@ -13,7 +13,10 @@ window.MazeConfig = {
         maxSize: 51,               // Maximum maze dimension
         cellSize: 20,              // Default cell size for 2D rendering
         animationDelayBase: 50,    // Base delay for animation (ms)
-        animationDelayMax: 500     // Maximum delay for slow animation
+        animationDelayMax: 500,    // Maximum delay for slow animation
+        maxStepsPerFrame: 50,      // Steps per animation frame at full speed
+        instantFrameBudget: 12,    // Milliseconds of stepping per frame in instant mode
+        defaultSeed: null          // Fixed seed for every maze, or null for a random one
     },
 
     // 3D Rendering Settings
@@ -21,7 +24,17 @@ window.MazeConfig = {
         wallHeight: 3,             // Height of maze walls in 3D space
         cellSize: 4,               // Size of each maze cell in 3D units
         playerHeight: 1.8,         // Camera height for first-person view
+        playerSpeed: 8,            // First-person walking speed (units per second)
+        playerRadius: 0.8,         // Collision radius around the player
+        mouseSensitivity: 0.002,   // Radians of rotation per pixel of mouse movement
         cameraDistance: 50,        // Distance for overhead camera
+        cameraTransitionDuration: 600, // Camera tween length when switching views (ms)
+        minCameraDistance: 5,      // Closest the orbit camera can zoom in
+        minCameraHeight: 1,        // Orbit camera never drops below this height
+        orbitSensitivity: 0.005,   // Radians of orbit per pixel dragged
+        panSensitivity: 0.0015,    // Pan distance per pixel, scaled by orbit distance
+        zoomSensitivity: 0.001,    // Zoom factor per wheel delta unit
+        followSmoothing: 4,        // How quickly the follow camera catches up (per second)
         lightIntensity: 0.8,       // Ambient light intensity
         enableShadows: false,      // Enable shadows (performance impact)
         fogDensity: 0.01,         // Fog density for atmosphere
@@ -35,7 +48,18 @@ window.MazeConfig = {
         progressUpdateInterval: 50, // How often to update progress (ms)
         statUpdateInterval: 100,   // How often to update statistics (ms)
         fadeAnimationDuration: 300, // UI fade animation duration (ms)
-        buttonClickDuration: 150   // Button press animation duration (ms)
+        buttonClickDuration: 150,  // Button press animation duration (ms)
+        editorHistoryLimit: 100,   // Undo steps kept by the maze editor
+        timelineStackPreview: 12,  // Stack entries listed by the generation timeline
+        minimap: {
+            size: 180,             // Default minimap size (px)
+            minSize: 100,          // Smallest minimap size (px)
+            maxSize: 400,          // Largest minimap size (px)
+            sizeStep: 40,          // Resize step for the +/- buttons (px)
+            revealRadius: 2,       // Cells uncovered around the player
+            fogOfWar: true,        // Hide cells the player has not been near
+            fogColor: '#111111'    // Colour of unexplored cells
+        }
     },
 
     // Color Schemes
@@ -48,45 +72,115 @@ window.MazeConfig = {
         visited: '#4444ff',
         pathGenerated: '#44ff44',
         border: '#666666',
+        openSet: '#ffaa00',
+        closedSet: '#8844aa',
+        solutionPath: '#00ffff',
+        start: '#00ff66',
+        exit: '#ff00ff',
+        heatmap: ['#0d0887', '#7e03a8', '#cc4778', '#f89540', '#f0f921'], // Overlay ramp, low to high
+        heatmapOpacity: 0.75,      // Overlay opacity on the 2D canvas
 
         // 3D Material Colors
         wallMaterial: 0x8B4513,    // Brown walls
         floorMaterial: 0x2F4F2F,   // Dark green floor
         currentMaterial: 0xFF4444,  // Red for current position
         pathMaterial: 0x90EE90,    // Light green for paths
+        startMaterial: 0x00FF66,   // Bright green start marker
+        exitMaterial: 0xFF00FF,    // Magenta exit marker
         skyColor: 0x87CEEB         // Sky blue background
     },
 
     // Algorithm Settings
-    algorithms: {
-        recursive: {
-            name: 'Recursive Backtracking',
-            description: 'Creates perfect mazes with exactly one solution between any two points. Uses depth-first search with backtracking to carve paths through a grid of walls.',
-            stepSize: 2,           // Step size for maze generation
-            guaranteesSolution: true,
-            createLoops: false
+    // Filled in by MazeAlgorithmRegistry.register() as each generator in js/maze/algorithms/ loads;
+    // names, bias notes and tunables are defined in that register() call, not here
+    algorithms: {},
+
+    // Settings shared by every solver
+    solverDefaults: {
+        heuristic: 'manhattan'     // 'manhattan' or 'euclidean'
+    },
+
+    // AI Solver Settings
+    solvers: {
+        bfs: {
+            className: 'BreadthFirstSolver',
+            name: 'Breadth-First Search',
+            description: 'Explores the maze in rings of equal distance from the start. Always finds the shortest path, but expands every cell closer than the goal.',
+            usesHeuristic: false,
+            guaranteesShortest: true
+        },
+        dfs: {
+            className: 'DepthFirstSolver',
+            name: 'Depth-First Search',
+            description: 'Follows one corridor as far as it goes before backing up. Uses little memory but the path it finds can be far from the shortest.',
+            usesHeuristic: false,
+            guaranteesShortest: false
+        },
+        dijkstra: {
+            className: 'DijkstraSolver',
+            name: "Dijkstra's Algorithm",
+            description: 'Always expands the cheapest known cell next. On a uniform grid it behaves like BFS, but it generalises to weighted terrain.',
+            usesHeuristic: false,
+            guaranteesShortest: true
         },
-        kruskal: {
-            name: "Modified Kruskal's Algorithm",
-            description: 'Generates mazes with multiple paths and loops by treating cells as graph nodes and randomly connecting them while avoiding cycles initially, then adding some back.',
-            loopProbability: 0.1,  // Probability of adding extra connections
-            guaranteesSolution: true,
-            createLoops: true
+        astar: {
+            className: 'AStarSolver',
+            name: 'A* Search',
+            description: 'Ranks cells by cost so far plus an estimate of the distance left. With an admissible heuristic it finds the shortest path while expanding far fewer cells.',
+            usesHeuristic: true,
+            guaranteesShortest: true
         },
-        cellular: {
-            name: 'Cellular Automata',
-            description: 'Creates organic, cave-like structures by starting with random noise and applying local rules based on neighbor counts over multiple iterations.',
-            iterations: 5,         // Number of CA iterations
-            initialWallProbability: 0.45, // Initial random wall probability
-            wallThreshold: 4,      // Neighbor threshold for walls
-            guaranteesSolution: false, // May create unreachable areas
-            createLoops: true
+        greedy: {
+            className: 'GreedyBestFirstSolver',
+            name: 'Greedy Best-First Search',
+            description: 'Rushes toward whichever cell looks closest to the goal. Fast in open areas, easily fooled by dead ends that point the right way.',
+            usesHeuristic: true,
+            guaranteesShortest: false
         }
     },
 
+    // Reinforcement Learning Settings
+    learning: {
+        method: 'q-learning',      // 'q-learning' (off-policy) or 'sarsa' (on-policy)
+        episodes: 500,             // Training episodes per run
+        maxStepsPerEpisode: 2000,  // Episode is cut off after this many moves
+        alpha: 0.1,                // Learning rate
+        gamma: 0.95,               // Discount factor for future rewards
+        epsilon: 1.0,              // Initial exploration rate
+        epsilonMin: 0.05,          // Exploration floor
+        epsilonDecay: 0.99,        // Multiplier applied to epsilon after each episode
+        rewards: {
+            goal: 100,             // Reaching the exit
+            wall: -5,              // Bumping into a wall (agent stays put)
+            step: -1               // Every move, to favour short routes
+        }
+    },
+
+    // Maze Analysis Settings
+    analysis: {
+        fullRouteShare: 0.5,       // Route through this share of all passages scores full marks for length
+        fullDecisionSpacing: 4,    // A junction every this many moves scores full marks for decisions
+        fullRiverFactor: 10,       // Dead ends this deep on average score full marks for spurs
+        difficultyWeights: {
+            route: 0.35,           // Solution length relative to the maze
+            decisions: 0.4,        // Junctions passed on the solution
+            spurs: 0.25,           // Depth of the dead ends (river factor)
+            loopRelief: 0.3        // Largest cut loops can make, as a fraction of the score
+        },
+        difficultyLabels: [
+            { max: 25, label: 'Easy' },
+            { max: 50, label: 'Medium' },
+            { max: 75, label: 'Hard' },
+            { max: 100, label: 'Expert' }
+        ]
+    },
+
     // Performance Settings
     performance: {
         maxAnimationSteps: 1000,   // Maximum steps before skipping animation
+        useWorker: false,          // GenerationRunner builds mazes in a Web Worker instead of on the main thread
+        workerUrl: 'js/workers/generationWorker.js', // Worker script, relative to the page
+        workerBatchTime: 16,       // Milliseconds of steps the worker batches into one message
         frameRateTarget: 30,       // Target frame rate for 3D rendering
         enableOptimizations: true, // Enable performance optimizations
         debugMode: false           // Enable debug logging
@@ -97,11 +191,33 @@ window.MazeConfig = {
         MAZE_GENERATION_START: 'maze:generation:start',
         MAZE_GENERATION_PROGRESS: 'maze:generation:progress',
         MAZE_GENERATION_COMPLETE: 'maze:generation:complete',
+        MAZE_GENERATION_REQUESTED: 'maze:generation:requested',
+        MAZE_GENERATION_CANCELLED: 'maze:generation:cancelled',
         MAZE_RESET: 'maze:reset',
+        MAZE_START_CHANGED: 'maze:start:changed',
+        MAZE_EXIT_CHANGED: 'maze:exit:changed',
+        MAZE_EDITED: 'maze:edited',
         ALGORITHM_CHANGED: 'algorithm:changed',
         VIEW_MODE_CHANGED: 'view:mode:changed',
         SPEED_CHANGED: 'speed:changed',
-        CAMERA_CHANGED: 'camera:changed'
+        INSTANT_MODE_CHANGED: 'speed:instant:changed',
+        CAMERA_CHANGED: 'camera:changed',
+        SEED_CHANGED: 'seed:changed',
+        SCENE_STATS_UPDATED: 'scene:stats:updated',
+        HEATMAP_CHANGED: 'heatmap:changed',
+        PLAYER_SPAWNED: 'player:spawned',
+        PLAYER_MOVED: 'player:moved',
+        PLAYER_EXIT_REACHED: 'player:exit:reached',
+        SOLVER_START: 'solver:start',
+        SOLVER_PROGRESS: 'solver:progress',
+        SOLVER_COMPLETE: 'solver:complete',
+        SOLVER_CANCELLED: 'solver:cancelled',
+        TRAINING_START: 'training:start',
+        TRAINING_PROGRESS: 'training:progress',
+        TRAINING_COMPLETE: 'training:complete',
+        TRAINING_PAUSED: 'training:paused',
+        TRAINING_RESUMED: 'training:resumed',
+        TRAINING_CANCELLED: 'training:cancelled'
     }
 };
 
@@ -0,0 +1,230 @@
+/**
+ * Headless Maze API for Node
+ * Loads the browser modules into an isolated sandbox whose "window" is a plain object,
+ * then runs generators and solvers synchronously with no animation delay
+ *
+ * Usage:
+ *   const headless = require('./js/headless.js');
+ *   const { maze, stats } = headless.generate({ algorithm: 'kruskal', width: 31, height: 31, seed: 42 });
+ *   const result = headless.solve(maze, { solver: 'astar' });
+ *
+ *   // Same generators off-thread, through worker_threads
+ *   const client = headless.createWorkerClient();
+ *   const { maze: big } = await client.generate({ algorithm: 'recursive', width: 51, height: 51, seed: 7 });
+ *   client.terminate();
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { performance } = require('perf_hooks');
+
+// Browser modules in dependency order; none of them touch the DOM at load time
+const MODULES = [
+    'config.js',
+    'utils.js',
+    'ui/eventBus.js',
+    'scheduler.js',
+    'maze/grid.js',
+    'maze/registry.js',
+    'maze/algorithms/baseAlgorithm.js',
+    'maze/algorithms/recursive.js',
+    'maze/algorithms/kruskal.js',
+    'maze/algorithms/cellular.js',
+    'maze/algorithms/prim.js',
+    'maze/algorithms/eller.js',
+    'maze/algorithms/wilson.js',
+    'maze/algorithms/aldousBroder.js',
+    'maze/algorithms/huntAndKill.js',
+    'maze/algorithms/binaryTree.js',
+    'maze/algorithms/sidewinder.js',
+    'maze/algorithms/recursiveDivision.js',
+    'maze/serializer.js',
+    'maze/validator.js',
+    'maze/analyzer.js',
+    'maze/heatmap.js',
+    'maze/timeline.js',
+    'maze/benchmark.js',
+    'ai/priorityQueue.js',
+    'ai/solvers/baseSolver.js',
+    'ai/solvers/bfs.js',
+    'ai/solvers/dfs.js',
+    'ai/solvers/dijkstra.js',
+    'ai/solvers/astar.js',
+    'ai/solvers/greedy.js',
+    'ai/learning/qLearningAgent.js',
+    'workers/workerClient.js'
+];
+
+let sandbox = null;
+
+/**
+ * Load every module once into a shared sandbox
+ * @returns {Object} The sandbox's window object (MazeConfig, MazeUtils, algorithm classes...)
+ */
+function loadModules() {
+    if (sandbox) return sandbox;
+
+    const context = {
+        console,
+        performance,
+        setTimeout,
+        clearTimeout,
+        btoa,
+        atob
+    };
+    context.window = context;
+    vm.createContext(context);
+
+    MODULES.forEach(file => {
+        const filename = path.join(__dirname, file);
+        vm.runInContext(fs.readFileSync(filename, 'utf8'), context, { filename });
+    });
+
+    sandbox = context;
+    return sandbox;
+}
+
+/**
+ * Look up the class registered for a config entry
+ * @param {Object} group - MazeConfig.algorithms or MazeConfig.solvers
+ * @param {string} id - Entry key
+ * @param {string} kind - 'algorithm' or 'solver', for error messages
+ * @returns {Function} Class constructor
+ */
+function resolveClass(group, id, kind) {
+    const window = loadModules();
+    const entry = group[id];
+    if (!entry || !entry.className || !window[entry.className]) {
+        throw new Error(`Unknown ${kind} '${id}'`);
+    }
+    return window[entry.className];
+}
+
+/**
+ * Generate a maze synchronously
+ * @param {Object} options - algorithm, width, height, seed and any algorithm config overrides
+ * @returns {Object} Object with maze (MazeGrid) and stats
+ */
+function generate(options = {}) {
+    const window = loadModules();
+    const {
+        algorithm = 'recursive',
+        width = window.MazeConfig.maze.defaultWidth,
+        height = window.MazeConfig.maze.defaultHeight,
+        seed,
+        ...overrides
+    } = options;
+
+    const AlgorithmClass = resolveClass(window.MazeConfig.algorithms, algorithm, 'algorithm');
+    const maze = new window.MazeGrid(width, height);
+    const instance = new AlgorithmClass(maze, { ...overrides, seed });
+
+    const startTime = performance.now();
+    instance.initialize();
+    while (!instance.isComplete) {
+        instance.step();
+    }
+    const time = (performance.now() - startTime) / 1000;
+
+    maze.ensureMarkers();
+    maze.clearDirty();
+
+    return {
+        maze,
+        stats: {
+            algorithm,
+            seed: instance.seed,
+            width,
+            height,
+            steps: instance.stepCount,
+            time,
+            pathCoverage: window.MazeUtils.calculatePercentage(maze.countPassages(), width * height)
+        }
+    };
+}
+
+/**
+ * Solve a maze synchronously
+ * @param {Object} maze - Maze from generate() or MazeSerializer
+ * @param {Object} options - solver, start, goal and heuristic
+ * @returns {Object} Solver statistics including the path
+ */
+function solve(maze, options = {}) {
+    const window = loadModules();
+    const { solver = 'astar', ...overrides } = options;
+
+    const SolverClass = resolveClass(window.MazeConfig.solvers, solver, 'solver');
+    const instance = new SolverClass(maze, {
+        start: maze.start || undefined,
+        goal: maze.exit || undefined,
+        ...overrides
+    });
+
+    const startTime = performance.now();
+    instance.initialize();
+    while (!instance.isComplete) {
+        instance.step();
+    }
+
+    return {
+        solver,
+        found: instance.found,
+        nodesExpanded: instance.closedSet.size,
+        pathLength: instance.path.length,
+        steps: instance.stepCount,
+        time: (performance.now() - startTime) / 1000,
+        path: instance.path
+    };
+}
+
+/**
+ * Create a MazeWorkerClient backed by a worker_threads Worker running js/workers/generationWorker.js
+ * Call terminate() when done, or the worker keeps the process alive
+ * @returns {MazeWorkerClient} Client with generate() and solve()
+ */
+function createWorkerClient() {
+    const window = loadModules();
+    const { Worker } = require('worker_threads');
+
+    return new window.MazeWorkerClient(() => {
+        const worker = new Worker(path.join(__dirname, 'workers', 'generationWorker.js'));
+        return {
+            postMessage: (message, transfer) => worker.postMessage(message, transfer),
+            onMessage: (callback) => worker.on('message', callback),
+            onError: (callback) => worker.on('error', callback),
+            terminate: () => worker.terminate()
+        };
+    });
+}
+
+/**
+ * Render a maze as text, handy for scripts and debugging
+ * @param {Object} maze - Maze to render
+ * @param {Array} highlight - Optional cells to mark with '.'
+ * @returns {string} One line per row; '#' wall, ' ' passage
+ */
+function toAscii(maze, highlight = []) {
+    const marked = new Set(highlight.map(cell => cell.y * maze.width + cell.x));
+    const lines = [];
+    for (let y = 0; y < maze.height; y++) {
+        let line = '';
+        for (let x = 0; x < maze.width; x++) {
+            if (maze.isWall(x, y)) {
+                line += '#';
+            } else {
+                line += marked.has(y * maze.width + x) ? '.' : ' ';
+            }
+        }
+        lines.push(line);
+    }
+    return lines.join('\n');
+}
+
+module.exports = {
+    loadModules,
+    generate,
+    solve,
+    createWorkerClient,
+    toAscii
+};
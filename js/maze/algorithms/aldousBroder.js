@@ -0,0 +1,58 @@
+/**
+ * Aldous-Broder Maze Generation Algorithm
+ * Wanders the grid at random, opening a passage whenever the walk enters a cell for the first time
+ * Produces uniformly random perfect mazes, at the cost of many wasted moves
+ */
+
+class AldousBroderAlgorithm extends window.MazeAlgorithm {
+    constructor(maze, config = {}) {
+        super(maze, 'aldous', config);
+    }
+
+    /**
+     * Start the walk on the origin
+     */
+    prepare() {
+        const origin = this.originCell();
+        this.carve(origin);
+        this.moveCurrent(origin);
+    }
+
+    /**
+     * Move to a random neighbor, opening it if the walk has not been there before
+     */
+    advance() {
+        if (this.carvedCells === this.columns * this.rows) {
+            this.isComplete = true;
+            return;
+        }
+
+        const next = this.pick(this.latticeNeighbors(this.current));
+        if (!this.maze.isVisited(next.x, next.y)) {
+            this.carvePassage(this.current, next);
+        }
+        this.moveCurrent(next);
+    }
+
+    /**
+     * The cover time of a random walk grows faster than the area; the estimate only decides whether instant mode skips drawing
+     * @returns {number} Estimated step count
+     */
+    expectedSteps() {
+        return this.columns * this.rows * 8;
+    }
+}
+
+// Register algorithm globally
+window.MazeAlgorithmRegistry.register('aldous', AldousBroderAlgorithm, {
+    name: 'Aldous-Broder',
+    icon: '🐜',
+    description: 'Walks from cell to cell completely at random. Whenever the walk steps into a cell it has never visited, the wall it came through is removed.',
+    biases: [
+        'Unbiased: every possible perfect maze is equally likely',
+        'Very slow to finish; the last few cells can take ages to find',
+        'Balanced mix of dead ends and corridor lengths'
+    ],
+    guaranteesSolution: true,
+    createLoops: false
+});
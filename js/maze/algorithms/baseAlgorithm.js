@@ -0,0 +1,329 @@
+/**
+ * Base Maze Generator
+ * Shared seeding, stepping, animation and cancellation for every generator
+ * Subclasses implement prepare() and advance(); lattice helpers cover the generators that carve on odd cells
+ */
+
+class MazeAlgorithm {
+    /**
+     * @param {MazeGrid} maze - Maze to carve; every cell starts as a wall
+     * @param {string} algorithmId - Key into MazeConfig.algorithms
+     * @param {Object} config - Overrides, including seed
+     */
+    constructor(maze, algorithmId, config = {}) {
+        this.maze = maze;
+        this.algorithmId = algorithmId;
+        this.config = {
+            ...window.MazeConfig.algorithms[algorithmId],
+            ...config
+        };
+        this.current = null;
+        this.isComplete = false;
+        this.stepCount = 0;
+        this.carvedCells = 0;
+        this.seed = window.MazeUtils.normalizeSeed(
+            this.config.seed ?? window.MazeConfig.maze.defaultSeed ?? window.MazeUtils.randomSeed()
+        );
+        this.random = window.MazeUtils.createRandom(this.seed);
+
+        // Lattice cells sit on odd coordinates; the even cells between them are walls or openings
+        this.columns = Math.floor((maze.width - 1) / 2);
+        this.rows = Math.floor((maze.height - 1) / 2);
+    }
+
+    /**
+     * Initialize the algorithm
+     * Resets shared state and the random stream, then lets the subclass set up its own
+     */
+    initialize() {
+        this.current = null;
+        this.isComplete = false;
+        this.stepCount = 0;
+        this.carvedCells = 0;
+        this.random = window.MazeUtils.createRandom(this.seed);
+
+        this.prepare();
+
+        window.MazeUtils.debug(this.constructor.name, 'Algorithm initialized', {
+            lattice: `${this.columns}x${this.rows}`,
+            seed: this.seed
+        });
+    }
+
+    /**
+     * Set up subclass state before the first step
+     */
+    prepare() {}
+
+    /**
+     * Do one unit of work; set isComplete when the maze is finished
+     */
+    advance() {
+        this.isComplete = true;
+    }
+
+    /**
+     * Extra fields for step results, getInfo() and getState()
+     * @returns {Object} Subclass-specific state
+     */
+    describeState() {
+        return {};
+    }
+
+    /**
+     * Extra fields for the statistics generate() resolves with
+     * @returns {Object} Subclass-specific totals
+     */
+    describeResult() {
+        return {};
+    }
+
+    /**
+     * Steps a full run is expected to take, for progress and instant-mode decisions
+     * @returns {number} Estimated step count
+     */
+    expectedSteps() {
+        return this.columns * this.rows;
+    }
+
+    /**
+     * Share of the work done so far
+     * @returns {number} Percentage (0-100)
+     */
+    progress() {
+        return Math.min((this.carvedCells / Math.max(1, this.columns * this.rows)) * 100, 100);
+    }
+
+    /**
+     * Execute one step of the algorithm
+     * @returns {Object} Step result with completion status and current state
+     */
+    step() {
+        if (this.isComplete) {
+            return { complete: true, current: this.current };
+        }
+
+        this.advance();
+
+        if (this.isComplete) {
+            this.moveCurrent(null);
+
+            window.MazeUtils.debug(this.constructor.name, 'Algorithm completed', {
+                steps: this.stepCount,
+                carvedCells: this.carvedCells
+            });
+        }
+
+        this.stepCount++;
+        return {
+            complete: this.isComplete,
+            current: this.current,
+            step: this.stepCount,
+            ...this.describeState(),
+            changedCells: this.maze.flushDirty()
+        };
+    }
+
+    /**
+     * Grid coordinates of a lattice cell
+     * @param {number} column - Lattice column
+     * @param {number} row - Lattice row
+     * @returns {Object} Cell coordinates
+     */
+    cellAt(column, row) {
+        return { x: column * 2 + 1, y: row * 2 + 1 };
+    }
+
+    /**
+     * Lattice index of a cell, for typed-array bookkeeping
+     * @param {Object} cell - Lattice cell coordinates
+     * @returns {number} Index (row * columns + column)
+     */
+    latticeIndex(cell) {
+        return ((cell.y - 1) / 2) * this.columns + (cell.x - 1) / 2;
+    }
+
+    /**
+     * Inverse of latticeIndex
+     * @param {number} index - Lattice index
+     * @returns {Object} Cell coordinates
+     */
+    cellOf(index) {
+        return this.cellAt(index % this.columns, Math.floor(index / this.columns));
+    }
+
+    /**
+     * Lattice cells next to a cell, two grid cells away
+     * @param {Object} cell - Lattice cell coordinates
+     * @returns {Array} Neighboring lattice cells inside the maze
+     */
+    latticeNeighbors(cell) {
+        return [
+            { x: cell.x, y: cell.y - 2 },      // North
+            { x: cell.x + 2, y: cell.y },      // East
+            { x: cell.x, y: cell.y + 2 },      // South
+            { x: cell.x - 2, y: cell.y }       // West
+        ].filter(next => next.x >= 1 && next.y >= 1 && next.x <= this.columns * 2 - 1 && next.y <= this.rows * 2 - 1);
+    }
+
+    /**
+     * Cell to grow from: the picked start when it sits on the lattice, otherwise (1,1)
+     * @returns {Object} Lattice cell coordinates
+     */
+    originCell() {
+        const start = this.maze.start;
+        const onLattice = start && start.x % 2 === 1 && start.y % 2 === 1 &&
+            start.x <= this.columns * 2 - 1 && start.y <= this.rows * 2 - 1;
+        return onLattice ? { x: start.x, y: start.y } : { x: 1, y: 1 };
+    }
+
+    /**
+     * Open a lattice cell
+     * @param {Object} cell - Lattice cell coordinates
+     */
+    carve(cell) {
+        if (!this.maze.isVisited(cell.x, cell.y)) {
+            this.carvedCells++;
+        }
+        this.maze.setCell(cell.x, cell.y, {
+            wall: false,
+            visited: true,
+            path: true
+        });
+    }
+
+    /**
+     * Open two neighboring lattice cells and the wall between them
+     * @param {Object} from - Lattice cell coordinates
+     * @param {Object} to - Neighboring lattice cell two grid cells away
+     */
+    carvePassage(from, to) {
+        this.carve(from);
+        this.maze.setCell((from.x + to.x) / 2, (from.y + to.y) / 2, {
+            wall: false,
+            visited: true,
+            path: true
+        });
+        this.carve(to);
+    }
+
+    /**
+     * Move the current-cell marker
+     * @param {Object|null} cell - New current cell, or null to clear the marker
+     */
+    moveCurrent(cell) {
+        if (this.current) {
+            this.maze.setCell(this.current.x, this.current.y, { current: false });
+        }
+        this.current = cell ? { x: cell.x, y: cell.y } : null;
+        if (this.current) {
+            this.maze.setCell(this.current.x, this.current.y, { current: true });
+        }
+    }
+
+    /**
+     * Pick a random element
+     * @param {Array} items - Non-empty array
+     * @returns {*} One of the items
+     */
+    pick(items) {
+        return items[Math.floor(this.random() * items.length)];
+    }
+
+    /**
+     * Generate complete maze using this algorithm
+     * @param {Function} progressCallback - Callback for progress updates
+     * @param {number} animationSpeed - Starting speed of animation (1-10); follows the speed slider afterwards
+     * @param {AbortSignal} signal - Optional signal that stops generation; the promise then rejects with an AbortError
+     * @returns {Promise} Promise that resolves when generation is complete
+     */
+    async generate(progressCallback = null, animationSpeed = 5, signal = null) {
+        const startTime = performance.now();
+        this.initialize();
+
+        const scheduler = new window.StepScheduler({ speed: animationSpeed, signal, expectedSteps: this.expectedSteps() });
+        try {
+            await scheduler.run(() => this.step(), () => this.isComplete, (result) => {
+                if (progressCallback) {
+                    progressCallback(this.progress(), this.stepCount, result);
+                }
+            });
+        } catch (error) {
+            if (window.MazeUtils.isAbortError(error)) {
+                window.EventBus.maze.generationCancelled(window.MazeUtils.abortReason(signal), {
+                    algorithm: this.algorithmId,
+                    seed: this.seed,
+                    steps: this.stepCount
+                });
+            }
+            throw error;
+        }
+
+        // Default start and exit for solvers, the player and the cell pickers
+        this.maze.ensureMarkers();
+
+        const endTime = performance.now();
+        const generationTime = (endTime - startTime) / 1000;
+
+        window.MazeUtils.debug(this.constructor.name, 'Generation completed', {
+            steps: this.stepCount,
+            time: generationTime,
+            cellsProcessed: this.carvedCells
+        });
+
+        return {
+            algorithm: this.algorithmId,
+            seed: this.seed,
+            steps: this.stepCount,
+            time: generationTime,
+            cellsProcessed: this.carvedCells,
+            ...this.describeResult()
+        };
+    }
+
+    /**
+     * Get algorithm information
+     * @returns {Object} Algorithm description and properties
+     */
+    getInfo() {
+        return {
+            name: this.config.name,
+            description: this.config.description,
+            biases: this.config.biases,
+            guaranteesSolution: this.config.guaranteesSolution,
+            createLoops: this.config.createLoops,
+            seed: this.seed,
+            currentStep: this.stepCount,
+            isComplete: this.isComplete,
+            ...this.describeState()
+        };
+    }
+
+    /**
+     * Reset algorithm state
+     */
+    reset() {
+        this.current = null;
+        this.isComplete = false;
+        this.stepCount = 0;
+        this.carvedCells = 0;
+
+        window.MazeUtils.debug(this.constructor.name, 'Algorithm reset');
+    }
+
+    /**
+     * Get current algorithm state for debugging
+     * @returns {Object} Current state information
+     */
+    getState() {
+        return {
+            current: this.current,
+            stepCount: this.stepCount,
+            isComplete: this.isComplete,
+            ...this.describeState()
+        };
+    }
+}
+
+// Register globally
+window.MazeAlgorithm = MazeAlgorithm;
@@ -0,0 +1,58 @@
+/**
+ * Binary Tree Maze Generation Algorithm
+ * Visits every cell once and opens a wall to the north or west, chosen at random
+ * Needs no memory beyond the current cell, but leaves a strong diagonal bias
+ */
+
+class BinaryTreeAlgorithm extends window.MazeAlgorithm {
+    constructor(maze, config = {}) {
+        super(maze, 'binary', config);
+        this.index = 0;
+    }
+
+    /**
+     * Start at the top-left cell
+     */
+    prepare() {
+        this.index = 0;
+    }
+
+    /**
+     * Open the next cell toward the north or west
+     * The top row can only go west and the left column only north, so both become straight corridors
+     */
+    advance() {
+        if (this.index >= this.columns * this.rows) {
+            this.isComplete = true;
+            return;
+        }
+
+        const cell = this.cellOf(this.index);
+        const options = [];
+        if (cell.y > 1) options.push({ x: cell.x, y: cell.y - 2 });
+        if (cell.x > 1) options.push({ x: cell.x - 2, y: cell.y });
+
+        if (options.length > 0) {
+            this.carvePassage(cell, options.length === 1 || this.random() < this.config.northProbability ? options[0] : options[1]);
+        } else {
+            this.carve(cell);
+        }
+        this.moveCurrent(cell);
+        this.index++;
+    }
+}
+
+// Register algorithm globally
+window.MazeAlgorithmRegistry.register('binary', BinaryTreeAlgorithm, {
+    name: 'Binary Tree',
+    icon: '🌳',
+    description: 'Visits each cell once and knocks down either its north or its west wall at random. The simplest perfect-maze algorithm, with no memory of what it has done.',
+    biases: [
+        'Strong diagonal texture running toward the top-left corner',
+        'The top row and left column are always unbroken corridors',
+        'Walking toward the top-left never meets a dead end'
+    ],
+    northProbability: 0.5, // Chance to open north rather than west when both are possible
+    guaranteesSolution: true,
+    createLoops: false
+});
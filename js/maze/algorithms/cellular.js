@@ -0,0 +1,387 @@
+/**
+ * Cellular Automata Cave Generation Algorithm
+ * Seeds the grid with random noise and smooths it with a neighbor-count rule
+ * Optional post-pass carves corridors so every cave region is reachable
+ */
+
+class CellularAutomataAlgorithm extends window.MazeAlgorithm {
+    constructor(maze, config = {}) {
+        super(maze, 'cellular', config);
+        this.phase = 'automata';
+        this.iteration = 0;
+        this.reseeds = 0;
+        this.regionCount = 0;
+        this.corridorsCarved = 0;
+        this.anchor = null;
+    }
+
+    /**
+     * Reset the cave state and seed the grid with noise
+     */
+    prepare() {
+        this.phase = 'automata';
+        this.iteration = 0;
+        this.reseeds = 0;
+        this.regionCount = 0;
+        this.corridorsCarved = 0;
+        this.anchor = null;
+
+        this.fillNoise(this.config.initialWallProbability);
+    }
+
+    /**
+     * Fill the interior with random walls
+     * @param {number} wallProbability - Chance for each interior cell to start as a wall
+     */
+    fillNoise(wallProbability) {
+        for (let y = 0; y < this.maze.height; y++) {
+            for (let x = 0; x < this.maze.width; x++) {
+                const wall = this.isBorder(x, y) || this.random() < wallProbability;
+                this.maze.setCell(x, y, {
+                    wall: wall,
+                    visited: !wall,
+                    current: false,
+                    path: false
+                });
+            }
+        }
+    }
+
+    /**
+     * Share of interior cells that are open
+     * @returns {number} Open share (0-1)
+     */
+    openShare() {
+        const interior = Math.max(1, (this.maze.width - 2) * (this.maze.height - 2));
+        return this.maze.countPassages() / interior;
+    }
+
+    /**
+     * One full CA iteration per step, then one connecting corridor per step
+     */
+    advance() {
+        if (this.phase === 'automata') {
+            this.applyRule();
+            this.iteration++;
+
+            if (this.iteration >= this.config.iterations) {
+                if (this.openShare() < this.config.minOpenShare && this.reseeds < this.config.maxReseeds) {
+                    // Smoothing closed up almost everything; start over with sparser noise
+                    this.reseeds++;
+                    this.iteration = 0;
+                    this.fillNoise(this.config.initialWallProbability - this.reseeds * this.config.reseedWallStep);
+                } else {
+                    this.phase = this.config.ensureConnectivity ? 'connecting' : 'done';
+                    this.selectAnchor();
+                }
+            }
+        } else if (this.phase === 'connecting') {
+            this.moveCurrent(null);
+            if (!this.connectNextRegion()) {
+                this.phase = 'done';
+            }
+        } else {
+            this.isComplete = true;
+        }
+    }
+
+    /**
+     * Apply one generation of the smoothing rule to the whole grid
+     * A cell becomes wall above the threshold, floor below it, and keeps its state at it
+     */
+    applyRule() {
+        const next = [];
+
+        for (let y = 0; y < this.maze.height; y++) {
+            next.push([]);
+            for (let x = 0; x < this.maze.width; x++) {
+                const isWall = this.maze.isWall(x, y);
+                if (this.isBorder(x, y)) {
+                    next[y].push(true);
+                    continue;
+                }
+
+                const walls = this.countWallNeighbors(x, y);
+                if (walls > this.config.wallThreshold) {
+                    next[y].push(true);
+                } else if (walls < this.config.wallThreshold) {
+                    next[y].push(false);
+                } else {
+                    next[y].push(isWall);
+                }
+            }
+        }
+
+        for (let y = 0; y < this.maze.height; y++) {
+            for (let x = 0; x < this.maze.width; x++) {
+                this.maze.setCell(x, y, {
+                    wall: next[y][x],
+                    visited: !next[y][x],
+                    current: false,
+                    path: false
+                });
+            }
+        }
+    }
+
+    /**
+     * Count walls among the eight neighbors; out-of-bounds counts as wall
+     * @param {number} x - Cell X coordinate
+     * @param {number} y - Cell Y coordinate
+     * @returns {number} Number of wall neighbors
+     */
+    countWallNeighbors(x, y) {
+        let count = 0;
+        for (let neighbor of window.MazeUtils.getAllNeighbors(x, y)) {
+            if (this.maze.isWall(neighbor.x, neighbor.y)) {
+                count++;
+            }
+        }
+        return count;
+    }
+
+    /**
+     * Label the open regions and remember a cell in the largest one
+     * Corridors are carved from this anchor region outwards
+     */
+    selectAnchor() {
+        if (this.openShare() < this.config.minOpenShare) {
+            this.openCenterRoom();
+        }
+
+        let regions = this.findRegions();
+        if (regions.length === 0) {
+            // Nothing open at all, which a minOpenShare of 0 lets through above
+            this.openCenterRoom();
+            regions = this.findRegions();
+        }
+        this.regionCount = regions.length;
+
+        const largest = regions.reduce((best, region) => region.length > best.length ? region : best, []);
+        this.anchor = largest[0];
+    }
+
+    /**
+     * Open a room in the middle of the grid, big enough to reach the minimum open share on its own
+     * Last resort when re-seeding still leaves the cave almost solid
+     */
+    openCenterRoom() {
+        const innerWidth = this.maze.width - 2;
+        const innerHeight = this.maze.height - 2;
+        const scale = Math.sqrt(this.config.minOpenShare);
+        const roomWidth = window.MazeUtils.clamp(Math.ceil(innerWidth * scale), 1, innerWidth);
+        const roomHeight = window.MazeUtils.clamp(Math.ceil(innerHeight * scale), 1, innerHeight);
+        const left = 1 + Math.floor((innerWidth - roomWidth) / 2);
+        const top = 1 + Math.floor((innerHeight - roomHeight) / 2);
+
+        for (let y = top; y < top + roomHeight; y++) {
+            for (let x = left; x < left + roomWidth; x++) {
+                this.maze.setCell(x, y, {
+                    wall: false,
+                    visited: true,
+                    current: false,
+                    path: true
+                });
+            }
+        }
+    }
+
+    /**
+     * Flood-fill all open cells into 4-connected regions
+     * @returns {Array<Array>} Regions as arrays of cell coordinates
+     */
+    findRegions() {
+        const seen = this.createVisitMap();
+        const regions = [];
+
+        for (let y = 0; y < this.maze.height; y++) {
+            for (let x = 0; x < this.maze.width; x++) {
+                if (!seen[y][x] && this.maze.isPassable(x, y)) {
+                    regions.push(this.floodFill(x, y, seen));
+                }
+            }
+        }
+
+        return regions;
+    }
+
+    /**
+     * Collect every open cell reachable from a start cell
+     * @param {number} startX - Start X coordinate
+     * @param {number} startY - Start Y coordinate
+     * @param {Array<Array<boolean>>} seen - Visit map, updated in place
+     * @returns {Array} Cells in the region
+     */
+    floodFill(startX, startY, seen) {
+        const region = [];
+        const queue = [{ x: startX, y: startY }];
+        seen[startY][startX] = true;
+
+        while (queue.length > 0) {
+            const cell = queue.shift();
+            region.push(cell);
+
+            for (let neighbor of window.MazeUtils.getCardinalNeighbors(cell.x, cell.y)) {
+                if (this.maze.isPassable(neighbor.x, neighbor.y) && !seen[neighbor.y][neighbor.x]) {
+                    seen[neighbor.y][neighbor.x] = true;
+                    queue.push({ x: neighbor.x, y: neighbor.y });
+                }
+            }
+        }
+
+        return region;
+    }
+
+    /**
+     * Carve the shortest corridor from the anchor region to the nearest other region
+     * Breadth-first search walks through walls until it reaches an unconnected open cell
+     * @returns {boolean} True if a corridor was carved, false if everything is connected
+     */
+    connectNextRegion() {
+        const connected = this.createVisitMap();
+        const mainRegion = this.floodFill(this.anchor.x, this.anchor.y, connected);
+
+        const cameFrom = new Map();
+        const seen = this.createVisitMap();
+        const queue = [];
+        mainRegion.forEach(cell => {
+            seen[cell.y][cell.x] = true;
+            queue.push(cell);
+        });
+
+        let target = null;
+        while (queue.length > 0 && !target) {
+            const cell = queue.shift();
+
+            for (let neighbor of window.MazeUtils.getCardinalNeighbors(cell.x, cell.y)) {
+                if (this.isBorder(neighbor.x, neighbor.y) || seen[neighbor.y][neighbor.x]) continue;
+
+                seen[neighbor.y][neighbor.x] = true;
+                cameFrom.set(`${neighbor.x},${neighbor.y}`, cell);
+
+                if (this.maze.isPassable(neighbor.x, neighbor.y)) {
+                    target = { x: neighbor.x, y: neighbor.y };
+                    break;
+                }
+                queue.push({ x: neighbor.x, y: neighbor.y });
+            }
+        }
+
+        if (!target) return false;
+
+        // Walk back to the main region, opening every wall along the way
+        let cell = cameFrom.get(`${target.x},${target.y}`);
+        while (cell && !connected[cell.y][cell.x]) {
+            this.maze.setCell(cell.x, cell.y, {
+                wall: false,
+                visited: true,
+                current: false,
+                path: true
+            });
+            cell = cameFrom.get(`${cell.x},${cell.y}`);
+        }
+
+        this.maze.setCell(target.x, target.y, {
+            wall: false,
+            visited: true,
+            path: true
+        });
+        this.moveCurrent(target);
+        this.corridorsCarved++;
+
+        return true;
+    }
+
+    /**
+     * Check whether a cell lies on the outer border
+     * @param {number} x - Cell X coordinate
+     * @param {number} y - Cell Y coordinate
+     * @returns {boolean} True for border cells
+     */
+    isBorder(x, y) {
+        return x <= 0 || y <= 0 || x >= this.maze.width - 1 || y >= this.maze.height - 1;
+    }
+
+    /**
+     * Create an empty visit map matching the maze dimensions
+     * @returns {Array<Array<boolean>>} 2D boolean array
+     */
+    createVisitMap() {
+        return Array.from({ length: this.maze.height }, () => new Array(this.maze.width).fill(false));
+    }
+
+    /**
+     * Smoothing passes are whole-grid steps, so only the corridor phase can run long
+     * @returns {number} Estimated step count
+     */
+    expectedSteps() {
+        return this.config.iterations;
+    }
+
+    /**
+     * Share of the smoothing passes done; the corridor count is unknown up front, so connecting holds at 100%
+     * @returns {number} Percentage (0-100)
+     */
+    progress() {
+        return Math.min((this.iteration / this.config.iterations) * 100, 100);
+    }
+
+    /**
+     * Phase and pass counts for step results and info
+     * @returns {Object} Subclass-specific state
+     */
+    describeState() {
+        return {
+            phase: this.phase,
+            iteration: this.iteration,
+            reseeds: this.reseeds,
+            regionCount: this.regionCount,
+            corridorsCarved: this.corridorsCarved
+        };
+    }
+
+    /**
+     * Cave totals
+     * @returns {Object} Subclass-specific totals
+     */
+    describeResult() {
+        return {
+            regions: this.regionCount,
+            reseeds: this.reseeds,
+            corridorsCarved: this.corridorsCarved
+        };
+    }
+
+    /**
+     * Get algorithm information
+     * The connectivity pass makes every open cell reachable, so it also guarantees a solution
+     * @returns {Object} Algorithm description and properties
+     */
+    getInfo() {
+        return {
+            ...super.getInfo(),
+            guaranteesSolution: this.config.guaranteesSolution || this.config.ensureConnectivity
+        };
+    }
+}
+
+// Register algorithm globally
+window.MazeAlgorithmRegistry.register('cellular', CellularAutomataAlgorithm, {
+    name: 'Cellular Automata',
+    icon: '🕳️',
+    description: 'Creates organic, cave-like structures by starting with random noise and applying local rules based on neighbor counts over multiple iterations.',
+    biases: [
+        'Open caverns instead of one-cell corridors',
+        'Many loops; not a perfect maze',
+        'Pockets can be cut off unless the connectivity pass runs'
+    ],
+    iterations: 5,         // Number of CA iterations
+    initialWallProbability: 0.45, // Initial random wall probability
+    minOpenShare: 0.3,     // Interior share that must be open after smoothing
+    maxReseeds: 4,         // Fresh noise attempts when smoothing leaves too little open
+    reseedWallStep: 0.05,  // Wall probability drop for each re-seed
+    wallThreshold: 4,      // Neighbor threshold for walls
+    ensureConnectivity: true, // Carve corridors between disconnected caves
+    guaranteesSolution: false, // May create unreachable areas
+    createLoops: true
+});
@@ -0,0 +1,142 @@
+/**
+ * Eller's Maze Generation Algorithm
+ * Builds the maze one row at a time, tracking which cells of the current row are already connected
+ * Only the current row's set labels are kept, so memory grows with the width, not the area
+ */
+
+class EllerAlgorithm extends window.MazeAlgorithm {
+    constructor(maze, config = {}) {
+        super(maze, 'eller', config);
+        this.row = 0;
+        this.column = 0;
+        this.phase = 'join';
+        this.sets = null;
+        this.nextSet = 1;
+    }
+
+    /**
+     * Start on the top row with no cells labelled
+     */
+    prepare() {
+        this.row = 0;
+        this.column = 0;
+        this.phase = 'join';
+        this.sets = new Int32Array(this.columns);
+        this.nextSet = 1;
+    }
+
+    /**
+     * Join one cell to its western neighbor, or drop the finished row's sets down to the next row
+     */
+    advance() {
+        if (this.phase === 'join') {
+            this.joinCell();
+        } else {
+            this.dropSets();
+        }
+    }
+
+    /**
+     * Label the next cell in the row and maybe merge it with the cell to its west
+     * On the last row every neighboring pair of different sets is merged, which ties the maze together
+     */
+    joinCell() {
+        const column = this.column;
+        const cell = this.cellAt(column, this.row);
+        if (this.sets[column] === 0) {
+            this.sets[column] = this.nextSet++;
+        }
+        this.carve(cell);
+        this.moveCurrent(cell);
+
+        const lastRow = this.row === this.rows - 1;
+        if (column > 0 && this.sets[column] !== this.sets[column - 1] &&
+            (lastRow || this.random() < this.config.joinProbability)) {
+            this.carvePassage(this.cellAt(column - 1, this.row), cell);
+            this.mergeSets(this.sets[column], this.sets[column - 1]);
+        }
+
+        this.column++;
+        if (this.column === this.columns) {
+            if (lastRow) {
+                this.isComplete = true;
+            } else {
+                this.phase = 'drop';
+            }
+        }
+    }
+
+    /**
+     * Relabel every cell of one set in the current row
+     * @param {number} from - Set label to replace
+     * @param {number} to - Label it joins
+     */
+    mergeSets(from, to) {
+        for (let i = 0; i < this.columns; i++) {
+            if (this.sets[i] === from) this.sets[i] = to;
+        }
+    }
+
+    /**
+     * Carve at least one passage down from every set, then move to the next row
+     * Cells below a passage inherit the set; the rest start unlabelled
+     */
+    dropSets() {
+        const members = new Map();
+        for (let column = 0; column < this.columns; column++) {
+            const label = this.sets[column];
+            if (!members.has(label)) members.set(label, []);
+            members.get(label).push(column);
+        }
+
+        const below = new Int32Array(this.columns);
+        members.forEach((columns, label) => {
+            window.MazeUtils.shuffleArray(columns, this.random);
+            columns.forEach((column, i) => {
+                // The first column after shuffling always drops so no set is left stranded
+                if (i > 0 && this.random() >= this.config.dropProbability) return;
+
+                this.carvePassage(this.cellAt(column, this.row), this.cellAt(column, this.row + 1));
+                below[column] = label;
+            });
+        });
+
+        this.sets = below;
+        this.row++;
+        this.column = 0;
+        this.phase = 'join';
+        this.moveCurrent(this.cellAt(0, this.row));
+    }
+
+    /**
+     * One step per cell plus one drop step per row
+     * @returns {number} Estimated step count
+     */
+    expectedSteps() {
+        return this.columns * this.rows + this.rows;
+    }
+
+    /**
+     * Row and phase for step results and info
+     * @returns {Object} Subclass-specific state
+     */
+    describeState() {
+        return { row: this.row, phase: this.phase };
+    }
+}
+
+// Register algorithm globally
+window.MazeAlgorithmRegistry.register('eller', EllerAlgorithm, {
+    name: "Eller's Algorithm",
+    icon: '📏',
+    description: 'Builds the maze row by row. Cells in a row are randomly joined to their neighbors, each group of connected cells sends at least one passage down, and the last row joins everything left apart.',
+    biases: [
+        'Horizontal texture from the joins along each row',
+        'The bottom row tends to be one long corridor',
+        'Uses memory for a single row, so it can grow without limit'
+    ],
+    joinProbability: 0.5,  // Chance to join two different sets along a row
+    dropProbability: 0.35, // Chance for each extra cell of a set to also open downward
+    guaranteesSolution: true,
+    createLoops: false
+});
@@ -0,0 +1,114 @@
+/**
+ * Hunt-and-Kill Maze Generation Algorithm
+ * Random walks like recursive backtracking, but instead of backtracking when stuck
+ * it scans the grid for an unopened cell beside the maze and continues from there
+ */
+
+class HuntAndKillAlgorithm extends window.MazeAlgorithm {
+    constructor(maze, config = {}) {
+        super(maze, 'hunt', config);
+        this.phase = 'walk';
+        this.huntRow = 0;
+        this.fullRows = 0;
+        this.hunts = 0;
+    }
+
+    /**
+     * Start walking from the origin
+     */
+    prepare() {
+        this.phase = 'walk';
+        this.huntRow = 0;
+        this.fullRows = 0;
+        this.hunts = 0;
+
+        const origin = this.originCell();
+        this.carve(origin);
+        this.moveCurrent(origin);
+    }
+
+    /**
+     * Walk one cell, or hunt for the next place to start walking
+     */
+    advance() {
+        if (this.phase === 'walk') {
+            const unopened = this.latticeNeighbors(this.current).filter(next => !this.maze.isVisited(next.x, next.y));
+            if (unopened.length > 0) {
+                const next = this.pick(unopened);
+                this.carvePassage(this.current, next);
+                this.moveCurrent(next);
+            } else {
+                this.phase = 'hunt';
+                this.huntRow = this.fullRows;
+            }
+            return;
+        }
+
+        this.hunt();
+    }
+
+    /**
+     * Scan one row for an unopened cell next to the maze and attach it
+     * Rows above fullRows have no unopened cells left, so each hunt starts below them
+     * A scan that reaches the bottom without a find means the maze is done, because while any cell
+     * is still unopened, at least one unopened cell borders the maze
+     */
+    hunt() {
+        if (this.huntRow >= this.rows) {
+            this.isComplete = true;
+            return;
+        }
+
+        let rowFull = true;
+        for (let column = 0; column < this.columns; column++) {
+            const cell = this.cellAt(column, this.huntRow);
+            if (this.maze.isVisited(cell.x, cell.y)) continue;
+            rowFull = false;
+
+            const opened = this.latticeNeighbors(cell).filter(next => this.maze.isVisited(next.x, next.y));
+            if (opened.length > 0) {
+                this.carvePassage(this.pick(opened), cell);
+                this.moveCurrent(cell);
+                this.phase = 'walk';
+                this.hunts++;
+                return;
+            }
+        }
+
+        this.moveCurrent(this.cellAt(0, this.huntRow));
+        if (rowFull && this.huntRow === this.fullRows) {
+            this.fullRows++;
+        }
+        this.huntRow++;
+    }
+
+    /**
+     * Walk steps plus a few hunt scans per row
+     * @returns {number} Estimated step count
+     */
+    expectedSteps() {
+        return this.columns * this.rows + this.rows * 2;
+    }
+
+    /**
+     * Phase and hunt count for step results and info
+     * @returns {Object} Subclass-specific state
+     */
+    describeState() {
+        return { phase: this.phase, hunts: this.hunts };
+    }
+}
+
+// Register algorithm globally
+window.MazeAlgorithmRegistry.register('hunt', HuntAndKillAlgorithm, {
+    name: 'Hunt-and-Kill',
+    icon: '🏹',
+    description: 'Carves a random walk until it runs into a dead end, then hunts row by row for an uncarved cell beside the maze, connects it and starts a new walk from there.',
+    biases: [
+        'Long, winding corridors like recursive backtracking',
+        'Few dead ends and a high river factor',
+        'Needs no stack, but the hunt scans slow it down on large grids'
+    ],
+    guaranteesSolution: true,
+    createLoops: false
+});
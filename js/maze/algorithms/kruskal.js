@@ -0,0 +1,199 @@
+/**
+ * Modified Kruskal's Maze Generation Algorithm
+ * Builds a random spanning tree over the odd cells using union-find,
+ * then re-opens a fraction of the rejected walls to create loops
+ */
+
+class KruskalAlgorithm extends window.MazeAlgorithm {
+    constructor(maze, config = {}) {
+        super(maze, 'kruskal', config);
+        this.edges = [];
+        this.rejectedEdges = [];
+        this.parent = [];
+        this.rank = [];
+        this.phase = 'spanning';
+        this.setCount = 0;
+        this.loopsAdded = 0;
+    }
+
+    /**
+     * Open every lattice cell as its own set and queue the walls between them
+     * Cells start unvisited; they count as carved once an edge joins them
+     */
+    prepare() {
+        this.edges = [];
+        this.rejectedEdges = [];
+        this.parent = [];
+        this.rank = [];
+        this.phase = 'spanning';
+        this.setCount = 0;
+        this.loopsAdded = 0;
+
+        for (let row = 0; row < this.rows; row++) {
+            for (let column = 0; column < this.columns; column++) {
+                const cell = this.cellAt(column, row);
+                const id = this.latticeIndex(cell);
+                this.parent[id] = id;
+                this.rank[id] = 0;
+                this.setCount++;
+
+                this.maze.setCell(cell.x, cell.y, {
+                    wall: false,
+                    visited: false,
+                    current: false,
+                    path: false
+                });
+
+                // Only look east and south so each wall is queued once
+                if (column + 1 < this.columns) {
+                    this.edges.push({ a: cell, b: { x: cell.x + 2, y: cell.y }, wall: { x: cell.x + 1, y: cell.y } });
+                }
+                if (row + 1 < this.rows) {
+                    this.edges.push({ a: cell, b: { x: cell.x, y: cell.y + 2 }, wall: { x: cell.x, y: cell.y + 1 } });
+                }
+            }
+        }
+
+        window.MazeUtils.shuffleArray(this.edges, this.random);
+    }
+
+    /**
+     * Consider exactly one wall, either for the spanning tree or the loop pass
+     * The current marker only shows on steps that open a wall
+     */
+    advance() {
+        this.moveCurrent(null);
+
+        if (this.phase === 'spanning') {
+            if (this.edges.length > 0 && this.setCount > 1) {
+                const edge = this.edges.pop();
+                const rootA = this.find(this.latticeIndex(edge.a));
+                const rootB = this.find(this.latticeIndex(edge.b));
+
+                if (rootA !== rootB) {
+                    this.union(rootA, rootB);
+                    this.carveEdge(edge);
+                } else {
+                    // Would close a cycle - keep it as a candidate for the loop pass
+                    this.rejectedEdges.push(edge);
+                }
+            } else {
+                // Walls left unseen once the tree is complete are loop candidates too
+                this.rejectedEdges.push(...this.edges);
+                this.edges = [];
+                this.phase = 'loops';
+
+                window.MazeUtils.debug('Kruskal', 'Spanning tree complete', {
+                    steps: this.stepCount,
+                    loopCandidates: this.rejectedEdges.length
+                });
+            }
+        } else if (this.rejectedEdges.length > 0) {
+            const edge = this.rejectedEdges.pop();
+            if (this.random() < this.config.loopProbability) {
+                this.carveEdge(edge);
+                this.loopsAdded++;
+            }
+        } else {
+            this.isComplete = true;
+        }
+    }
+
+    /**
+     * Open the wall between two cells and mark it as the current cell
+     * @param {Object} edge - Edge with cells a, b and the wall between them
+     */
+    carveEdge(edge) {
+        this.carvePassage(edge.a, edge.b);
+        this.moveCurrent(edge.wall);
+    }
+
+    /**
+     * Find the root of a set with path compression
+     * @param {number} id - Lattice index
+     * @returns {number} Root index
+     */
+    find(id) {
+        let root = id;
+        while (this.parent[root] !== root) {
+            root = this.parent[root];
+        }
+        while (this.parent[id] !== root) {
+            const next = this.parent[id];
+            this.parent[id] = root;
+            id = next;
+        }
+        return root;
+    }
+
+    /**
+     * Merge two sets by rank
+     * @param {number} rootA - Root of first set
+     * @param {number} rootB - Root of second set
+     */
+    union(rootA, rootB) {
+        if (this.rank[rootA] < this.rank[rootB]) {
+            this.parent[rootA] = rootB;
+        } else if (this.rank[rootA] > this.rank[rootB]) {
+            this.parent[rootB] = rootA;
+        } else {
+            this.parent[rootB] = rootA;
+            this.rank[rootA]++;
+        }
+        this.setCount--;
+    }
+
+    /**
+     * Every wall is considered once, plus one step per phase transition
+     * @returns {number} Estimated step count
+     */
+    expectedSteps() {
+        return this.edges.length + this.rejectedEdges.length + 2;
+    }
+
+    /**
+     * Share of the walls considered so far
+     * @returns {number} Percentage (0-100)
+     */
+    progress() {
+        const walls = this.columns * (this.rows - 1) + this.rows * (this.columns - 1);
+        return Math.min((this.stepCount / Math.max(1, walls + 2)) * 100, 100);
+    }
+
+    /**
+     * Phase and set bookkeeping for step results and info
+     * @returns {Object} Subclass-specific state
+     */
+    describeState() {
+        return {
+            phase: this.phase,
+            setCount: this.setCount,
+            remainingEdges: this.edges.length,
+            loopCandidates: this.rejectedEdges.length,
+            loopsAdded: this.loopsAdded
+        };
+    }
+
+    /**
+     * Loops opened after the spanning tree
+     * @returns {Object} Subclass-specific totals
+     */
+    describeResult() {
+        return { loopsAdded: this.loopsAdded };
+    }
+}
+
+// Register algorithm globally
+window.MazeAlgorithmRegistry.register('kruskal', KruskalAlgorithm, {
+    name: "Modified Kruskal's Algorithm",
+    icon: '🔗',
+    description: 'Generates mazes with multiple paths and loops by treating cells as graph nodes and randomly connecting them while avoiding cycles initially, then adding some back.',
+    biases: [
+        'Many short dead ends and frequent junctions',
+        'Loops offer alternative routes, so several paths reach the exit',
+        'No directional texture; corridors are short and evenly spread'
+    ],
+    loopProbability: 0.1,  // Probability of adding extra connections
+    guaranteesSolution: true,
+    createLoops: true
+});
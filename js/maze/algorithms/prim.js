@@ -0,0 +1,82 @@
+/**
+ * Randomized Prim's Maze Generation Algorithm
+ * Grows a single tree outward from the start by attaching a random frontier cell each step
+ */
+
+class PrimAlgorithm extends window.MazeAlgorithm {
+    constructor(maze, config = {}) {
+        super(maze, 'prim', config);
+        this.frontier = [];
+        this.inFrontier = null;
+    }
+
+    /**
+     * Open the origin cell and queue its neighbors
+     */
+    prepare() {
+        this.frontier = [];
+        this.inFrontier = new Uint8Array(this.columns * this.rows);
+
+        const origin = this.originCell();
+        this.carve(origin);
+        this.moveCurrent(origin);
+        this.addFrontier(origin);
+    }
+
+    /**
+     * Queue the unopened neighbors of a cell
+     * @param {Object} cell - Newly opened lattice cell
+     */
+    addFrontier(cell) {
+        this.latticeNeighbors(cell).forEach(next => {
+            const index = this.latticeIndex(next);
+            if (this.inFrontier[index] || this.maze.isVisited(next.x, next.y)) return;
+
+            this.inFrontier[index] = 1;
+            this.frontier.push(next);
+        });
+    }
+
+    /**
+     * Attach one random frontier cell to a random opened neighbor
+     */
+    advance() {
+        if (this.frontier.length === 0) {
+            this.isComplete = true;
+            return;
+        }
+
+        // Swap-remove keeps the pick O(1)
+        const i = Math.floor(this.random() * this.frontier.length);
+        const cell = this.frontier[i];
+        this.frontier[i] = this.frontier[this.frontier.length - 1];
+        this.frontier.pop();
+
+        const opened = this.latticeNeighbors(cell).filter(next => this.maze.isVisited(next.x, next.y));
+        this.carvePassage(this.pick(opened), cell);
+        this.moveCurrent(cell);
+        this.addFrontier(cell);
+    }
+
+    /**
+     * Frontier size for step results and info
+     * @returns {Object} Subclass-specific state
+     */
+    describeState() {
+        return { frontierSize: this.frontier.length };
+    }
+}
+
+// Register algorithm globally
+window.MazeAlgorithmRegistry.register('prim', PrimAlgorithm, {
+    name: "Randomized Prim's",
+    icon: '🌱',
+    description: 'Grows the maze outward from the start like a spreading stain. Every step attaches a random cell from the frontier around the carved area to one of its carved neighbors.',
+    biases: [
+        'Lots of short dead ends and a bushy, branching texture',
+        'Low river factor; the solution is short and fairly direct',
+        'Corridors radiate from the start cell'
+    ],
+    guaranteesSolution: true,
+    createLoops: false
+});
@@ -5,253 +5,69 @@
  * Uses depth-first search with backtracking
  */
 
-class RecursiveBacktrackingAlgorithm {
+class RecursiveBacktrackingAlgorithm extends window.MazeAlgorithm {
     constructor(maze, config = {}) {
-        this.maze = maze;
-        this.config = {
-            ...window.MazeConfig.algorithms.recursive,
-            ...config
-        };
+        super(maze, 'recursive', config);
         this.stack = [];
-        this.current = null;
-        this.isComplete = false;
-        this.stepCount = 0;
     }
 
     /**
-     * Initialize the algorithm
-     * Sets starting position and marks initial cell
+     * Start carving from the origin with an empty stack
      */
-    initialize() {
-        // Start from position (1,1) to ensure odd coordinates
-        this.current = { x: 1, y: 1 };
-        this.maze.setCell(this.current.x, this.current.y, {
-            wall: false,
-            visited: true,
-            current: true,
-            path: false
-        });
+    prepare() {
         this.stack = [];
-        this.isComplete = false;
-        this.stepCount = 0;
-        
-        window.MazeUtils.debug('RecursiveBacktracking', 'Algorithm initialized', this.current);
+
+        const origin = this.originCell();
+        this.carve(origin);
+        this.moveCurrent(origin);
     }
 
     /**
-     * Execute one step of the algorithm
-     * @returns {Object} Step result with completion status and current state
+     * Carve into a random unvisited neighbor, or backtrack one cell when there is none
+     * The run is done once the stack is empty and the current cell has no unvisited neighbors
      */
-    step() {
-        if (this.isComplete) {
-            return { complete: true, current: this.current };
-        }
+    advance() {
+        const neighbors = this.latticeNeighbors(this.current).filter(next => !this.maze.isVisited(next.x, next.y));
 
-        const neighbors = this.getUnvisitedNeighbors(this.current.x, this.current.y);
-        
         if (neighbors.length > 0) {
-            // Choose random neighbor
-            const next = neighbors[Math.floor(Math.random() * neighbors.length)];
-            
-            // Remove wall between current and next cell
-            const wallX = this.current.x + (next.x - this.current.x) / 2;
-            const wallY = this.current.y + (next.y - this.current.y) / 2;
-            
-            // Clear the wall
-            this.maze.setCell(wallX, wallY, {
-                wall: false,
-                visited: true,
-                current: false,
-                path: true
-            });
-            
-            // Mark next cell as visited
-            this.maze.setCell(next.x, next.y, {
-                wall: false,
-                visited: true,
-                current: false,
-                path: false
-            });
-            
-            // Push current to stack for backtracking
+            const next = this.pick(neighbors);
+            this.carvePassage(this.current, next);
             this.stack.push(this.current);
-            
-            // Clear current cell marker
-            this.maze.setCell(this.current.x, this.current.y, {
-                wall: false,
-                visited: true,
-                current: false,
-                path: true
-            });
-            
-            // Move to next cell
-            this.current = next;
-            this.maze.setCell(this.current.x, this.current.y, {
-                wall: false,
-                visited: true,
-                current: true,
-                path: false
-            });
-            
+            this.moveCurrent(next);
         } else if (this.stack.length > 0) {
-            // Backtrack
-            this.maze.setCell(this.current.x, this.current.y, {
-                wall: false,
-                visited: true,
-                current: false,
-                path: true
-            });
-            
-            this.current = this.stack.pop();
-            this.maze.setCell(this.current.x, this.current.y, {
-                wall: false,
-                visited: true,
-                current: true,
-                path: true
-            });
+            this.moveCurrent(this.stack.pop());
         } else {
-            // Algorithm complete
-            this.maze.setCell(this.current.x, this.current.y, {
-                wall: false,
-                visited: true,
-                current: false,
-                path: true
-            });
             this.isComplete = true;
-            
-            window.MazeUtils.debug('RecursiveBacktracking', 'Algorithm completed', {
-                steps: this.stepCount,
-                current: this.current
-            });
         }
-        
-        this.stepCount++;
-        return { 
-            complete: this.isComplete, 
-            current: this.current, 
-            step: this.stepCount,
-            stackSize: this.stack.length
-        };
     }
 
     /**
-     * Get unvisited neighbors for a given cell
-     * @param {number} x - Cell X coordinate
-     * @param {number} y - Cell Y coordinate
-     * @returns {Array} Array of unvisited neighbor coordinates
+     * Every cell is carved into once and backtracked out of once
+     * @returns {number} Estimated step count
      */
-    getUnvisitedNeighbors(x, y) {
-        const neighbors = [];
-        const step = this.config.stepSize;
-        
-        // Check four cardinal directions
-        const directions = [
-            { x: x, y: y - step },      // North
-            { x: x + step, y: y },      // East
-            { x: x, y: y + step },      // South
-            { x: x - step, y: y }       // West
-        ];
-        
-        for (let dir of directions) {
-            if (window.MazeUtils.isValidCoordinate(dir.x, dir.y, this.maze.width, this.maze.height)) {
-                const cell = this.maze.getCell(dir.x, dir.y);
-                if (!cell.visited) {
-                    neighbors.push(dir);
-                }
-            }
-        }
-        
-        return neighbors;
-    }
-
-    /**
-     * Generate complete maze using this algorithm
-     * @param {Function} progressCallback - Callback for progress updates
-     * @param {number} animationSpeed - Speed of animation (1-10)
-     * @returns {Promise} Promise that resolves when generation is complete
-     */
-    async generate(progressCallback = null, animationSpeed = 5) {
-        const startTime = performance.now();
-        this.initialize();
-        
-        const totalCells = Math.floor((this.maze.width * this.maze.height) / 4);
-        let processedCells = 0;
-        
-        while (!this.isComplete) {
-            const result = this.step();
-            processedCells++;
-            
-            // Call progress callback if provided
-            if (progressCallback) {
-                const percentage = (processedCells / totalCells) * 100;
-                progressCallback(percentage, this.stepCount, result);
-            }
-            
-            // Animation delay based on speed
-            const delay = window.MazeConfig.maze.animationDelayMax - 
-                         (animationSpeed - 1) * (window.MazeConfig.maze.animationDelayMax - window.MazeConfig.maze.animationDelayBase) / 9;
-            await window.MazeUtils.delay(delay);
-        }
-        
-        const endTime = performance.now();
-        const generationTime = (endTime - startTime) / 1000;
-        
-        window.MazeUtils.debug('RecursiveBacktracking', 'Generation completed', {
-            steps: this.stepCount,
-            time: generationTime,
-            cellsProcessed: processedCells
-        });
-        
-        return {
-            algorithm: 'recursive',
-            steps: this.stepCount,
-            time: generationTime,
-            cellsProcessed: processedCells
-        };
-    }
-
-    /**
-     * Get algorithm information
-     * @returns {Object} Algorithm description and properties
-     */
-    getInfo() {
-        return {
-            name: this.config.name,
-            description: this.config.description,
-            guaranteesSolution: this.config.guaranteesSolution,
-            createLoops: this.config.createLoops,
-            stepSize: this.config.stepSize,
-            currentStep: this.stepCount,
-            isComplete: this.isComplete,
-            stackSize: this.stack.length
-        };
-    }
-
-    /**
-     * Reset algorithm state
-     */
-    reset() {
-        this.stack = [];
-        this.current = null;
-        this.isComplete = false;
-        this.stepCount = 0;
-        
-        window.MazeUtils.debug('RecursiveBacktracking', 'Algorithm reset');
+    expectedSteps() {
+        return this.columns * this.rows * 2;
     }
 
     /**
-     * Get current algorithm state for debugging
-     * @returns {Object} Current state information
+     * Stack depth for step results and info; the timeline reads this.stack directly
+     * @returns {Object} Subclass-specific state
      */
-    getState() {
-        return {
-            current: this.current,
-            stackSize: this.stack.length,
-            stepCount: this.stepCount,
-            isComplete: this.isComplete
-        };
+    describeState() {
+        return { stackSize: this.stack.length };
     }
 }
 
 // Register algorithm globally
-window.RecursiveBacktrackingAlgorithm = RecursiveBacktrackingAlgorithm;
+window.MazeAlgorithmRegistry.register('recursive', RecursiveBacktrackingAlgorithm, {
+    name: 'Recursive Backtracking',
+    icon: '🌲',
+    description: 'Creates perfect mazes with exactly one solution between any two points. Uses depth-first search with backtracking to carve paths through a grid of walls.',
+    biases: [
+        'Long, winding corridors with few branches',
+        'Few but deep dead ends (high river factor)',
+        'Solution tends to wander across most of the maze'
+    ],
+    guaranteesSolution: true,
+    createLoops: false
+});
@@ -0,0 +1,157 @@
+/**
+ * Recursive Division Maze Generation Algorithm
+ * Starts from an open room and splits it with a wall that has a single gap, then splits each half
+ * the same way until every chamber is one cell wide; the only generator here that adds walls
+ */
+
+class RecursiveDivisionAlgorithm extends window.MazeAlgorithm {
+    constructor(maze, config = {}) {
+        super(maze, 'division', config);
+        this.chambers = [];
+        this.walls = 0;
+    }
+
+    /**
+     * Open the whole interior and queue it as one chamber
+     * Chambers are in lattice units: {column, row, columns, rows}
+     */
+    prepare() {
+        this.chambers = [];
+        this.walls = 0;
+
+        for (let row = 0; row < this.rows; row++) {
+            for (let column = 0; column < this.columns; column++) {
+                const cell = this.cellAt(column, row);
+                this.carve(cell);
+                if (column + 1 < this.columns) this.carvePassage(cell, this.cellAt(column + 1, row));
+                if (row + 1 < this.rows) this.carvePassage(cell, this.cellAt(column, row + 1));
+                // Pillar between four cells
+                if (column + 1 < this.columns && row + 1 < this.rows) {
+                    this.maze.setCell(cell.x + 1, cell.y + 1, { wall: false, visited: true, path: true });
+                }
+            }
+        }
+
+        if (this.columns > 0 && this.rows > 0) {
+            this.chambers.push({ column: 0, row: 0, columns: this.columns, rows: this.rows });
+        }
+    }
+
+    /**
+     * Split the next chamber that is still more than one cell wide in some direction
+     */
+    advance() {
+        let chamber = this.chambers.pop();
+        while (chamber && chamber.columns < 2 && chamber.rows < 2) {
+            chamber = this.chambers.pop();
+        }
+        if (!chamber) {
+            this.isComplete = true;
+            return;
+        }
+
+        // Cut across the longer side so chambers stay roughly square
+        const horizontal = chamber.columns < 2 ||
+            (chamber.rows >= 2 && (chamber.rows > chamber.columns || (chamber.rows === chamber.columns && this.random() < 0.5)));
+
+        if (horizontal) {
+            this.splitHorizontally(chamber);
+        } else {
+            this.splitVertically(chamber);
+        }
+        this.walls++;
+    }
+
+    /**
+     * Wall off a chamber between two of its rows, leaving one gap
+     * @param {Object} chamber - Chamber with at least two rows
+     */
+    splitHorizontally(chamber) {
+        const above = 1 + Math.floor(this.random() * (chamber.rows - 1));
+        const gap = chamber.column + Math.floor(this.random() * chamber.columns);
+        const y = (chamber.row + above) * 2;
+
+        for (let column = chamber.column; column < chamber.column + chamber.columns; column++) {
+            const x = column * 2 + 1;
+            if (column !== gap) this.buildWall(x, y);
+            // Pillar east of this cell, inside the chamber
+            if (column + 1 < chamber.column + chamber.columns) this.buildWall(x + 1, y);
+        }
+        this.moveCurrent({ x: gap * 2 + 1, y });
+
+        this.chambers.push(
+            { column: chamber.column, row: chamber.row, columns: chamber.columns, rows: above },
+            { column: chamber.column, row: chamber.row + above, columns: chamber.columns, rows: chamber.rows - above }
+        );
+    }
+
+    /**
+     * Wall off a chamber between two of its columns, leaving one gap
+     * @param {Object} chamber - Chamber with at least two columns
+     */
+    splitVertically(chamber) {
+        const left = 1 + Math.floor(this.random() * (chamber.columns - 1));
+        const gap = chamber.row + Math.floor(this.random() * chamber.rows);
+        const x = (chamber.column + left) * 2;
+
+        for (let row = chamber.row; row < chamber.row + chamber.rows; row++) {
+            const y = row * 2 + 1;
+            if (row !== gap) this.buildWall(x, y);
+            // Pillar south of this cell, inside the chamber
+            if (row + 1 < chamber.row + chamber.rows) this.buildWall(x, y + 1);
+        }
+        this.moveCurrent({ x, y: gap * 2 + 1 });
+
+        this.chambers.push(
+            { column: chamber.column, row: chamber.row, columns: left, rows: chamber.rows },
+            { column: chamber.column + left, row: chamber.row, columns: chamber.columns - left, rows: chamber.rows }
+        );
+    }
+
+    /**
+     * Turn an opening back into a wall
+     * @param {number} x - Cell X coordinate
+     * @param {number} y - Cell Y coordinate
+     */
+    buildWall(x, y) {
+        this.maze.setCell(x, y, { wall: true, visited: false, path: false });
+    }
+
+    /**
+     * Each split leaves one more chamber, and a perfect maze ends with one per cell
+     * @returns {number} Estimated step count
+     */
+    expectedSteps() {
+        return this.columns * this.rows;
+    }
+
+    /**
+     * Share of the final walls built
+     * @returns {number} Percentage (0-100)
+     */
+    progress() {
+        return Math.min((this.walls / Math.max(1, this.columns * this.rows - 1)) * 100, 100);
+    }
+
+    /**
+     * Chamber queue for step results and info
+     * @returns {Object} Subclass-specific state
+     */
+    describeState() {
+        return { chambers: this.chambers.length, walls: this.walls };
+    }
+}
+
+// Register algorithm globally
+window.MazeAlgorithmRegistry.register('division', RecursiveDivisionAlgorithm, {
+    name: 'Recursive Division',
+    icon: '✂️',
+    description: 'Starts with one empty room and divides it with a wall that has a single gap. Each half is divided the same way, over and over, until every chamber is a single corridor wide.',
+    biases: [
+        'Long straight walls and a boxy, room-like texture',
+        'The first walls form bottlenecks every solution must pass through',
+        'Grows by adding walls, so it can fill an open room or cave'
+    ],
+    guaranteesSolution: true,
+    createLoops: false
+});
@@ -0,0 +1,75 @@
+/**
+ * Sidewinder Maze Generation Algorithm
+ * Works along each row building runs of cells joined east-west; closing a run opens one of its cells to the north
+ */
+
+class SidewinderAlgorithm extends window.MazeAlgorithm {
+    constructor(maze, config = {}) {
+        super(maze, 'sidewinder', config);
+        this.index = 0;
+        this.run = [];
+    }
+
+    /**
+     * Start at the top-left cell with an empty run
+     */
+    prepare() {
+        this.index = 0;
+        this.run = [];
+    }
+
+    /**
+     * Add the next cell to the run, then either extend the run east or close it with a passage north
+     * The top row has nothing above it, so it is always one corridor
+     */
+    advance() {
+        if (this.index >= this.columns * this.rows) {
+            this.isComplete = true;
+            return;
+        }
+
+        const cell = this.cellOf(this.index);
+        const topRow = cell.y === 1;
+        const lastColumn = cell.x === this.columns * 2 - 1;
+
+        this.carve(cell);
+        this.moveCurrent(cell);
+        this.run.push(cell);
+
+        const closeRun = lastColumn || (!topRow && this.random() < this.config.closeProbability);
+        if (closeRun) {
+            if (!topRow) {
+                const member = this.pick(this.run);
+                this.carvePassage(member, { x: member.x, y: member.y - 2 });
+            }
+            this.run = [];
+        } else {
+            this.carvePassage(cell, { x: cell.x + 2, y: cell.y });
+        }
+
+        this.index++;
+    }
+
+    /**
+     * Run length for step results and info
+     * @returns {Object} Subclass-specific state
+     */
+    describeState() {
+        return { runLength: this.run.length };
+    }
+}
+
+// Register algorithm globally
+window.MazeAlgorithmRegistry.register('sidewinder', SidewinderAlgorithm, {
+    name: 'Sidewinder',
+    icon: '🐍',
+    description: 'Goes through each row building runs of connected cells. At random a run is closed by opening the north wall of one of its cells, and a new run begins.',
+    biases: [
+        'The top row is always one unbroken corridor',
+        'Vertical texture; heading north from any cell never meets a dead end',
+        'Solutions climb steadily and rarely double back'
+    ],
+    closeProbability: 0.5, // Chance to close the run at each cell instead of extending it east
+    guaranteesSolution: true,
+    createLoops: false
+});
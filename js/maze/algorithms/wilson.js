@@ -0,0 +1,145 @@
+/**
+ * Wilson's Maze Generation Algorithm
+ * Adds loop-erased random walks to the maze until every cell belongs to it,
+ * which picks uniformly among all possible perfect mazes
+ */
+
+class WilsonAlgorithm extends window.MazeAlgorithm {
+    constructor(maze, config = {}) {
+        super(maze, 'wilson', config);
+        this.remaining = [];
+        this.remainingAt = null;
+        this.walk = [];
+        this.walkAt = null;
+        this.walks = 0;
+    }
+
+    /**
+     * Put the origin in the maze; every other cell waits to be walked from
+     */
+    prepare() {
+        const total = this.columns * this.rows;
+        this.remaining = Array.from({ length: total }, (_, i) => i);
+        this.remainingAt = Int32Array.from(this.remaining);
+        this.walk = [];
+        this.walkAt = new Int32Array(total).fill(-1);
+        this.walks = 0;
+
+        const origin = this.originCell();
+        this.carve(origin);
+        this.removeRemaining(this.latticeIndex(origin));
+        this.moveCurrent(origin);
+    }
+
+    /**
+     * Take a cell off the list of cells outside the maze
+     * @param {number} index - Lattice index
+     */
+    removeRemaining(index) {
+        const at = this.remainingAt[index];
+        const last = this.remaining.pop();
+        if (last !== index) {
+            this.remaining[at] = last;
+            this.remainingAt[last] = at;
+        }
+        this.remainingAt[index] = -1;
+    }
+
+    /**
+     * Move the walk one cell, or add the finished walk to the maze
+     * The walk itself is not carved until it reaches the maze; revisiting a cell erases the loop it closed
+     */
+    advance() {
+        if (this.walk.length === 0) {
+            if (this.remaining.length === 0) {
+                this.isComplete = true;
+                return;
+            }
+            this.extendWalk(this.pick(this.remaining));
+            return;
+        }
+
+        const head = this.cellOf(this.walk[this.walk.length - 1]);
+        const next = this.pick(this.latticeNeighbors(head));
+        const nextIndex = this.latticeIndex(next);
+
+        if (this.maze.isVisited(next.x, next.y)) {
+            this.commitWalk(next);
+        } else if (this.walkAt[nextIndex] !== -1) {
+            this.eraseLoop(nextIndex);
+        } else {
+            this.extendWalk(nextIndex);
+        }
+    }
+
+    /**
+     * Append a cell to the walk
+     * @param {number} index - Lattice index
+     */
+    extendWalk(index) {
+        this.walkAt[index] = this.walk.length;
+        this.walk.push(index);
+        this.moveCurrent(this.cellOf(index));
+    }
+
+    /**
+     * Cut the walk back to an earlier visit of a cell
+     * @param {number} index - Lattice index the walk returned to
+     */
+    eraseLoop(index) {
+        const keep = this.walkAt[index] + 1;
+        this.walk.splice(keep).forEach(erased => {
+            this.walkAt[erased] = -1;
+        });
+        this.moveCurrent(this.cellOf(index));
+    }
+
+    /**
+     * Carve the walk into the maze, ending at the maze cell it ran into
+     * @param {Object} target - Maze cell the walk reached
+     */
+    commitWalk(target) {
+        const cells = [...this.walk.map(index => this.cellOf(index)), target];
+        for (let i = 0; i < cells.length - 1; i++) {
+            this.carvePassage(cells[i], cells[i + 1]);
+        }
+
+        this.walk.forEach(index => {
+            this.walkAt[index] = -1;
+            this.removeRemaining(index);
+        });
+        this.walk = [];
+        this.walks++;
+        this.moveCurrent(target);
+    }
+
+    /**
+     * Walks wander, so the estimate only decides whether instant mode skips drawing
+     * @returns {number} Estimated step count
+     */
+    expectedSteps() {
+        return this.columns * this.rows * 4;
+    }
+
+    /**
+     * Walk length and cells left for step results and info
+     * @returns {Object} Subclass-specific state
+     */
+    describeState() {
+        return { walkLength: this.walk.length, remainingCells: this.remaining.length, walks: this.walks };
+    }
+}
+
+// Register algorithm globally
+window.MazeAlgorithmRegistry.register('wilson', WilsonAlgorithm, {
+    name: "Wilson's Algorithm",
+    icon: '🎲',
+    description: 'Starts a random walk from a cell outside the maze and follows it until it hits the maze, erasing any loop the walk makes along the way. The remaining walk becomes a new corridor.',
+    biases: [
+        'Unbiased: every possible perfect maze is equally likely',
+        'Slow start while the first walk searches for the tiny maze, then speeds up',
+        'Balanced mix of dead ends and corridor lengths'
+    ],
+    guaranteesSolution: true,
+    createLoops: false
+});
@@ -0,0 +1,234 @@
+/**
+ * Maze Analyzer
+ * Quality metrics for a finished maze: dead ends, junctions, loops, corridor lengths, river factor,
+ * the shortest start-to-exit path and a composite difficulty score
+ */
+
+window.MazeAnalyzer = {
+    /**
+     * Analyze a maze between its start and exit
+     * @param {MazeGrid} maze - Finished maze
+     * @returns {Object} Metrics; solution fields and difficulty are null when the exit is unreachable
+     */
+    analyze(maze) {
+        const corridors = this.corridorLengths(maze);
+        const spurs = this.deadEndSpurs(maze);
+        const degrees = this.countDegrees(maze);
+        const solution = this.solutionPath(maze);
+
+        const metrics = {
+            passageCells: degrees.passages,
+            deadEnds: degrees.deadEnds,
+            junctions: degrees.junctions,
+            loops: window.MazeValidator.countLoops(maze),
+            corridors: corridors.length,
+            longestCorridor: corridors.length > 0 ? Math.max(...corridors) : 0,
+            averageCorridor: this.round(this.average(corridors)),
+            branchingFactor: this.round(this.average(degrees.junctionExits)),
+            riverFactor: this.round(this.average(spurs)),
+            solutionLength: solution ? solution.length - 1 : null,
+            solutionDecisions: solution ? this.countDecisions(maze, solution) : null,
+            solutionPath: solution,
+            difficulty: null,
+            difficultyLabel: null
+        };
+
+        if (solution) {
+            metrics.difficulty = this.difficulty(metrics);
+            metrics.difficultyLabel = this.difficultyLabel(metrics.difficulty);
+        }
+
+        return metrics;
+    },
+
+    /**
+     * Count passage cells by how many ways lead out of them
+     * @param {MazeGrid} maze - Maze to scan
+     * @returns {Object} passages, deadEnds, junctions and the exit count of every junction
+     */
+    countDegrees(maze) {
+        const result = { passages: 0, deadEnds: 0, junctions: 0, junctionExits: [] };
+
+        for (let y = 0; y < maze.height; y++) {
+            for (let x = 0; x < maze.width; x++) {
+                if (!maze.isPassable(x, y)) continue;
+
+                const exits = maze.getPassableNeighbors(x, y).length;
+                result.passages++;
+                if (exits === 1) result.deadEnds++;
+                if (exits >= 3) {
+                    result.junctions++;
+                    result.junctionExits.push(exits);
+                }
+            }
+        }
+
+        return result;
+    },
+
+    /**
+     * Whether a cell ends a corridor: a dead end, a junction or an isolated cell
+     * @param {MazeGrid} maze - Maze
+     * @param {number} x - Cell X coordinate
+     * @param {number} y - Cell Y coordinate
+     * @returns {boolean} True unless the cell has exactly two openings
+     */
+    isNode(maze, x, y) {
+        return maze.getPassableNeighbors(x, y).length !== 2;
+    },
+
+    /**
+     * Follow a corridor from a node until the next node
+     * @param {MazeGrid} maze - Maze
+     * @param {Object} from - Node the walk starts at
+     * @param {Object} first - Neighbor of from to walk into
+     * @returns {Object} end node, the cell before it and the corridor length in moves
+     */
+    walkCorridor(maze, from, first) {
+        let previous = from;
+        let cell = first;
+        let length = 1;
+
+        while (!this.isNode(maze, cell.x, cell.y)) {
+            const next = maze.getPassableNeighbors(cell.x, cell.y)
+                .find(neighbor => neighbor.x !== previous.x || neighbor.y !== previous.y);
+            previous = cell;
+            cell = next;
+            length++;
+        }
+
+        return { end: cell, previous, length };
+    },
+
+    /**
+     * Lengths of the corridors between decision points
+     * A corridor runs from a junction or dead end through two-way cells to the next junction or dead end
+     * @param {MazeGrid} maze - Maze to measure
+     * @returns {Array<number>} Corridor lengths in moves
+     */
+    corridorLengths(maze) {
+        const lengths = [];
+
+        for (let y = 0; y < maze.height; y++) {
+            for (let x = 0; x < maze.width; x++) {
+                if (!maze.isPassable(x, y) || !this.isNode(maze, x, y)) continue;
+
+                maze.getPassableNeighbors(x, y).forEach(first => {
+                    const { end, previous, length } = this.walkCorridor(maze, { x, y }, first);
+
+                    // Each corridor is walked from both ends; keep the walk from the lower index
+                    const from = maze.index(x, y);
+                    const to = maze.index(end.x, end.y);
+                    const loopsBack = from === to && maze.index(first.x, first.y) < maze.index(previous.x, previous.y);
+                    if (from < to || loopsBack) {
+                        lengths.push(length);
+                    }
+                });
+            }
+        }
+
+        return lengths;
+    },
+
+    /**
+     * Depth of every dead-end spur: moves from a dead end back to the first junction
+     * Their mean is the river factor; long spurs make a maze "flow" like a river, short ones make it bushy
+     * @param {MazeGrid} maze - Maze to measure
+     * @returns {Array<number>} Spur lengths in moves
+     */
+    deadEndSpurs(maze) {
+        return maze.getDeadEnds().map(cell => {
+            const [first] = maze.getPassableNeighbors(cell.x, cell.y);
+            return this.walkCorridor(maze, cell, first).length;
+        });
+    },
+
+    /**
+     * Shortest path from the start to the exit
+     * @param {MazeGrid} maze - Maze with start and exit
+     * @returns {Array|null} Cells from start to exit, or null if there is no route
+     */
+    solutionPath(maze) {
+        const { start, exit } = maze;
+        if (!start || !exit || !maze.isPassable(start.x, start.y) || !maze.isPassable(exit.x, exit.y)) {
+            return null;
+        }
+
+        const { values } = window.MazeValidator.floodFill(maze, start);
+        let distance = values[maze.index(exit.x, exit.y)];
+        if (distance < 0) return null;
+
+        // Walk back downhill from the exit; every step has a neighbor one move closer
+        const path = [{ x: exit.x, y: exit.y }];
+        let cell = exit;
+        while (distance > 0) {
+            distance--;
+            cell = maze.getPassableNeighbors(cell.x, cell.y)
+                .find(neighbor => values[maze.index(neighbor.x, neighbor.y)] === distance);
+            path.push({ x: cell.x, y: cell.y });
+        }
+
+        return path.reverse();
+    },
+
+    /**
+     * Junctions along a path, each one a chance to take a wrong turn
+     * @param {MazeGrid} maze - Maze
+     * @param {Array} path - Cells from start to exit
+     * @returns {number} Junction count, excluding the start and exit themselves
+     */
+    countDecisions(maze, path) {
+        return path.slice(1, -1)
+            .filter(cell => maze.getPassableNeighbors(cell.x, cell.y).length >= 3)
+            .length;
+    },
+
+    /**
+     * Composite difficulty from 0 (trivial) to 100
+     * Long routes, frequent wrong turns and deep dead ends make a maze harder; loops offer shortcuts and make it easier
+     * @param {Object} metrics - Output of analyze() with a solution
+     * @returns {number} Difficulty score
+     */
+    difficulty(metrics) {
+        const config = window.MazeConfig.analysis;
+        const weights = config.difficultyWeights;
+        const share = value => window.MazeUtils.clamp(value, 0, 1);
+
+        const route = share(metrics.solutionLength / Math.max(1, metrics.passageCells * config.fullRouteShare));
+        const decisions = share(metrics.solutionDecisions / Math.max(1, metrics.solutionLength / config.fullDecisionSpacing));
+        const spurs = share(metrics.riverFactor / config.fullRiverFactor);
+        const loops = share(metrics.loops / Math.max(1, metrics.junctions));
+
+        const score = (weights.route * route + weights.decisions * decisions + weights.spurs * spurs) *
+                      (1 - weights.loopRelief * loops);
+        return Math.round(score * 100);
+    },
+
+    /**
+     * Word for a difficulty score
+     * @param {number} score - Difficulty (0-100)
+     * @returns {string} Label from MazeConfig.analysis.difficultyLabels
+     */
+    difficultyLabel(score) {
+        const match = window.MazeConfig.analysis.difficultyLabels.find(entry => score <= entry.max);
+        return match ? match.label : '';
+    },
+
+    /**
+     * Mean of a list
+     * @param {Array<number>} values - Numbers
+     * @returns {number} Mean, or 0 for an empty list
+     */
+    average(values) {
+        return values.length === 0 ? 0 : values.reduce((sum, value) => sum + value, 0) / values.length;
+    },
+
+    /**
+     * Round for display and export
+     * @param {number} value - Number to round
+     * @returns {number} Value with two decimals
+     */
+    round(value) {
+        return Math.round(value * 100) / 100;
+    }
+};
@@ -0,0 +1,193 @@
+/**
+ * Maze Benchmark
+ * Runs every generator across sizes and seeds with no animation, solves each maze with every solver,
+ * and collects speed and maze-quality metrics as flat rows for the Compare panel and its exports
+ */
+
+window.MazeBenchmark = {
+    // Table columns in display and export order
+    COLUMNS: [
+        { key: 'algorithm', label: 'Generator' },
+        { key: 'solver', label: 'Solver' },
+        { key: 'size', label: 'Size' },
+        { key: 'seed', label: 'Seed' },
+        { key: 'steps', label: 'Steps' },
+        { key: 'coverage', label: 'Coverage %' },
+        { key: 'generationTime', label: 'Gen ms' },
+        { key: 'deadEnds', label: 'Dead Ends' },
+        { key: 'corridorLength', label: 'Avg Corridor' },
+        { key: 'branchingFactor', label: 'Branching' },
+        { key: 'loops', label: 'Loops' },
+        { key: 'solutionLength', label: 'Solution' },
+        { key: 'difficulty', label: 'Difficulty' },
+        { key: 'solverPathLength', label: 'Found Path' },
+        { key: 'nodesExpanded', label: 'Expanded' },
+        { key: 'solverTime', label: 'Solve ms' }
+    ],
+
+    /**
+     * Build the list of cases for a plan
+     * @param {Object} plan - algorithms, solvers, sizes (odd numbers) and seeds
+     * @returns {Array} One {algorithm, size, seed} per maze to generate
+     */
+    buildCases(plan) {
+        const cases = [];
+        plan.algorithms.forEach(algorithm => {
+            plan.sizes.forEach(size => {
+                plan.seeds.forEach(seed => cases.push({ algorithm, size, seed }));
+            });
+        });
+        return cases;
+    },
+
+    /**
+     * Run a plan, yielding to the page between mazes
+     * @param {Object} plan - algorithms, solvers, sizes and seeds; algorithms and solvers default to everything configured
+     * @param {Function} onProgress - Called with (done, total, rows) after each maze
+     * @param {AbortSignal} signal - Optional signal that stops the run; the promise then rejects with an AbortError
+     * @returns {Promise} Resolves with one row per generator/solver pair and maze
+     */
+    async run(plan, onProgress = null, signal = null) {
+        const fullPlan = {
+            algorithms: Object.keys(window.MazeConfig.algorithms),
+            solvers: Object.keys(window.MazeConfig.solvers),
+            ...plan
+        };
+        const cases = this.buildCases(fullPlan);
+        const rows = [];
+
+        for (let i = 0; i < cases.length; i++) {
+            await window.MazeUtils.delay(0, signal);
+            rows.push(...this.runCase(cases[i], fullPlan.solvers));
+            if (onProgress) {
+                onProgress(i + 1, cases.length, rows);
+            }
+        }
+
+        return rows;
+    },
+
+    /**
+     * Generate one maze and solve it with each solver
+     * @param {Object} testCase - {algorithm, size, seed}
+     * @param {Array<string>} solvers - Solver ids
+     * @returns {Array} One row per solver
+     */
+    runCase(testCase, solvers) {
+        const { algorithm, size, seed } = testCase;
+        const entry = window.MazeConfig.algorithms[algorithm];
+        const maze = new window.MazeGrid(size, size);
+        const generator = new window[entry.className](maze, { seed });
+
+        const stopTimer = window.MazeUtils.measurePerformance(`benchmark ${algorithm} ${size}`);
+        generator.initialize();
+        while (!generator.isComplete) {
+            generator.step();
+        }
+        const generationTime = stopTimer();
+        maze.ensureMarkers();
+        maze.clearDirty();
+
+        const base = {
+            algorithm,
+            size: `${size}x${size}`,
+            seed,
+            steps: generator.stepCount,
+            coverage: window.MazeUtils.calculatePercentage(maze.countPassages(), size * size),
+            generationTime: this.round(generationTime),
+            ...this.measureMaze(maze)
+        };
+
+        return solvers.map(solverId => {
+            const SolverClass = window[window.MazeConfig.solvers[solverId].className];
+            const solver = new SolverClass(maze);
+            const stopSolver = window.MazeUtils.measurePerformance(`benchmark ${solverId}`);
+            solver.initialize();
+            while (!solver.isComplete) {
+                solver.step();
+            }
+
+            return {
+                ...base,
+                solver: solverId,
+                nodesExpanded: solver.closedSet.size,
+                solverPathLength: solver.path.length,
+                solverTime: this.round(stopSolver())
+            };
+        });
+    },
+
+    /**
+     * Maze-quality metrics for a finished maze, from MazeAnalyzer
+     * @param {MazeGrid} maze - Maze with start and exit
+     * @returns {Object} deadEnds, corridorLength, branchingFactor, loops, solutionLength and difficulty
+     */
+    measureMaze(maze) {
+        const analysis = window.MazeAnalyzer.analyze(maze);
+        return {
+            deadEnds: analysis.deadEnds,
+            corridorLength: analysis.averageCorridor,
+            branchingFactor: analysis.branchingFactor,
+            loops: analysis.loops,
+            solutionLength: analysis.solutionLength,
+            difficulty: analysis.difficulty
+        };
+    },
+
+    /**
+     * Sort rows by a column
+     * @param {Array} rows - Benchmark rows
+     * @param {string} key - Column key
+     * @param {number} direction - 1 ascending, -1 descending
+     * @returns {Array} New sorted array
+     */
+    sortRows(rows, key, direction = 1) {
+        return [...rows].sort((a, b) => {
+            const left = a[key];
+            const right = b[key];
+            if (left === right) return 0;
+            // Missing values sort last either way
+            if (left === null || left === undefined) return 1;
+            if (right === null || right === undefined) return -1;
+            if (typeof left === 'number' && typeof right === 'number') {
+                return (left - right) * direction;
+            }
+            return String(left).localeCompare(String(right), undefined, { numeric: true }) * direction;
+        });
+    },
+
+    /**
+     * Rows as CSV with a header line
+     * @param {Array} rows - Benchmark rows
+     * @returns {string} CSV text
+     */
+    toCSV(rows) {
+        const keys = this.COLUMNS.map(column => column.key);
+        const escape = value => {
+            const text = value === null || value === undefined ? '' : String(value);
+            return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+        const lines = [keys.join(',')];
+        rows.forEach(row => lines.push(keys.map(key => escape(row[key])).join(',')));
+        return lines.join('\n');
+    },
+
+    /**
+     * Rows as a JSON document
+     * @param {Array} rows - Benchmark rows
+     * @param {Object} plan - Plan the rows came from
+     * @returns {string} Pretty-printed JSON
+     */
+    toJSON(rows, plan = {}) {
+        return JSON.stringify({ plan, createdAt: new Date().toISOString(), rows }, null, 2);
+    },
+
+    /**
+     * Round for display and export
+     * @param {number} value - Number to round
+     * @returns {number} Value with two decimals
+     */
+    round(value) {
+        return Math.round(value * 100) / 100;
+    }
+};
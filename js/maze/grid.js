@@ -0,0 +1,425 @@
+/**
+ * Maze Grid Model
+ * Stores every cell as a byte of bit flags in one Uint8Array instead of one object per cell
+ * Tracks which cells changed so views can redraw only what a step touched
+ */
+
+class MazeGrid {
+    /**
+     * @param {number} width - Maze width in cells
+     * @param {number} height - Maze height in cells
+     */
+    constructor(width, height) {
+        this.width = width;
+        this.height = height;
+        this.cells = new Uint8Array(width * height).fill(MazeGrid.FLAGS.WALL);
+        this.start = null;
+        this.exit = null;
+
+        // Dirty tracking: a mark per cell so each cell is listed at most once per flush
+        this.dirtyMarks = new Uint8Array(width * height);
+        this.dirtyList = [];
+
+        // Cached grid[y][x] view, dropped whenever a cell changes
+        this.snapshot = null;
+    }
+
+    /**
+     * Flat index of a cell
+     * @param {number} x - Cell X coordinate
+     * @param {number} y - Cell Y coordinate
+     * @returns {number} Index into cells
+     */
+    index(x, y) {
+        return y * this.width + x;
+    }
+
+    /**
+     * Check whether coordinates are inside the grid
+     * @param {number} x - Cell X coordinate
+     * @param {number} y - Cell Y coordinate
+     * @returns {boolean} True if in bounds
+     */
+    inBounds(x, y) {
+        return window.MazeUtils.isValidCoordinate(x, y, this.width, this.height);
+    }
+
+    /**
+     * Raw flag byte of a cell
+     * @param {number} x - Cell X coordinate
+     * @param {number} y - Cell Y coordinate
+     * @returns {number} Bit flags
+     */
+    getFlags(x, y) {
+        return this.cells[this.index(x, y)];
+    }
+
+    /**
+     * Overwrite the flag byte of a cell
+     * @param {number} x - Cell X coordinate
+     * @param {number} y - Cell Y coordinate
+     * @param {number} flags - New bit flags
+     */
+    setFlags(x, y, flags) {
+        const i = this.index(x, y);
+        if (this.cells[i] === flags) return;
+
+        this.cells[i] = flags;
+        this.markDirty(i);
+    }
+
+    /**
+     * Test a single flag
+     * @param {number} x - Cell X coordinate
+     * @param {number} y - Cell Y coordinate
+     * @param {number} flag - One of MazeGrid.FLAGS
+     * @returns {boolean} True if the flag is set
+     */
+    hasFlag(x, y, flag) {
+        return (this.cells[this.index(x, y)] & flag) !== 0;
+    }
+
+    /**
+     * Set or clear a single flag
+     * @param {number} x - Cell X coordinate
+     * @param {number} y - Cell Y coordinate
+     * @param {number} flag - One of MazeGrid.FLAGS
+     * @param {boolean} on - Whether the flag should be set
+     */
+    setFlag(x, y, flag, on) {
+        const flags = this.getFlags(x, y);
+        this.setFlags(x, y, on ? flags | flag : flags & ~flag);
+    }
+
+    /**
+     * Decode a cell into an object, for code that reads named properties
+     * The object is a snapshot; write changes back with setCell
+     * @param {number} x - Cell X coordinate
+     * @param {number} y - Cell Y coordinate
+     * @returns {Object} Cell state {wall, visited, current, path, start, exit}
+     */
+    getCell(x, y) {
+        const flags = this.getFlags(x, y);
+        const FLAGS = MazeGrid.FLAGS;
+        return {
+            wall: (flags & FLAGS.WALL) !== 0,
+            visited: (flags & FLAGS.VISITED) !== 0,
+            current: (flags & FLAGS.CURRENT) !== 0,
+            path: (flags & FLAGS.PATH) !== 0,
+            start: (flags & FLAGS.START) !== 0,
+            exit: (flags & FLAGS.EXIT) !== 0
+        };
+    }
+
+    /**
+     * Update a cell from named properties; omitted properties keep their value
+     * @param {number} x - Cell X coordinate
+     * @param {number} y - Cell Y coordinate
+     * @param {Object} state - Any of {wall, visited, current, path}
+     */
+    setCell(x, y, state) {
+        const FLAGS = MazeGrid.FLAGS;
+        let flags = this.getFlags(x, y);
+
+        Object.keys(MazeGrid.PROPERTY_FLAGS).forEach(property => {
+            if (state[property] !== undefined) {
+                const flag = MazeGrid.PROPERTY_FLAGS[property];
+                flags = state[property] ? flags | flag : flags & ~flag;
+            }
+        });
+
+        // Start/exit markers only belong on passages
+        if (flags & FLAGS.WALL) {
+            if (flags & FLAGS.START) this.start = null;
+            if (flags & FLAGS.EXIT) this.exit = null;
+            flags &= ~(FLAGS.START | FLAGS.EXIT);
+        }
+
+        this.setFlags(x, y, flags);
+    }
+
+    /**
+     * Check whether a cell is a wall; out-of-bounds counts as wall
+     * @param {number} x - Cell X coordinate
+     * @param {number} y - Cell Y coordinate
+     * @returns {boolean} True for walls
+     */
+    isWall(x, y) {
+        return !this.inBounds(x, y) || this.hasFlag(x, y, MazeGrid.FLAGS.WALL);
+    }
+
+    /**
+     * Check whether a cell can be walked on
+     * @param {number} x - Cell X coordinate
+     * @param {number} y - Cell Y coordinate
+     * @returns {boolean} True for in-bounds passages
+     */
+    isPassable(x, y) {
+        return !this.isWall(x, y);
+    }
+
+    /**
+     * Check whether a generator has visited a cell
+     * @param {number} x - Cell X coordinate
+     * @param {number} y - Cell Y coordinate
+     * @returns {boolean} True if visited
+     */
+    isVisited(x, y) {
+        return this.hasFlag(x, y, MazeGrid.FLAGS.VISITED);
+    }
+
+    /**
+     * In-bounds cardinal neighbors of a cell
+     * @param {number} x - Cell X coordinate
+     * @param {number} y - Cell Y coordinate
+     * @param {number} step - Step size (default 1)
+     * @returns {Array} Neighbor coordinates with direction names
+     */
+    getNeighbors(x, y, step = 1) {
+        return window.MazeUtils.getCardinalNeighbors(x, y, step)
+            .filter(neighbor => this.inBounds(neighbor.x, neighbor.y));
+    }
+
+    /**
+     * Cardinal neighbors that can be walked on
+     * @param {number} x - Cell X coordinate
+     * @param {number} y - Cell Y coordinate
+     * @returns {Array} Passable neighbor coordinates with direction names
+     */
+    getPassableNeighbors(x, y) {
+        return this.getNeighbors(x, y).filter(neighbor => this.isPassable(neighbor.x, neighbor.y));
+    }
+
+    /**
+     * Check whether a passage has exactly one way out
+     * @param {number} x - Cell X coordinate
+     * @param {number} y - Cell Y coordinate
+     * @returns {boolean} True for dead ends
+     */
+    isDeadEnd(x, y) {
+        return this.isPassable(x, y) && this.getPassableNeighbors(x, y).length === 1;
+    }
+
+    /**
+     * List every dead end in the maze
+     * @returns {Array} Dead-end coordinates
+     */
+    getDeadEnds() {
+        const deadEnds = [];
+        for (let y = 0; y < this.height; y++) {
+            for (let x = 0; x < this.width; x++) {
+                if (this.isDeadEnd(x, y)) {
+                    deadEnds.push({ x, y });
+                }
+            }
+        }
+        return deadEnds;
+    }
+
+    /**
+     * Number of passage cells
+     * @returns {number} Passage count
+     */
+    countPassages() {
+        let count = 0;
+        for (let i = 0; i < this.cells.length; i++) {
+            if (!(this.cells[i] & MazeGrid.FLAGS.WALL)) count++;
+        }
+        return count;
+    }
+
+    /**
+     * Move the start marker to a cell, or clear it
+     * @param {number|null} x - Cell X coordinate, or null to clear
+     * @param {number} y - Cell Y coordinate
+     * @returns {boolean} False if the cell is outside the grid or a wall; the marker stays put
+     */
+    setStart(x, y) {
+        return this.moveMarker('start', MazeGrid.FLAGS.START, x, y);
+    }
+
+    /**
+     * Move the exit marker to a cell, or clear it
+     * @param {number|null} x - Cell X coordinate, or null to clear
+     * @param {number} y - Cell Y coordinate
+     * @returns {boolean} False if the cell is outside the grid or a wall; the marker stays put
+     */
+    setExit(x, y) {
+        return this.moveMarker('exit', MazeGrid.FLAGS.EXIT, x, y);
+    }
+
+    /**
+     * Shared implementation of setStart/setExit
+     * Markers only go on passages, so an out-of-bounds or wall target is refused
+     * @param {string} property - 'start' or 'exit'
+     * @param {number} flag - Matching flag
+     * @param {number|null} x - Cell X coordinate, or null to clear
+     * @param {number} y - Cell Y coordinate
+     * @returns {boolean} True if the marker was moved or cleared
+     */
+    moveMarker(property, flag, x, y) {
+        const clear = x === null || x === undefined;
+        if (!clear && (!this.inBounds(x, y) || this.isWall(x, y))) {
+            return false;
+        }
+
+        const previous = this[property];
+        if (previous && this.inBounds(previous.x, previous.y)) {
+            this.setFlag(previous.x, previous.y, flag, false);
+        }
+
+        if (clear) {
+            this[property] = null;
+            return true;
+        }
+
+        this[property] = { x, y };
+        this.setFlag(x, y, flag, true);
+        return true;
+    }
+
+    /**
+     * Give the maze a start and exit on passage cells
+     * Markers that already sit on a passage are kept; otherwise start falls back to (1,1) and the
+     * exit to the opposite corner, or the nearest passage in scan order if those are walls
+     */
+    ensureMarkers() {
+        const firstPassage = (from, direction) => {
+            for (let i = from; i >= 0 && i < this.cells.length; i += direction) {
+                if (!(this.cells[i] & MazeGrid.FLAGS.WALL)) {
+                    return { x: i % this.width, y: Math.floor(i / this.width) };
+                }
+            }
+            return null;
+        };
+        const isValid = cell => cell && this.isPassable(cell.x, cell.y);
+
+        if (!isValid(this.start)) {
+            const start = firstPassage(this.index(1, 1), 1);
+            this.setStart(start ? start.x : null, start ? start.y : 0);
+        }
+        if (!isValid(this.exit)) {
+            const exit = firstPassage(this.index(this.width - 2, this.height - 2), -1);
+            this.setExit(exit ? exit.x : null, exit ? exit.y : 0);
+        }
+    }
+
+    /**
+     * Queue a cell for the next flush
+     * @param {number} i - Cell index
+     */
+    markDirty(i) {
+        this.snapshot = null;
+        if (this.dirtyMarks[i]) return;
+
+        this.dirtyMarks[i] = 1;
+        this.dirtyList.push(i);
+    }
+
+    /**
+     * Cells changed since the last flush, without clearing them
+     * @returns {Array} Changed cell coordinates
+     */
+    getDirtyCells() {
+        return this.dirtyList.map(i => ({ x: i % this.width, y: Math.floor(i / this.width) }));
+    }
+
+    /**
+     * Return the cells changed since the last flush and start a new change list
+     * Generators call this once per step so each step reports exactly what it touched
+     * @returns {Array} Changed cell coordinates
+     */
+    flushDirty() {
+        const cells = this.getDirtyCells();
+        this.clearDirty();
+        return cells;
+    }
+
+    /**
+     * Forget pending changes
+     */
+    clearDirty() {
+        this.dirtyList.forEach(i => {
+            this.dirtyMarks[i] = 0;
+        });
+        this.dirtyList = [];
+    }
+
+    /**
+     * Set every cell back to a plain wall
+     */
+    reset() {
+        this.cells.fill(MazeGrid.FLAGS.WALL);
+        this.start = null;
+        this.exit = null;
+        this.dirtyMarks.fill(0);
+        this.dirtyList = [];
+        this.snapshot = null;
+    }
+
+    /**
+     * Overwrite every cell's flags at once, e.g. from a worker snapshot; nothing is marked dirty
+     * @param {Uint8Array} cells - Flag bytes, one per cell
+     */
+    setCells(cells) {
+        this.cells.set(cells);
+        this.snapshot = null;
+    }
+
+    /**
+     * Copy the grid, including markers but not pending changes
+     * @returns {MazeGrid} Independent copy
+     */
+    clone() {
+        const copy = new MazeGrid(this.width, this.height);
+        copy.cells.set(this.cells);
+        copy.start = this.start ? { ...this.start } : null;
+        copy.exit = this.exit ? { ...this.exit } : null;
+        return copy;
+    }
+
+    /**
+     * Row-of-objects view for code that still indexes grid[y][x]
+     * Built on first access after a change and shared until the next one, so treat it as read-only
+     * @returns {Array<Array<Object>>} Decoded cells
+     */
+    get grid() {
+        if (this.snapshot) return this.snapshot;
+
+        const rows = [];
+        for (let y = 0; y < this.height; y++) {
+            const row = [];
+            for (let x = 0; x < this.width; x++) {
+                row.push(this.getCell(x, y));
+            }
+            rows.push(row);
+        }
+        this.snapshot = rows;
+        return rows;
+    }
+}
+
+/**
+ * Bit flags stored per cell
+ */
+MazeGrid.FLAGS = {
+    WALL: 1,
+    VISITED: 2,
+    CURRENT: 4,
+    PATH: 8,
+    START: 16,
+    EXIT: 32
+};
+
+/**
+ * setCell property names and the flags they control
+ */
+MazeGrid.PROPERTY_FLAGS = {
+    wall: MazeGrid.FLAGS.WALL,
+    visited: MazeGrid.FLAGS.VISITED,
+    current: MazeGrid.FLAGS.CURRENT,
+    path: MazeGrid.FLAGS.PATH
+};
+
+// Register globally
+window.MazeGrid = MazeGrid;
@@ -0,0 +1,98 @@
+/**
+ * Heatmap Values
+ * Per-cell value fields for the overlay (distance from the start, generation visits,
+ * solver expansion order, learned Q-values) plus the shared colour ramp used in 2D and 3D
+ */
+
+window.MazeHeatmap = {
+    // Overlays offered by the selector; recorded fields are filled in by HeatmapOverlay from events
+    OVERLAYS: {
+        distance: { label: 'Distance from start', low: 'Near', high: 'Far' },
+        visits: { label: 'Generation visits', low: 'Few', high: 'Many' },
+        solver: { label: 'Solver expansion order', low: 'First', high: 'Last' },
+        qvalues: { label: 'Q-values (best action)', low: 'Low', high: 'High' }
+    },
+
+    /**
+     * BFS distance of every passage cell from the start
+     * @param {MazeGrid} maze - Maze with a start
+     * @returns {Float32Array} Distance per cell index; NaN for walls and unreachable cells
+     */
+    distanceField(maze) {
+        const values = new Float32Array(maze.width * maze.height).fill(NaN);
+        if (!maze.start || !maze.isPassable(maze.start.x, maze.start.y)) return values;
+
+        const distances = window.MazeValidator.floodFill(maze, maze.start).values;
+        distances.forEach((distance, index) => {
+            if (distance >= 0) values[index] = distance;
+        });
+        return values;
+    },
+
+    /**
+     * Scale a value field to 0-1
+     * Cells holding NaN (or a non-positive value when skipZero is set) stay NaN, meaning "no tile"
+     * @param {ArrayLike<number>} field - Raw values per cell index
+     * @param {boolean} skipZero - Treat zero as "no data" (for counts)
+     * @returns {Object} Object with values (Float32Array), min and max
+     */
+    normalize(field, skipZero = false) {
+        let min = Infinity;
+        let max = -Infinity;
+        const include = value => Number.isFinite(value) && (!skipZero || value > 0);
+
+        for (let i = 0; i < field.length; i++) {
+            if (!include(field[i])) continue;
+            min = Math.min(min, field[i]);
+            max = Math.max(max, field[i]);
+        }
+
+        const values = new Float32Array(field.length).fill(NaN);
+        if (min === Infinity) {
+            return { values, min: null, max: null };
+        }
+
+        const range = max - min || 1;
+        for (let i = 0; i < field.length; i++) {
+            if (include(field[i])) {
+                values[i] = (field[i] - min) / range;
+            }
+        }
+        return { values, min, max };
+    },
+
+    /**
+     * Colour for a position on the ramp
+     * @param {number} t - Position (0-1)
+     * @returns {string} CSS hex colour
+     */
+    colorAt(t) {
+        const stops = window.MazeConfig.colors.heatmap;
+        const scaled = window.MazeUtils.clamp(t, 0, 1) * (stops.length - 1);
+        const i = Math.min(Math.floor(scaled), stops.length - 2);
+        const from = this.parseHex(stops[i]);
+        const to = this.parseHex(stops[i + 1]);
+        const f = scaled - i;
+
+        const channel = k => Math.round(window.MazeUtils.lerp(from[k], to[k], f)).toString(16).padStart(2, '0');
+        return `#${channel(0)}${channel(1)}${channel(2)}`;
+    },
+
+    /**
+     * CSS gradient matching the ramp, for the legend
+     * @returns {string} linear-gradient() value
+     */
+    legendGradient() {
+        return `linear-gradient(to right, ${window.MazeConfig.colors.heatmap.join(', ')})`;
+    },
+
+    /**
+     * Split '#rrggbb' into channels
+     * @param {string} hex - CSS hex colour
+     * @returns {Array<number>} Red, green and blue (0-255)
+     */
+    parseHex(hex) {
+        const value = parseInt(hex.slice(1), 16);
+        return [(value >> 16) & 255, (value >> 8) & 255, value & 255];
+    }
+};
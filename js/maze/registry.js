@@ -0,0 +1,49 @@
+/**
+ * Maze Algorithm Registry
+ * Generator scripts register their class with its name, description, bias notes and tunable settings;
+ * MazeConfig.algorithms and the algorithm buttons are built from what has been registered
+ * Each generator's settings live in the register() call at the bottom of its own file
+ */
+
+window.MazeAlgorithmRegistry = {
+    /**
+     * Register a generator
+     * The entry, including tunables such as cellular's fill probability, becomes MazeConfig.algorithms[id]
+     * and is what the generator reads as this.config. An entry already present under the id keeps its
+     * fields, which lets a page or test adjust a generator by setting them before its script loads
+     * @param {string} id - Algorithm key used in events, permalinks and exports
+     * @param {Function} AlgorithmClass - Class implementing initialize()/step()/generate()/getInfo()
+     * @param {Object} entry - name, icon, description, biases and default settings
+     */
+    register(id, AlgorithmClass, entry) {
+        const algorithms = window.MazeConfig.algorithms;
+
+        window[AlgorithmClass.name] = AlgorithmClass;
+        algorithms[id] = {
+            biases: [],
+            ...entry,
+            ...algorithms[id],
+            className: AlgorithmClass.name
+        };
+    },
+
+    /**
+     * Look up a registered generator
+     * @param {string} id - Algorithm key
+     * @returns {Object|null} Config entry, or null if nothing is registered under that key
+     */
+    get(id) {
+        const entry = window.MazeConfig.algorithms[id];
+        return entry && entry.className ? entry : null;
+    },
+
+    /**
+     * Registered generators in registration order
+     * @returns {Array} Array of {id, entry}
+     */
+    list() {
+        return Object.entries(window.MazeConfig.algorithms)
+            .filter(([, entry]) => entry.className)
+            .map(([id, entry]) => ({ id, entry }));
+    }
+};
@@ -0,0 +1,89 @@
+/**
+ * Run Controller
+ * Makes sure only one generation, solve or training run owns the grid at a time:
+ * starting a run aborts the previous one, and Reset aborts whatever is running
+ */
+
+class MazeRunController {
+    constructor() {
+        // {kind, info, controller} for the run that owns the grid, or null
+        this.current = null;
+
+        this.setupEventListeners();
+    }
+
+    /**
+     * Whether a run currently owns the grid
+     * @returns {boolean} True while a run is in progress
+     */
+    get isRunning() {
+        return this.current !== null;
+    }
+
+    /**
+     * Kind of the run in progress
+     * @returns {string|null} 'generation', 'solver', 'training', or null when idle
+     */
+    get kind() {
+        return this.current ? this.current.kind : null;
+    }
+
+    /**
+     * Start a run, aborting any run already in progress
+     * @param {string} kind - 'generation', 'solver' or 'training'
+     * @param {Function} task - Receives an AbortSignal and returns a promise for the run's result
+     * @param {Object} info - Details reported if the run is cancelled (algorithm, solver, ...)
+     * @returns {Promise} Resolves with the task's result, or null if it was cancelled
+     */
+    async run(kind, task, info = {}) {
+        this.cancel('superseded');
+
+        const run = { kind, info, controller: new AbortController() };
+        this.current = run;
+        window.MazeUtils.debug('MazeRunController', `${kind} run started`, info);
+
+        try {
+            return await task(run.controller.signal);
+        } catch (error) {
+            if (window.MazeUtils.isAbortError(error)) {
+                return null;
+            }
+            throw error;
+        } finally {
+            if (this.current === run) {
+                this.current = null;
+            }
+        }
+    }
+
+    /**
+     * Abort the run in progress
+     * @param {string} reason - Why the run stopped; becomes the signal's reason and the cancelled event's
+     * @returns {boolean} True if a run was aborted
+     */
+    cancel(reason = 'cancelled') {
+        const run = this.current;
+        if (!run) return false;
+
+        // Release ownership first so listeners of the cancelled event can start a new run
+        // Whatever observes the abort (the step loop, the worker client, the timeline) announces the
+        // cancellation, and reads the reason back from the signal
+        this.current = null;
+        run.controller.abort(reason);
+
+        window.MazeUtils.debug('MazeRunController', `${run.kind} run cancelled`, { reason });
+        return true;
+    }
+
+    /**
+     * Setup event listeners
+     */
+    setupEventListeners() {
+        window.EventBus.on(window.MazeConfig.events.MAZE_RESET, () => {
+            this.cancel('reset');
+        });
+    }
+}
+
+// Create global run controller instance
+window.MazeRunController = new MazeRunController();
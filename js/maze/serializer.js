@@ -0,0 +1,301 @@
+/**
+ * Maze Serialization
+ * Saves and restores mazes as versioned JSON, a compact URL-safe bitfield string, or a PNG
+ * Imported mazes are announced as a completed generation so every view picks them up
+ */
+
+window.MazeSerializer = {
+    FORMAT: 'maze-ai-navigator',
+    VERSION: 1,
+
+    // Per-cell bits in the JSON "cells" rows
+    FLAGS: {
+        wall: 1,
+        visited: 2,
+        path: 4
+    },
+
+    /**
+     * Convert a maze into a plain, versioned JSON object
+     * Each row is a string with one digit per cell holding the wall/visited/path bits
+     * @param {Object} maze - Maze with width, height and getCell
+     * @param {Object} meta - Optional algorithm, seed, stats and MazeAnalyzer analysis to store alongside
+     * @returns {Object} Serializable maze description
+     */
+    toJSON(maze, meta = {}) {
+        const rows = [];
+        for (let y = 0; y < maze.height; y++) {
+            let row = '';
+            for (let x = 0; x < maze.width; x++) {
+                const cell = maze.getCell(x, y);
+                let bits = 0;
+                if (cell.wall) bits |= this.FLAGS.wall;
+                if (cell.visited) bits |= this.FLAGS.visited;
+                if (cell.path) bits |= this.FLAGS.path;
+                row += bits;
+            }
+            rows.push(row);
+        }
+
+        const stats = meta.stats || {};
+        return {
+            format: this.FORMAT,
+            version: this.VERSION,
+            width: maze.width,
+            height: maze.height,
+            algorithm: meta.algorithm ?? stats.algorithm ?? null,
+            seed: meta.seed ?? stats.seed ?? null,
+            start: maze.start || null,
+            exit: maze.exit || null,
+            stats: stats,
+            analysis: meta.analysis || null,
+            cells: rows
+        };
+    },
+
+    /**
+     * Rebuild a maze from a JSON object or string produced by toJSON
+     * @param {Object|string} data - Serialized maze
+     * @returns {Object} Object with maze and stats
+     * @throws {Error} If the data is not a maze, its cells disagree with its size, or a marker is off the passages
+     */
+    fromJSON(data) {
+        const json = typeof data === 'string' ? JSON.parse(data) : data;
+
+        if (!json || json.format !== this.FORMAT) {
+            throw new Error('Not a maze file');
+        }
+        if (json.version > this.VERSION) {
+            throw new Error(`Maze file version ${json.version} is newer than supported version ${this.VERSION}`);
+        }
+        this.validateSize(json.width, json.height);
+        if (!Array.isArray(json.cells) || json.cells.length !== json.height) {
+            throw new Error(`Maze has ${Array.isArray(json.cells) ? json.cells.length : 0} cell rows but a height of ${json.height}`);
+        }
+        json.cells.forEach((row, y) => {
+            if (typeof row !== 'string' || row.length !== json.width) {
+                throw new Error(`Maze row ${y} has ${typeof row === 'string' ? row.length : 0} cells but a width of ${json.width}`);
+            }
+            const bad = row.search(/[^0-7]/);
+            if (bad !== -1) {
+                throw new Error(`Maze row ${y} has an invalid cell '${row[bad]}' at column ${bad}`);
+            }
+        });
+
+        const maze = new window.MazeGrid(json.width, json.height);
+        for (let y = 0; y < json.height; y++) {
+            for (let x = 0; x < json.width; x++) {
+                const bits = Number(json.cells[y][x]);
+                maze.setCell(x, y, {
+                    wall: (bits & this.FLAGS.wall) !== 0,
+                    visited: (bits & this.FLAGS.visited) !== 0,
+                    current: false,
+                    path: (bits & this.FLAGS.path) !== 0
+                });
+            }
+        }
+        if (json.start) this.placeMarker(maze, 'start', json.start);
+        if (json.exit) this.placeMarker(maze, 'exit', json.exit);
+        maze.clearDirty();
+
+        return {
+            maze,
+            stats: {
+                ...json.stats,
+                algorithm: json.algorithm,
+                seed: json.seed
+            }
+        };
+    },
+
+    /**
+     * Encode walls, start and exit as a compact URL-safe base64 string
+     * Layout: version(1) width(2) height(2) markers(1) start(4) exit(4) then one bit per cell
+     * @param {Object} maze - Maze with width, height and getCell
+     * @returns {string} base64url string
+     */
+    toBitfield(maze) {
+        const cellCount = maze.width * maze.height;
+        const headerSize = 14;
+        const bytes = new Uint8Array(headerSize + Math.ceil(cellCount / 8));
+        const view = new DataView(bytes.buffer);
+
+        view.setUint8(0, this.VERSION);
+        view.setUint16(1, maze.width);
+        view.setUint16(3, maze.height);
+        view.setUint8(5, (maze.start ? 1 : 0) | (maze.exit ? 2 : 0));
+        view.setUint32(6, maze.start ? maze.start.y * maze.width + maze.start.x : 0);
+        view.setUint32(10, maze.exit ? maze.exit.y * maze.width + maze.exit.x : 0);
+
+        for (let i = 0; i < cellCount; i++) {
+            if (maze.isWall(i % maze.width, Math.floor(i / maze.width))) {
+                bytes[headerSize + (i >> 3)] |= 1 << (i & 7);
+            }
+        }
+
+        let binary = '';
+        bytes.forEach(byte => {
+            binary += String.fromCharCode(byte);
+        });
+        return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    },
+
+    /**
+     * Decode a string produced by toBitfield
+     * Only walls survive the round trip; every passage comes back visited and on the path
+     * @param {string} encoded - base64url string
+     * @returns {Object} Object with maze and stats
+     */
+    fromBitfield(encoded) {
+        const base64 = encoded.replace(/-/g, '+').replace(/_/g, '/');
+        const binary = atob(base64 + '='.repeat((4 - base64.length % 4) % 4));
+        const bytes = Uint8Array.from(binary, char => char.charCodeAt(0));
+        const view = new DataView(bytes.buffer);
+        const headerSize = 14;
+
+        if (bytes.length < headerSize) {
+            throw new Error('Maze code is too short');
+        }
+        const version = view.getUint8(0);
+        if (version > this.VERSION) {
+            throw new Error(`Maze code version ${version} is newer than supported version ${this.VERSION}`);
+        }
+
+        const width = view.getUint16(1);
+        const height = view.getUint16(3);
+        const markers = view.getUint8(5);
+        const cellCount = width * height;
+        this.validateSize(width, height);
+        if (bytes.length < headerSize + Math.ceil(cellCount / 8)) {
+            throw new Error('Maze code is truncated');
+        }
+
+        const maze = new window.MazeGrid(width, height);
+        for (let i = 0; i < cellCount; i++) {
+            const wall = (bytes[headerSize + (i >> 3)] & (1 << (i & 7))) !== 0;
+            maze.setCell(i % width, Math.floor(i / width), {
+                wall: wall,
+                visited: !wall,
+                current: false,
+                path: !wall
+            });
+        }
+
+        if (markers & 1) {
+            const start = view.getUint32(6);
+            this.placeMarker(maze, 'start', { x: start % width, y: Math.floor(start / width) });
+        }
+        if (markers & 2) {
+            const exit = view.getUint32(10);
+            this.placeMarker(maze, 'exit', { x: exit % width, y: Math.floor(exit / width) });
+        }
+        maze.clearDirty();
+
+        return { maze, stats: {} };
+    },
+
+    /**
+     * Reject sizes no maze can have
+     * @param {*} width - Declared width
+     * @param {*} height - Declared height
+     * @throws {Error} If either dimension is not a positive integer
+     */
+    validateSize(width, height) {
+        const valid = value => Number.isInteger(value) && value > 0 && value <= 0xffff;
+        if (!valid(width) || !valid(height)) {
+            throw new Error(`Maze size ${width}x${height} is invalid; width and height must be whole numbers from 1 to 65535`);
+        }
+    },
+
+    /**
+     * Put an imported start or exit marker on the maze
+     * @param {MazeGrid} maze - Maze being imported
+     * @param {string} name - 'start' or 'exit'
+     * @param {Object} cell - Marker coordinates from the file
+     * @throws {Error} If the marker is outside the maze or on a wall
+     */
+    placeMarker(maze, name, cell) {
+        const label = name === 'start' ? 'Start' : 'Exit';
+        if (!Number.isInteger(cell.x) || !Number.isInteger(cell.y) || !maze.inBounds(cell.x, cell.y)) {
+            throw new Error(`${label} (${cell.x}, ${cell.y}) is outside the ${maze.width}x${maze.height} maze`);
+        }
+        if (maze.isWall(cell.x, cell.y)) {
+            throw new Error(`${label} (${cell.x}, ${cell.y}) is on a wall`);
+        }
+
+        if (name === 'start') {
+            maze.setStart(cell.x, cell.y);
+        } else {
+            maze.setExit(cell.x, cell.y);
+        }
+    },
+
+    /**
+     * Save the 2D canvas as a PNG download
+     * @param {HTMLCanvasElement} canvas - Canvas to capture
+     * @param {string} filename - Download filename
+     */
+    exportPNG(canvas, filename = 'maze.png') {
+        canvas.toBlob(blob => {
+            if (blob) {
+                this.download(blob, filename);
+            }
+        }, 'image/png');
+    },
+
+    /**
+     * Save a maze as a JSON download
+     * @param {Object} maze - Maze to save
+     * @param {Object} meta - Optional algorithm, seed, stats and analysis
+     * @param {string} filename - Download filename
+     */
+    exportJSON(maze, meta = {}, filename = 'maze.json') {
+        const json = JSON.stringify(this.toJSON(maze, meta), null, 2);
+        this.download(new Blob([json], { type: 'application/json' }), filename);
+    },
+
+    /**
+     * Read a JSON file or bitfield text file and load it into the app
+     * @param {File} file - File chosen by the user
+     * @returns {Promise} Promise that resolves with the loaded maze and stats
+     */
+    async importFile(file) {
+        const text = (await file.text()).trim();
+        const result = text.startsWith('{') ? this.fromJSON(text) : this.fromBitfield(text);
+        this.load(result.maze, { ...result.stats, imported: true });
+        return result;
+    },
+
+    /**
+     * Hand a deserialized maze to every listener as if it had just been generated
+     * A run still in progress is cancelled first, so its own completion cannot replace the loaded maze
+     * @param {Object} maze - Maze to load
+     * @param {Object} stats - Statistics to report with it
+     */
+    load(maze, stats = {}) {
+        if (window.MazeRunController) {
+            window.MazeRunController.cancel('superseded');
+        }
+        window.MazeUtils.debug('MazeSerializer', 'Maze loaded', {
+            size: `${maze.width}x${maze.height}`,
+            algorithm: stats.algorithm
+        });
+        window.EventBus.maze.generationCompleted(maze, stats);
+    },
+
+    /**
+     * Trigger a browser download for a blob
+     * @param {Blob} blob - File contents
+     * @param {string} filename - Download filename
+     */
+    download(blob, filename) {
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+};
@@ -0,0 +1,207 @@
+/**
+ * Generation Timeline
+ * Drives an algorithm's step() directly and records every step as a cell diff,
+ * so generation can be stepped backward, replayed and scrubbed to any earlier point
+ */
+
+class GenerationTimeline {
+    /**
+     * @param {Object} algorithm - Algorithm instance following the initialize/step contract
+     * @param {MazeGrid} maze - Grid the algorithm carves; must not be initialized yet
+     */
+    constructor(algorithm, maze) {
+        this.algorithm = algorithm;
+        this.maze = maze;
+        this.frames = [];
+        this.cursor = 0;
+
+        // Flags as of the cursor, used to diff each live step
+        this.shadow = new Uint8Array(maze.cells);
+        // Stack as of the cursor; kept separately so past stacks cost only their diffs
+        this.stack = [];
+    }
+
+    /**
+     * Number of recorded steps
+     * @returns {number} Frame count
+     */
+    get length() {
+        return this.frames.length;
+    }
+
+    /**
+     * Whether the cursor sits on the final step of a finished generation
+     * @returns {boolean} True when fully generated and not rewound
+     */
+    get isComplete() {
+        return this.algorithm.isComplete && this.cursor === this.frames.length;
+    }
+
+    /**
+     * Initialize the algorithm; its setup is folded into the first recorded step
+     */
+    initialize() {
+        this.algorithm.initialize();
+    }
+
+    /**
+     * Advance one step: replay a recorded step, or run and record a new one at the live edge
+     * @returns {Object|null} Frame that was applied with changedCells, or null at the end
+     */
+    stepForward() {
+        if (this.cursor < this.frames.length) {
+            const frame = this.frames[this.cursor++];
+            return this.applyFrame(frame, 'after');
+        }
+        if (this.algorithm.isComplete) return null;
+
+        return this.record(this.algorithm.step());
+    }
+
+    /**
+     * Undo the step before the cursor
+     * @returns {Object|null} Frame now current (or null at the start) with changedCells
+     */
+    stepBack() {
+        if (this.cursor === 0) return null;
+
+        const frame = this.frames[--this.cursor];
+        const result = this.applyFrame(frame, 'before');
+        return { ...this.getFrame(), changedCells: result.changedCells };
+    }
+
+    /**
+     * Move the cursor to any recorded step
+     * @param {number} target - Step index (0 is before the first step)
+     * @returns {Array} Coordinates of every cell that changed on the way
+     */
+    seek(target) {
+        const goal = window.MazeUtils.clamp(Math.round(target), 0, this.frames.length);
+        const changed = new Set();
+
+        while (this.cursor < goal) {
+            this.frames[this.cursor].indices.forEach(i => changed.add(i));
+            this.stepForward();
+        }
+        while (this.cursor > goal) {
+            this.frames[this.cursor - 1].indices.forEach(i => changed.add(i));
+            this.stepBack();
+        }
+
+        return this.toCells(changed);
+    }
+
+    /**
+     * Frame describing the state at the cursor
+     * @returns {Object|null} Last applied frame, or null before the first step
+     */
+    getFrame() {
+        return this.cursor > 0 ? this.frames[this.cursor - 1] : null;
+    }
+
+    /**
+     * Run one live step and store its diff
+     * @param {Object} result - Return value of algorithm.step()
+     * @returns {Object} Recorded frame with changedCells
+     */
+    record(result) {
+        const markersBefore = { start: this.maze.start, exit: this.maze.exit };
+        const changed = new Set();
+        const collect = cells => cells.forEach(cell => changed.add(this.maze.index(cell.x, cell.y)));
+        collect(result.changedCells || []);
+
+        // The finished maze gets its start and exit in the same step
+        if (this.algorithm.isComplete) {
+            this.maze.ensureMarkers();
+            collect(this.maze.flushDirty());
+        }
+
+        const indices = [...changed].filter(i => this.shadow[i] !== this.maze.cells[i]);
+        const frame = {
+            step: this.frames.length + 1,
+            indices: Int32Array.from(indices),
+            before: Uint8Array.from(indices, i => this.shadow[i]),
+            after: Uint8Array.from(indices, i => this.maze.cells[i]),
+            current: result.current ? { x: result.current.x, y: result.current.y } : null,
+            state: this.algorithm.getState(),
+            stackDiff: this.diffStack(),
+            markers: this.algorithm.isComplete
+                ? { before: markersBefore, after: { start: this.maze.start, exit: this.maze.exit } }
+                : null
+        };
+
+        indices.forEach(i => {
+            this.shadow[i] = this.maze.cells[i];
+        });
+        this.frames.push(frame);
+        this.cursor = this.frames.length;
+
+        return { ...frame, changedCells: this.toCells(indices) };
+    }
+
+    /**
+     * Compare the algorithm's live stack with the recorded one
+     * Stacks only change at the top, so the diff is the shared prefix length plus both tails
+     * @returns {Object|null} {keep, removed, added}, or null if the algorithm has no stack
+     */
+    diffStack() {
+        const live = this.algorithm.stack;
+        if (!Array.isArray(live)) return null;
+
+        let keep = 0;
+        const limit = Math.min(live.length, this.stack.length);
+        while (keep < limit && live[keep].x === this.stack[keep].x && live[keep].y === this.stack[keep].y) {
+            keep++;
+        }
+
+        const diff = {
+            keep,
+            removed: this.stack.slice(keep),
+            added: live.slice(keep).map(cell => ({ x: cell.x, y: cell.y }))
+        };
+        this.stack = this.stack.slice(0, keep).concat(diff.added);
+        return diff;
+    }
+
+    /**
+     * Write one side of a recorded frame back into the grid
+     * @param {Object} frame - Recorded frame
+     * @param {string} side - 'after' to replay, 'before' to undo
+     * @returns {Object} The frame with changedCells
+     */
+    applyFrame(frame, side) {
+        const values = frame[side];
+        frame.indices.forEach((index, i) => {
+            this.maze.setFlags(index % this.maze.width, Math.floor(index / this.maze.width), values[i]);
+            this.shadow[index] = values[i];
+        });
+        this.maze.clearDirty();
+
+        if (frame.markers) {
+            this.maze.start = frame.markers[side].start;
+            this.maze.exit = frame.markers[side].exit;
+        }
+
+        if (frame.stackDiff) {
+            const { keep, removed, added } = frame.stackDiff;
+            this.stack = this.stack.slice(0, keep).concat(side === 'after' ? added : removed);
+        }
+
+        return { ...frame, changedCells: this.toCells(frame.indices) };
+    }
+
+    /**
+     * Turn cell indices into the {x, y} list used for changedCells elsewhere
+     * @param {Iterable<number>} indices - Cell indices
+     * @returns {Array} Cell coordinates
+     */
+    toCells(indices) {
+        return Array.from(indices, index => ({
+            x: index % this.maze.width,
+            y: Math.floor(index / this.maze.width)
+        }));
+    }
+}
+
+// Register globally
+window.GenerationTimeline = GenerationTimeline;
@@ -0,0 +1,130 @@
+/**
+ * Maze Validator
+ * Quick solvability check for hand-edited mazes: flood-fills from the start and reports
+ * whether the exit is reachable, how many loops the passages form, and the dead ends
+ */
+
+window.MazeValidator = {
+    /**
+     * Validate a maze between its start and exit
+     * @param {MazeGrid} maze - Maze to check
+     * @param {Object} start - Start cell; defaults to maze.start
+     * @param {Object} exit - Exit cell; defaults to maze.exit
+     * @returns {Object} Reachability, shortest distance, loop count, dead ends and cell counts
+     */
+    validate(maze, start = maze.start, exit = maze.exit) {
+        const passageCells = maze.countPassages();
+        const deadEnds = maze.getDeadEnds();
+        const result = {
+            valid: false,
+            reachable: false,
+            distance: null,
+            reachableCells: 0,
+            unreachableCells: passageCells,
+            passageCells,
+            loops: this.countLoops(maze),
+            deadEnds: deadEnds.length,
+            problems: []
+        };
+
+        if (!start || !maze.isPassable(start.x, start.y)) {
+            result.problems.push('Start is missing or on a wall');
+        }
+        if (!exit || !maze.isPassable(exit.x, exit.y)) {
+            result.problems.push('Exit is missing or on a wall');
+        }
+        if (result.problems.length > 0) {
+            return result;
+        }
+
+        const distances = this.floodFill(maze, start);
+        result.reachableCells = distances.reached;
+        result.unreachableCells = passageCells - distances.reached;
+
+        const exitDistance = distances.values[maze.index(exit.x, exit.y)];
+        if (exitDistance >= 0) {
+            result.reachable = true;
+            result.valid = true;
+            result.distance = exitDistance;
+        } else {
+            result.problems.push('Exit cannot be reached from the start');
+        }
+
+        return result;
+    },
+
+    /**
+     * Breadth-first distances from a cell through passages
+     * @param {MazeGrid} maze - Maze to search
+     * @param {Object} from - Cell to start from
+     * @returns {Object} Object with values (Int32Array, -1 for unreached) and reached count
+     */
+    floodFill(maze, from) {
+        const values = new Int32Array(maze.width * maze.height).fill(-1);
+        const queue = [from];
+        values[maze.index(from.x, from.y)] = 0;
+        let reached = 1;
+
+        for (let head = 0; head < queue.length; head++) {
+            const cell = queue[head];
+            const distance = values[maze.index(cell.x, cell.y)];
+
+            for (let neighbor of maze.getPassableNeighbors(cell.x, cell.y)) {
+                const index = maze.index(neighbor.x, neighbor.y);
+                if (values[index] !== -1) continue;
+
+                values[index] = distance + 1;
+                reached++;
+                queue.push(neighbor);
+            }
+        }
+
+        return { values, reached };
+    },
+
+    /**
+     * Count independent loops in the passage graph (its cyclomatic number, edges - cells + components)
+     * A perfect maze has none; every extra opening in a perfect maze adds one
+     * @param {MazeGrid} maze - Maze to check
+     * @returns {number} Loop count
+     */
+    countLoops(maze) {
+        let edges = 0;
+        let cells = 0;
+
+        for (let y = 0; y < maze.height; y++) {
+            for (let x = 0; x < maze.width; x++) {
+                if (!maze.isPassable(x, y)) continue;
+                cells++;
+                if (maze.isPassable(x + 1, y)) edges++;
+                if (maze.isPassable(x, y + 1)) edges++;
+            }
+        }
+
+        return edges - cells + this.countComponents(maze);
+    },
+
+    /**
+     * Count separate passage regions
+     * @param {MazeGrid} maze - Maze to check
+     * @returns {number} Number of connected components
+     */
+    countComponents(maze) {
+        const seen = new Uint8Array(maze.width * maze.height);
+        let components = 0;
+
+        for (let y = 0; y < maze.height; y++) {
+            for (let x = 0; x < maze.width; x++) {
+                if (seen[maze.index(x, y)] || !maze.isPassable(x, y)) continue;
+
+                components++;
+                const { values } = this.floodFill(maze, { x, y });
+                values.forEach((distance, index) => {
+                    if (distance >= 0) seen[index] = 1;
+                });
+            }
+        }
+
+        return components;
+    }
+};
@@ -0,0 +1,180 @@
+/**
+ * Step Scheduler
+ * Drives an algorithm's step() from requestAnimationFrame, running as many steps per frame as the
+ * current speed allows. Follows the speed slider and the instant toggle while a run is in progress
+ */
+
+class StepScheduler {
+    /**
+     * @param {Object} options - speed (1-10), signal, expectedSteps, rateScale, and instant to pin the mode instead of following the toggle
+     */
+    constructor(options = {}) {
+        this.speed = options.speed || 5;
+        this.signal = options.signal || null;
+        // Rough run length; lets instant mode decide whether animating is worth it
+        this.expectedSteps = options.expectedSteps || 0;
+        // Multiplier for callers whose step is cheap to watch (e.g. a whole training episode)
+        this.rateScale = options.rateScale || 1;
+        this.followsToggle = options.instant === undefined;
+        this.instant = this.followsToggle ? StepScheduler.instant : options.instant;
+
+        this.budget = 1;
+        this.lastTime = null;
+        this.stepsRun = 0;
+
+        this.onSpeedChanged = (data) => this.setSpeed(data.speed);
+        this.onInstantChanged = (data) => {
+            if (this.followsToggle) {
+                this.instant = data.enabled;
+            }
+        };
+    }
+
+    /**
+     * Steps per second for a speed setting
+     * Speed 1 keeps the old slowest delay; speed 10 fills maxStepsPerFrame every frame, on a geometric scale between
+     * @param {number} speed - Speed (1-10)
+     * @returns {number} Steps per second
+     */
+    static stepsPerSecond(speed) {
+        const mazeConfig = window.MazeConfig.maze;
+        const slowest = 1000 / mazeConfig.animationDelayMax;
+        const fastest = mazeConfig.maxStepsPerFrame * 60;
+        const t = (window.MazeUtils.clamp(speed, 1, 10) - 1) / 9;
+        return slowest * Math.pow(fastest / slowest, t);
+    }
+
+    /**
+     * Whether this run skips animation entirely
+     * @returns {boolean} True in instant mode when the run is longer than performance.maxAnimationSteps
+     */
+    get skipsAnimation() {
+        return this.instant && this.expectedSteps > window.MazeConfig.performance.maxAnimationSteps;
+    }
+
+    /**
+     * Change speed mid-run
+     * @param {number} speed - New speed (1-10)
+     */
+    setSpeed(speed) {
+        this.speed = speed;
+        // Drop any backlog so speeding up does not burst and slowing down takes effect at once
+        this.budget = Math.min(this.budget, 1);
+    }
+
+    /**
+     * Step until done, a few steps per animation frame
+     * @param {Function} step - Runs one step and returns its result
+     * @param {Function} isDone - Returns true once there is nothing left to step
+     * @param {Function} onStep - Called with each step's result; when animation is skipped, only once per frame
+     * @returns {Promise} Resolves with the number of steps run; rejects with an AbortError if the signal fires
+     */
+    async run(step, isDone, onStep = null) {
+        const events = window.MazeConfig.events;
+        window.EventBus.on(events.SPEED_CHANGED, this.onSpeedChanged);
+        window.EventBus.on(events.INSTANT_MODE_CHANGED, this.onInstantChanged);
+
+        try {
+            while (!isDone()) {
+                window.MazeUtils.throwIfAborted(this.signal);
+                const now = await this.nextFrame();
+
+                if (this.instant) {
+                    this.runInstantFrame(step, isDone, onStep);
+                } else {
+                    this.runAnimatedFrame(now, step, isDone, onStep);
+                }
+            }
+        } finally {
+            window.EventBus.off(events.SPEED_CHANGED, this.onSpeedChanged);
+            window.EventBus.off(events.INSTANT_MODE_CHANGED, this.onInstantChanged);
+        }
+
+        return this.stepsRun;
+    }
+
+    /**
+     * Run the steps the speed allows for the time since the last frame
+     * @param {number} now - Frame timestamp (ms)
+     * @param {Function} step - Step function
+     * @param {Function} isDone - Completion check
+     * @param {Function} onStep - Per-step callback
+     */
+    runAnimatedFrame(now, step, isDone, onStep) {
+        const maxSteps = window.MazeConfig.maze.maxStepsPerFrame * this.rateScale;
+        if (this.lastTime !== null) {
+            this.budget += (now - this.lastTime) * StepScheduler.stepsPerSecond(this.speed) * this.rateScale / 1000;
+        }
+        this.lastTime = now;
+
+        const count = Math.min(Math.floor(this.budget), maxSteps);
+        // A stalled tab should not come back to a burst of catch-up steps
+        this.budget = count === maxSteps ? 0 : this.budget - count;
+
+        for (let i = 0; i < count && !isDone(); i++) {
+            const result = step();
+            this.stepsRun++;
+            if (onStep) onStep(result);
+        }
+    }
+
+    /**
+     * Step as fast as possible for one frame's time budget
+     * @param {Function} step - Step function
+     * @param {Function} isDone - Completion check
+     * @param {Function} onStep - Per-step callback
+     */
+    runInstantFrame(step, isDone, onStep) {
+        const deadline = performance.now() + window.MazeConfig.maze.instantFrameBudget;
+        const skip = this.skipsAnimation;
+        let result = null;
+
+        do {
+            result = step();
+            this.stepsRun++;
+            if (onStep && !skip) onStep(result);
+        } while (!isDone() && performance.now() < deadline);
+
+        // Keep progress moving once per frame; the finished maze is drawn on completion
+        if (onStep && skip) onStep(result);
+
+        // Switching back to animated mode should not start with a backlog
+        this.lastTime = null;
+        this.budget = 1;
+    }
+
+    /**
+     * Wait for the next animation frame
+     * Falls back to a 16ms timer where requestAnimationFrame is unavailable (the Node sandbox)
+     * @returns {Promise} Resolves with the frame timestamp; rejects with an AbortError if the signal fires
+     */
+    nextFrame() {
+        const signal = this.signal;
+        return new Promise((resolve, reject) => {
+            const onAbort = () => {
+                cancel(handle);
+                reject(window.MazeUtils.createAbortError());
+            };
+            const onFrame = (time) => {
+                if (signal) signal.removeEventListener('abort', onAbort);
+                resolve(time === undefined ? performance.now() : time);
+            };
+
+            const useFrames = typeof requestAnimationFrame === 'function';
+            const cancel = useFrames ? cancelAnimationFrame : clearTimeout;
+            const handle = useFrames ? requestAnimationFrame(onFrame) : setTimeout(onFrame, 16);
+
+            if (signal) signal.addEventListener('abort', onAbort, { once: true });
+        });
+    }
+}
+
+// Instant mode as last set by the UI; new schedulers start from it
+StepScheduler.instant = false;
+
+window.EventBus.on(window.MazeConfig.events.INSTANT_MODE_CHANGED, (data) => {
+    StepScheduler.instant = data.enabled;
+});
+
+// Register globally
+window.StepScheduler = StepScheduler;
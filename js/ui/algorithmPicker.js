@@ -0,0 +1,66 @@
+/**
+ * Algorithm Picker
+ * Builds the #algorithmButtons row from MazeAlgorithmRegistry and lists the selected
+ * generator's bias notes under its description in the info panel
+ */
+
+class AlgorithmPicker {
+    constructor(containerId = 'algorithmButtons') {
+        this.container = document.getElementById(containerId);
+        this.biasList = document.getElementById('algorithmBiases');
+
+        this.renderButtons();
+        this.setupEventListeners();
+
+        const [first] = window.MazeAlgorithmRegistry.list();
+        if (first) {
+            this.showBiases(first.id);
+        }
+    }
+
+    /**
+     * Create one button per registered generator; the first one starts active
+     * Buttons exist before the controls load, so the usual .algorithm-btn handlers pick them up
+     */
+    renderButtons() {
+        if (!this.container) return;
+
+        this.container.innerHTML = '';
+        window.MazeAlgorithmRegistry.list().forEach(({ id, entry }, i) => {
+            const button = document.createElement('button');
+            button.className = i === 0 ? 'algorithm-btn active' : 'algorithm-btn';
+            button.dataset.algorithm = id;
+            button.title = entry.description;
+            button.textContent = entry.icon ? `${entry.icon} ${entry.name}` : entry.name;
+            this.container.appendChild(button);
+        });
+    }
+
+    /**
+     * List a generator's bias notes
+     * @param {string} algorithm - Algorithm key
+     */
+    showBiases(algorithm) {
+        if (!this.biasList) return;
+
+        const entry = window.MazeAlgorithmRegistry.get(algorithm);
+        this.biasList.innerHTML = '';
+        (entry ? entry.biases : []).forEach(note => {
+            const item = document.createElement('li');
+            item.textContent = note;
+            this.biasList.appendChild(item);
+        });
+    }
+
+    /**
+     * Setup event listeners
+     */
+    setupEventListeners() {
+        window.EventBus.on(window.MazeConfig.events.ALGORITHM_CHANGED, (data) => {
+            this.showBiases(data.algorithm);
+        });
+    }
+}
+
+// Create global algorithm picker instance
+window.AlgorithmPicker = new AlgorithmPicker();
@@ -0,0 +1,192 @@
+/**
+ * Compare Panel
+ * Runs MazeBenchmark over every generator and solver for the chosen sizes and seeds,
+ * shows the rows as a sortable table and exports them as CSV or JSON
+ */
+
+class BenchmarkPanel {
+    constructor() {
+        this.elements = {
+            sizes: document.getElementById('benchmarkSizes'),
+            seeds: document.getElementById('benchmarkSeeds'),
+            run: document.getElementById('benchmarkRunBtn'),
+            cancel: document.getElementById('benchmarkCancelBtn'),
+            exportCsv: document.getElementById('benchmarkExportCsvBtn'),
+            exportJson: document.getElementById('benchmarkExportJsonBtn'),
+            status: document.getElementById('benchmarkStatus'),
+            table: document.getElementById('benchmarkTable')
+        };
+
+        this.rows = [];
+        this.plan = null;
+        this.sort = { key: null, direction: 1 };
+        this.controller = null;
+
+        this.setupEventListeners();
+        this.updateButtons();
+    }
+
+    /**
+     * Read sizes and seeds from the inputs
+     * Sizes are clamped to the configured range and rounded up to odd; seeds count up from the seed input (or 1)
+     * @returns {Object} Plan with sizes and seeds
+     */
+    readPlan() {
+        const mazeConfig = window.MazeConfig.maze;
+        const sizes = (this.elements.sizes ? this.elements.sizes.value : '')
+            .split(/[\s,]+/)
+            .map(value => parseInt(value, 10))
+            .filter(Number.isFinite)
+            .map(size => window.MazeUtils.clamp(size | 1, mazeConfig.minSize, mazeConfig.maxSize));
+
+        const count = window.MazeUtils.clamp(parseInt(this.elements.seeds ? this.elements.seeds.value : '', 10) || 1, 1, 100);
+        const base = window.SeedControl && window.SeedControl.seed !== null ? window.SeedControl.seed : 1;
+
+        return {
+            sizes: [...new Set(sizes.length > 0 ? sizes : [mazeConfig.defaultWidth])],
+            seeds: Array.from({ length: count }, (_, i) => (base + i) >>> 0)
+        };
+    }
+
+    /**
+     * Run the benchmark with the current inputs
+     */
+    async start() {
+        if (this.controller) return;
+
+        this.plan = this.readPlan();
+        this.rows = [];
+        this.controller = new AbortController();
+        this.updateButtons();
+        this.setStatus('Starting…');
+
+        try {
+            this.rows = await window.MazeBenchmark.run(this.plan, (done, total, rows) => {
+                this.rows = rows;
+                this.setStatus(`Ran ${done} of ${total} mazes`);
+                this.renderTable();
+            }, this.controller.signal);
+            this.setStatus(`Done: ${this.rows.length} results`);
+        } catch (error) {
+            if (!window.MazeUtils.isAbortError(error)) {
+                console.error('Benchmark failed:', error);
+                this.setStatus(`Benchmark failed: ${error.message}`);
+            } else {
+                this.setStatus(`Cancelled after ${this.rows.length} results`);
+            }
+        } finally {
+            this.controller = null;
+            this.renderTable();
+            this.updateButtons();
+        }
+    }
+
+    /**
+     * Stop a running benchmark; rows collected so far are kept
+     */
+    cancel() {
+        if (this.controller) {
+            this.controller.abort();
+        }
+    }
+
+    /**
+     * Sort by a column, flipping direction when it is already the sort column
+     * @param {string} key - Column key
+     */
+    sortBy(key) {
+        this.sort = {
+            key,
+            direction: this.sort.key === key ? -this.sort.direction : 1
+        };
+        this.renderTable();
+    }
+
+    /**
+     * Draw the results table
+     */
+    renderTable() {
+        const container = this.elements.table;
+        if (!container) return;
+
+        container.innerHTML = '';
+        if (this.rows.length === 0) return;
+
+        const benchmark = window.MazeBenchmark;
+        const rows = this.sort.key ? benchmark.sortRows(this.rows, this.sort.key, this.sort.direction) : this.rows;
+        const table = document.createElement('table');
+        table.className = 'benchmark-table';
+
+        const headRow = table.createTHead().insertRow();
+        benchmark.COLUMNS.forEach(column => {
+            const th = document.createElement('th');
+            const arrow = this.sort.key === column.key ? (this.sort.direction === 1 ? ' ▲' : ' ▼') : '';
+            th.textContent = column.label + arrow;
+            th.addEventListener('click', () => this.sortBy(column.key));
+            headRow.appendChild(th);
+        });
+
+        const body = table.createTBody();
+        rows.forEach(row => {
+            const tr = body.insertRow();
+            benchmark.COLUMNS.forEach(column => {
+                const value = row[column.key];
+                tr.insertCell().textContent = value === null || value === undefined ? '-' : value;
+            });
+        });
+
+        container.appendChild(table);
+    }
+
+    /**
+     * Download the results
+     * @param {string} format - 'csv' or 'json'
+     */
+    exportResults(format) {
+        if (this.rows.length === 0) return;
+
+        const benchmark = window.MazeBenchmark;
+        const text = format === 'csv' ? benchmark.toCSV(this.rows) : benchmark.toJSON(this.rows, this.plan);
+        const type = format === 'csv' ? 'text/csv' : 'application/json';
+        window.MazeSerializer.download(new Blob([text], { type }), `maze-benchmark.${format}`);
+    }
+
+    /**
+     * Enable buttons that make sense in the current state
+     */
+    updateButtons() {
+        const { run, cancel, exportCsv, exportJson } = this.elements;
+        const running = !!this.controller;
+        const hasRows = this.rows.length > 0;
+
+        if (run) run.disabled = running;
+        if (cancel) cancel.disabled = !running;
+        if (exportCsv) exportCsv.disabled = running || !hasRows;
+        if (exportJson) exportJson.disabled = running || !hasRows;
+    }
+
+    /**
+     * Update the status line
+     * @param {string} message - Text to show
+     */
+    setStatus(message) {
+        if (this.elements.status) {
+            this.elements.status.textContent = message;
+        }
+    }
+
+    /**
+     * Setup event listeners
+     */
+    setupEventListeners() {
+        const { run, cancel, exportCsv, exportJson } = this.elements;
+
+        if (run) run.addEventListener('click', () => this.start());
+        if (cancel) cancel.addEventListener('click', () => this.cancel());
+        if (exportCsv) exportCsv.addEventListener('click', () => this.exportResults('csv'));
+        if (exportJson) exportJson.addEventListener('click', () => this.exportResults('json'));
+    }
+}
+
+// Create global benchmark panel instance
+window.BenchmarkPanel = new BenchmarkPanel();
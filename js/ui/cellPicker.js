@@ -0,0 +1,176 @@
+/**
+ * Start and Exit Cell Picker
+ * Arms a pick mode from the control panel, then takes the next click on the 2D canvas
+ * (or a floor pick from the 3D scene) as the new start or exit, if it is a passage
+ */
+
+class CellPicker {
+    constructor(canvasId = 'mazeCanvas') {
+        this.canvas = document.getElementById(canvasId);
+        this.ctx = this.canvas ? this.canvas.getContext('2d') : null;
+        this.buttons = {
+            start: document.getElementById('pickStartBtn'),
+            exit: document.getElementById('pickExitBtn')
+        };
+        this.status = document.getElementById('pickStatus');
+
+        this.maze = null;
+        this.mode = null;
+        // Cells the 2D markers were last drawn on, so a moved marker can be painted over
+        this.drawnMarkers = { start: null, exit: null };
+
+        this.setupEventListeners();
+    }
+
+    /**
+     * Wait for the next cell click to place a marker
+     * @param {string|null} mode - 'start', 'exit', or null to cancel
+     */
+    arm(mode) {
+        this.mode = this.maze ? mode : null;
+
+        Object.entries(this.buttons).forEach(([key, button]) => {
+            if (button) {
+                button.classList.toggle('active', key === this.mode);
+            }
+        });
+
+        if (this.mode) {
+            this.setStatus(`Click a passage cell to place the ${this.mode}`);
+        } else if (mode && !this.maze) {
+            this.setStatus('Generate a maze first');
+        }
+    }
+
+    /**
+     * Place the armed marker on a cell
+     * @param {Object|null} cell - Picked cell coordinates
+     * @returns {boolean} True if the marker was moved
+     */
+    pick(cell) {
+        if (!this.mode || !this.maze || !cell) return false;
+
+        if (!this.maze.inBounds(cell.x, cell.y) || !this.maze.isPassable(cell.x, cell.y)) {
+            this.setStatus(`(${cell.x}, ${cell.y}) is a wall - pick a passage cell`);
+            return false;
+        }
+
+        const mode = this.mode;
+        if (mode === 'start') {
+            this.maze.setStart(cell.x, cell.y);
+        } else {
+            this.maze.setExit(cell.x, cell.y);
+        }
+        this.maze.clearDirty();
+
+        this.arm(null);
+        this.setStatus(`${mode === 'start' ? 'Start' : 'Exit'} set to (${cell.x}, ${cell.y})`);
+        this.drawMarkers();
+
+        if (mode === 'start') {
+            window.EventBus.maze.startChanged({ ...cell });
+        } else {
+            window.EventBus.maze.exitChanged({ ...cell });
+        }
+
+        window.MazeUtils.debug('CellPicker', `${mode} picked`, cell);
+        return true;
+    }
+
+    /**
+     * Draw the start and exit markers on the 2D canvas
+     */
+    drawMarkers() {
+        if (!this.ctx || !this.maze) return;
+
+        const colors = window.MazeConfig.colors;
+        const cellWidth = this.canvas.width / this.maze.width;
+        const cellHeight = this.canvas.height / this.maze.height;
+
+        ['start', 'exit'].forEach(key => {
+            const previous = this.drawnMarkers[key];
+            const cell = this.maze[key];
+
+            // Paint over a marker that has moved away
+            if (previous && (!cell || previous.x !== cell.x || previous.y !== cell.y)) {
+                this.ctx.fillStyle = this.maze.isWall(previous.x, previous.y) ? colors.wall : colors.path;
+                this.ctx.fillRect(previous.x * cellWidth, previous.y * cellHeight, cellWidth, cellHeight);
+            }
+
+            if (cell) {
+                this.ctx.fillStyle = colors[key];
+                this.ctx.beginPath();
+                this.ctx.arc(
+                    (cell.x + 0.5) * cellWidth,
+                    (cell.y + 0.5) * cellHeight,
+                    Math.min(cellWidth, cellHeight) * 0.35,
+                    0,
+                    Math.PI * 2
+                );
+                this.ctx.fill();
+            }
+
+            this.drawnMarkers[key] = cell ? { ...cell } : null;
+        });
+    }
+
+    /**
+     * Draw both markers from scratch after the whole canvas has been repainted
+     */
+    redrawMarkers() {
+        this.drawnMarkers = { start: null, exit: null };
+        this.drawMarkers();
+    }
+
+    /**
+     * Update the status line under the pick buttons
+     * @param {string} message - Text to show
+     */
+    setStatus(message) {
+        if (this.status) {
+            this.status.textContent = message;
+        }
+    }
+
+    /**
+     * Setup event listeners
+     */
+    setupEventListeners() {
+        Object.entries(this.buttons).forEach(([key, button]) => {
+            if (!button) return;
+            button.addEventListener('click', () => {
+                this.arm(this.mode === key ? null : key);
+            });
+        });
+
+        if (this.canvas) {
+            this.canvas.addEventListener('click', (event) => {
+                if (!this.mode || !this.maze) return;
+                this.pick(window.MazeUtils.canvasToCell(this.canvas, event, this.maze.width, this.maze.height));
+            });
+        }
+
+        document.addEventListener('keydown', (event) => {
+            if (event.code === 'Escape' && this.mode) {
+                this.arm(null);
+                this.setStatus('Pick cancelled');
+            }
+        });
+
+        window.EventBus.on(window.MazeConfig.events.MAZE_GENERATION_COMPLETE, (data) => {
+            this.maze = data.maze;
+            // The renderer repaints on the same event; draw on top once it has
+            requestAnimationFrame(() => this.redrawMarkers());
+        });
+
+        window.EventBus.on(window.MazeConfig.events.MAZE_RESET, () => {
+            this.maze = null;
+            this.drawnMarkers = { start: null, exit: null };
+            this.arm(null);
+            this.setStatus('Start and exit are placed automatically');
+        });
+    }
+}
+
+// Create global cell picker instance
+window.CellPicker = new CellPicker();
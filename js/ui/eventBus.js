@@ -189,6 +189,67 @@ window.EventBus.maze = {
         });
     },
 
+    /**
+     * Ask the generator to build a specific maze, e.g. when restoring a shared link
+     * @param {string} algorithm - Algorithm to use
+     * @param {Object} config - Generation configuration (width, height, seed)
+     */
+    generationRequested(algorithm, config) {
+        window.EventBus.emit(window.MazeConfig.events.MAZE_GENERATION_REQUESTED, {
+            algorithm,
+            config,
+            timestamp: Date.now()
+        });
+    },
+
+    /**
+     * Emit generation cancelled event when a run is aborted before it finishes
+     * @param {string} reason - Why the run stopped ('reset', 'superseded', ...)
+     * @param {Object} info - Details the run was started with, such as the algorithm
+     */
+    generationCancelled(reason, info) {
+        window.EventBus.emit(window.MazeConfig.events.MAZE_GENERATION_CANCELLED, {
+            reason,
+            info,
+            timestamp: Date.now()
+        });
+    },
+
+    /**
+     * Emit start cell changed event
+     * @param {Object} cell - New start coordinates
+     */
+    startChanged(cell) {
+        window.EventBus.emit(window.MazeConfig.events.MAZE_START_CHANGED, {
+            cell,
+            timestamp: Date.now()
+        });
+    },
+
+    /**
+     * Emit exit cell changed event
+     * @param {Object} cell - New exit coordinates
+     */
+    exitChanged(cell) {
+        window.EventBus.emit(window.MazeConfig.events.MAZE_EXIT_CHANGED, {
+            cell,
+            timestamp: Date.now()
+        });
+    },
+
+    /**
+     * Emit maze edited event when hand edits are committed
+     * @param {Object} maze - Edited maze data
+     * @param {Object} validation - MazeValidator report for the edited maze
+     */
+    edited(maze, validation) {
+        window.EventBus.emit(window.MazeConfig.events.MAZE_EDITED, {
+            maze,
+            validation,
+            timestamp: Date.now()
+        });
+    },
+
     /**
      * Emit maze reset event
      */
@@ -236,6 +297,28 @@ window.EventBus.ui = {
         });
     },
 
+    /**
+     * Emit instant mode changed event
+     * @param {boolean} enabled - Whether runs should skip frame-by-frame animation
+     */
+    instantModeChanged(enabled) {
+        window.EventBus.emit(window.MazeConfig.events.INSTANT_MODE_CHANGED, {
+            enabled,
+            timestamp: Date.now()
+        });
+    },
+
+    /**
+     * Emit seed changed event
+     * @param {number|null} seed - Seed entered by the user, or null for random
+     */
+    seedChanged(seed) {
+        window.EventBus.emit(window.MazeConfig.events.SEED_CHANGED, {
+            seed,
+            timestamp: Date.now()
+        });
+    },
+
     /**
      * Emit camera changed event
      * @param {string} cameraType - New camera type
@@ -247,5 +330,196 @@ window.EventBus.ui = {
             cameraData,
             timestamp: Date.now()
         });
+    },
+
+    /**
+     * Emit heatmap changed event
+     * @param {string|null} overlay - Overlay shown, or null when the overlay is off
+     * @param {Object|null} heat - Normalized values (0-1, NaN for no tile) with min and max
+     */
+    heatmapChanged(overlay, heat) {
+        window.EventBus.emit(window.MazeConfig.events.HEATMAP_CHANGED, {
+            overlay,
+            heat,
+            timestamp: Date.now()
+        });
+    }
+};
+
+// Solver-specific convenience methods
+window.EventBus.solver = {
+    /**
+     * Emit solver started event
+     * @param {string} solver - Solver being used
+     * @param {Object} config - Solver configuration including start and goal
+     */
+    started(solver, config) {
+        window.EventBus.emit(window.MazeConfig.events.SOLVER_START, {
+            solver,
+            config,
+            timestamp: Date.now()
+        });
+    },
+
+    /**
+     * Emit solver progress event
+     * @param {string} solver - Solver being used
+     * @param {number} nodesExpanded - Nodes expanded so far
+     * @param {Object} currentState - Step result with open/closed changes
+     */
+    progress(solver, nodesExpanded, currentState) {
+        window.EventBus.emit(window.MazeConfig.events.SOLVER_PROGRESS, {
+            solver,
+            nodesExpanded,
+            currentState,
+            timestamp: Date.now()
+        });
+    },
+
+    /**
+     * Emit solver completed event
+     * @param {string} solver - Solver that finished
+     * @param {Object} stats - Nodes expanded, path length, time taken and the path itself
+     */
+    completed(solver, stats) {
+        window.EventBus.emit(window.MazeConfig.events.SOLVER_COMPLETE, {
+            solver,
+            stats,
+            timestamp: Date.now()
+        });
+    },
+
+    /**
+     * Emit solver cancelled event
+     * @param {string} solver - Solver that was stopped
+     * @param {Object} stats - Nodes expanded and steps taken before the abort
+     */
+    cancelled(solver, stats) {
+        window.EventBus.emit(window.MazeConfig.events.SOLVER_CANCELLED, {
+            solver,
+            stats,
+            timestamp: Date.now()
+        });
+    }
+};
+
+// Reinforcement-learning convenience methods
+window.EventBus.training = {
+    /**
+     * Emit training started event
+     * @param {string} method - 'q-learning' or 'sarsa'
+     * @param {Object} config - Hyperparameters and rewards
+     */
+    started(method, config) {
+        window.EventBus.emit(window.MazeConfig.events.TRAINING_START, {
+            method,
+            config,
+            timestamp: Date.now()
+        });
+    },
+
+    /**
+     * Emit training progress event, once per finished episode
+     * @param {number} percentage - Progress percentage (0-100)
+     * @param {number} episode - Episodes completed
+     * @param {Object} episodeStats - Reward, steps, epsilon and success of the last episode
+     */
+    progress(percentage, episode, episodeStats) {
+        window.EventBus.emit(window.MazeConfig.events.TRAINING_PROGRESS, {
+            percentage,
+            episode,
+            episodeStats,
+            timestamp: Date.now()
+        });
+    },
+
+    /**
+     * Emit training completed event
+     * @param {Object} stats - Training statistics including the episode history
+     */
+    completed(stats) {
+        window.EventBus.emit(window.MazeConfig.events.TRAINING_COMPLETE, {
+            stats,
+            timestamp: Date.now()
+        });
+    },
+
+    /**
+     * Emit training paused event
+     * @param {number} episode - Episode the agent paused in
+     */
+    paused(episode) {
+        window.EventBus.emit(window.MazeConfig.events.TRAINING_PAUSED, {
+            episode,
+            timestamp: Date.now()
+        });
+    },
+
+    /**
+     * Emit training resumed event
+     * @param {number} episode - Episode the agent resumed in
+     */
+    resumed(episode) {
+        window.EventBus.emit(window.MazeConfig.events.TRAINING_RESUMED, {
+            episode,
+            timestamp: Date.now()
+        });
+    },
+
+    /**
+     * Emit training cancelled event
+     * @param {string} method - 'q-learning' or 'sarsa'
+     * @param {Object} stats - Episodes and steps completed before the abort
+     */
+    cancelled(method, stats) {
+        window.EventBus.emit(window.MazeConfig.events.TRAINING_CANCELLED, {
+            method,
+            stats,
+            timestamp: Date.now()
+        });
+    }
+};
+
+// First-person player convenience methods
+window.EventBus.player = {
+    /**
+     * Emit player spawned event
+     * @param {Object} cell - Start cell
+     * @param {Object} exit - Exit cell the player is looking for
+     */
+    spawned(cell, exit) {
+        window.EventBus.emit(window.MazeConfig.events.PLAYER_SPAWNED, {
+            cell,
+            exit,
+            timestamp: Date.now()
+        });
+    },
+
+    /**
+     * Emit player moved event, once per cell entered
+     * @param {Object} cell - Cell the player entered
+     * @param {number} heading - Camera yaw in radians
+     * @param {number} steps - Cells entered so far
+     */
+    moved(cell, heading, steps) {
+        window.EventBus.emit(window.MazeConfig.events.PLAYER_MOVED, {
+            cell,
+            heading,
+            steps,
+            timestamp: Date.now()
+        });
+    },
+
+    /**
+     * Emit exit reached event
+     * @param {number} time - Seconds from first move to the exit
+     * @param {number} steps - Cells entered on the way
+     */
+    exitReached(time, steps) {
+        window.EventBus.emit(window.MazeConfig.events.PLAYER_EXIT_REACHED, {
+            time,
+            steps,
+            timestamp: Date.now()
+        });
     }
 };
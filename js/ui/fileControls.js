@@ -0,0 +1,118 @@
+/**
+ * Save & Load Controls
+ * Wires the export/import buttons to MazeSerializer
+ * Keeps track of the most recently completed maze so there is something to export
+ */
+
+class FileControls {
+    constructor() {
+        this.maze = null;
+        this.stats = null;
+
+        this.exportJsonBtn = document.getElementById('exportJsonBtn');
+        this.exportPngBtn = document.getElementById('exportPngBtn');
+        this.copyCodeBtn = document.getElementById('copyCodeBtn');
+        this.importBtn = document.getElementById('importBtn');
+        this.fileInput = document.getElementById('importFileInput');
+        this.canvas = document.getElementById('mazeCanvas');
+
+        this.setupEventListeners();
+        this.updateButtonState();
+    }
+
+    /**
+     * Setup event listeners
+     */
+    setupEventListeners() {
+        window.EventBus.on(window.MazeConfig.events.MAZE_GENERATION_COMPLETE, (data) => {
+            this.maze = data.maze;
+            this.stats = data.stats || {};
+            this.updateButtonState();
+        });
+
+        window.EventBus.on(window.MazeConfig.events.MAZE_RESET, () => {
+            this.maze = null;
+            this.stats = null;
+            this.updateButtonState();
+        });
+
+        this.bindButton(this.exportJsonBtn, () => {
+            window.MazeSerializer.exportJSON(this.maze, {
+                stats: this.stats,
+                analysis: window.MazeAnalyzer.analyze(this.maze)
+            }, this.buildFilename('json'));
+        });
+
+        this.bindButton(this.exportPngBtn, () => {
+            window.MazeSerializer.exportPNG(this.canvas, this.buildFilename('png'));
+        });
+
+        this.bindButton(this.copyCodeBtn, async () => {
+            const code = window.MazeSerializer.toBitfield(this.maze);
+            try {
+                await navigator.clipboard.writeText(code);
+            } catch (error) {
+                // Clipboard access can be denied; fall back to a prompt the user can copy from
+                window.prompt('Maze code:', code);
+            }
+        });
+
+        if (this.importBtn && this.fileInput) {
+            this.importBtn.addEventListener('click', () => this.fileInput.click());
+            this.fileInput.addEventListener('change', async () => {
+                const file = this.fileInput.files[0];
+                this.fileInput.value = '';
+                if (!file) return;
+
+                try {
+                    await window.MazeSerializer.importFile(file);
+                } catch (error) {
+                    console.error('Failed to import maze:', error);
+                    window.alert(`Could not import maze: ${error.message}`);
+                }
+            });
+        }
+    }
+
+    /**
+     * Attach a click handler that only runs when a maze is available
+     * @param {HTMLElement} button - Button element
+     * @param {Function} handler - Click handler
+     */
+    bindButton(button, handler) {
+        if (!button) return;
+
+        button.addEventListener('click', () => {
+            if (this.maze) {
+                handler();
+            }
+        });
+    }
+
+    /**
+     * Enable export buttons only when there is a maze to export
+     */
+    updateButtonState() {
+        [this.exportJsonBtn, this.exportPngBtn, this.copyCodeBtn].forEach(button => {
+            if (button) {
+                button.disabled = !this.maze;
+            }
+        });
+    }
+
+    /**
+     * Build a descriptive download filename
+     * @param {string} extension - File extension without the dot
+     * @returns {string} Filename such as maze-recursive-31x31-12345.json
+     */
+    buildFilename(extension) {
+        const parts = ['maze'];
+        if (this.stats && this.stats.algorithm) parts.push(this.stats.algorithm);
+        parts.push(`${this.maze.width}x${this.maze.height}`);
+        if (this.stats && this.stats.seed !== undefined && this.stats.seed !== null) parts.push(this.stats.seed);
+        return `${parts.join('-')}.${extension}`;
+    }
+}
+
+// Create global file controls instance
+window.FileControls = new FileControls();
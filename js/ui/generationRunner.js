@@ -0,0 +1,80 @@
+/**
+ * Generation Runner
+ * Answers MAZE_GENERATION_REQUESTED (sent e.g. when a permalink is restored): builds a maze of the
+ * requested algorithm, size and seed as the run that owns the grid, and announces it with the usual
+ * start, progress and complete events. With performance.useWorker on, the maze is built in a Web Worker
+ */
+
+class GenerationRunner {
+    constructor() {
+        this.speed = 5;
+        // Created on the first worker-mode run and kept for the next ones
+        this.workerClient = null;
+
+        this.setupEventListeners();
+    }
+
+    /**
+     * Generate a maze, aborting any run already in progress
+     * @param {string} algorithmId - Registered algorithm key
+     * @param {Object} config - width, height, seed and animationSpeed; missing fields use the current settings
+     * @returns {Promise} Resolves with {maze, stats}, or null if the run was cancelled
+     */
+    generate(algorithmId, config = {}) {
+        const entry = window.MazeConfig.algorithms[algorithmId];
+        const AlgorithmClass = entry && window[entry.className];
+        if (!AlgorithmClass) {
+            return Promise.reject(new Error(`Unknown algorithm '${algorithmId}'`));
+        }
+
+        const mazeConfig = window.MazeConfig.maze;
+        const width = config.width || mazeConfig.defaultWidth;
+        const height = config.height || mazeConfig.defaultHeight;
+        const speed = config.animationSpeed || this.speed;
+        const seed = config.seed ?? (window.SeedControl ? window.SeedControl.getSeed() : window.MazeUtils.randomSeed());
+
+        if (window.MazeWorkerClient && window.MazeWorkerClient.isEnabled()) {
+            return window.MazeRunController.run('generation', (signal) => {
+                if (!this.workerClient) {
+                    this.workerClient = new window.MazeWorkerClient();
+                }
+                // The client emits the start, progress, complete and cancelled events itself
+                return this.workerClient.generate({ algorithm: algorithmId, width, height, seed }, signal);
+            }, { algorithm: algorithmId, worker: true });
+        }
+
+        return window.MazeRunController.run('generation', async (signal) => {
+            const maze = new window.MazeGrid(width, height);
+            const algorithm = new AlgorithmClass(maze, { seed });
+
+            window.EventBus.maze.generationStarted(algorithmId, { width, height, seed: algorithm.seed, maze });
+
+            const stats = await algorithm.generate((percentage, steps, result) => {
+                window.EventBus.maze.generationProgress(percentage, steps, result);
+            }, speed, signal);
+
+            window.EventBus.maze.generationCompleted(maze, stats);
+            return { maze, stats };
+        }, { algorithm: algorithmId });
+    }
+
+    /**
+     * Setup event listeners
+     */
+    setupEventListeners() {
+        const events = window.MazeConfig.events;
+
+        window.EventBus.on(events.SPEED_CHANGED, (data) => {
+            this.speed = data.speed;
+        });
+
+        window.EventBus.on(events.MAZE_GENERATION_REQUESTED, (data) => {
+            this.generate(data.algorithm, data.config).catch(error => {
+                console.error('Requested generation failed:', error);
+            });
+        });
+    }
+}
+
+// Create global generation runner instance
+window.GenerationRunner = new GenerationRunner();
@@ -0,0 +1,259 @@
+/**
+ * Heatmap Overlay
+ * Overlay selector and legend; records generation visits, solver expansion order and Q-values
+ * from events, paints the chosen field over #mazeCanvas and hands it to the 3D scene
+ */
+
+class HeatmapOverlay {
+    constructor(canvasId = 'mazeCanvas') {
+        this.canvas = document.getElementById(canvasId);
+        this.ctx = this.canvas ? this.canvas.getContext('2d') : null;
+        this.elements = {
+            select: document.getElementById('heatmapSelect'),
+            legend: document.getElementById('heatmapLegend'),
+            gradient: document.getElementById('heatmapGradient'),
+            min: document.getElementById('heatmapMin'),
+            max: document.getElementById('heatmapMax'),
+            status: document.getElementById('heatmapStatus')
+        };
+
+        this.maze = null;
+        this.overlay = null;
+        // Recorded per run, keyed by "x,y" because the grid size is only known once the maze is done
+        this.visits = new Map();
+        this.expansions = new Map();
+        this.valueMap = null;
+
+        if (this.elements.gradient) {
+            this.elements.gradient.style.background = window.MazeHeatmap.legendGradient();
+        }
+
+        this.setupEventListeners();
+    }
+
+    /**
+     * Switch overlays
+     * @param {string|null} overlay - Key of MazeHeatmap.OVERLAYS, or null to hide the overlay
+     */
+    setOverlay(overlay) {
+        this.overlay = window.MazeHeatmap.OVERLAYS[overlay] ? overlay : null;
+        if (this.elements.select) {
+            this.elements.select.value = this.overlay || 'none';
+        }
+        this.refresh();
+    }
+
+    /**
+     * Raw values of the selected overlay for the current maze
+     * @returns {Object|null} Object with field and skipZero, or null when there is nothing to show
+     */
+    currentField() {
+        if (!this.maze || !this.overlay) return null;
+
+        const heatmap = window.MazeHeatmap;
+        switch (this.overlay) {
+            case 'distance':
+                return { field: heatmap.distanceField(this.maze), skipZero: false };
+            case 'visits':
+                return { field: this.recordedField(this.visits), skipZero: true };
+            case 'solver':
+                return { field: this.recordedField(this.expansions), skipZero: false };
+            case 'qvalues':
+                return this.valueMap && this.valueMap.length === this.maze.width * this.maze.height
+                    ? { field: this.valueMap, skipZero: false }
+                    : null;
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * Lay recorded cell values out on the current grid
+     * @param {Map} records - Values keyed by "x,y"
+     * @returns {Float32Array} Value per cell index; NaN where nothing was recorded
+     */
+    recordedField(records) {
+        const field = new Float32Array(this.maze.width * this.maze.height).fill(NaN);
+        records.forEach((value, key) => {
+            const [x, y] = key.split(',').map(Number);
+            if (this.maze.inBounds(x, y)) {
+                field[this.maze.index(x, y)] = value;
+            }
+        });
+        return field;
+    }
+
+    /**
+     * Recompute the selected overlay, redraw it and publish it to the 3D view
+     */
+    refresh() {
+        const source = this.currentField();
+        const heat = source ? window.MazeHeatmap.normalize(source.field, source.skipZero) : null;
+        const shown = heat && heat.min !== null ? heat : null;
+
+        this.draw(shown);
+        this.updateLegend(shown);
+        window.EventBus.ui.heatmapChanged(shown ? this.overlay : null, shown);
+    }
+
+    /**
+     * Repaint the maze on the 2D canvas with the heat tiles on top
+     * @param {Object|null} heat - Normalized values, or null to paint the plain maze
+     */
+    draw(heat) {
+        if (!this.ctx || !this.maze) return;
+
+        const colors = window.MazeConfig.colors;
+        const cellWidth = this.canvas.width / this.maze.width;
+        const cellHeight = this.canvas.height / this.maze.height;
+
+        for (let y = 0; y < this.maze.height; y++) {
+            for (let x = 0; x < this.maze.width; x++) {
+                this.ctx.fillStyle = this.maze.isWall(x, y) ? colors.wall : colors.path;
+                this.ctx.fillRect(x * cellWidth, y * cellHeight, cellWidth, cellHeight);
+            }
+        }
+
+        if (heat) {
+            this.ctx.save();
+            this.ctx.globalAlpha = colors.heatmapOpacity;
+            heat.values.forEach((value, index) => {
+                if (Number.isNaN(value)) return;
+                this.ctx.fillStyle = window.MazeHeatmap.colorAt(value);
+                this.ctx.fillRect((index % this.maze.width) * cellWidth, Math.floor(index / this.maze.width) * cellHeight, cellWidth, cellHeight);
+            });
+            this.ctx.restore();
+        }
+
+        if (window.CellPicker) {
+            window.CellPicker.redrawMarkers();
+        }
+    }
+
+    /**
+     * Show the range of the current overlay, or why there is nothing to show
+     * @param {Object|null} heat - Normalized values with min and max
+     */
+    updateLegend(heat) {
+        const { legend, min, max } = this.elements;
+        const info = window.MazeHeatmap.OVERLAYS[this.overlay];
+
+        if (legend) {
+            legend.hidden = !heat;
+        }
+
+        if (heat) {
+            const format = value => Math.round(value * 100) / 100;
+            if (min) min.textContent = `${info.low}: ${format(heat.min)}`;
+            if (max) max.textContent = `${info.high}: ${format(heat.max)}`;
+            this.setStatus(info.label);
+        } else if (!this.overlay) {
+            this.setStatus('Colour passages by distance, visits, solver order or Q-values');
+        } else if (!this.maze) {
+            this.setStatus('Generate a maze first');
+        } else {
+            const hints = {
+                distance: 'Place a start on a passage',
+                visits: 'Visits are recorded while a maze generates',
+                solver: 'Run a solver to record its expansion order',
+                qvalues: 'Train the agent to see its Q-values'
+            };
+            this.setStatus(hints[this.overlay]);
+        }
+    }
+
+    /**
+     * Update the text under the legend
+     * @param {string} message - Text to show
+     */
+    setStatus(message) {
+        if (this.elements.status) {
+            this.elements.status.textContent = message;
+        }
+    }
+
+    /**
+     * Redraw after the renderer and scene have handled the same event
+     * UI listeners run first, so drawing straight away would be painted over
+     */
+    scheduleRefresh() {
+        if (this.overlay) {
+            requestAnimationFrame(() => this.refresh());
+        }
+    }
+
+    /**
+     * Setup event listeners
+     */
+    setupEventListeners() {
+        const events = window.MazeConfig.events;
+
+        if (this.elements.select) {
+            this.elements.select.addEventListener('change', () => {
+                this.setOverlay(this.elements.select.value);
+            });
+        }
+
+        window.EventBus.on(events.MAZE_GENERATION_START, () => {
+            this.visits.clear();
+            this.expansions.clear();
+            this.valueMap = null;
+        });
+
+        // Instant runs that skip drawing only report the last step of each frame, so counts are a sample
+        window.EventBus.on(events.MAZE_GENERATION_PROGRESS, (data) => {
+            const changedCells = data.currentState && data.currentState.changedCells;
+            if (!changedCells) return;
+
+            changedCells.forEach(cell => {
+                const key = `${cell.x},${cell.y}`;
+                this.visits.set(key, (this.visits.get(key) || 0) + 1);
+            });
+        });
+
+        window.EventBus.on(events.MAZE_GENERATION_COMPLETE, (data) => {
+            this.maze = data.maze;
+            this.scheduleRefresh();
+        });
+
+        window.EventBus.on(events.MAZE_EDITED, (data) => {
+            this.maze = data.maze;
+            this.scheduleRefresh();
+        });
+
+        window.EventBus.on(events.MAZE_START_CHANGED, () => this.scheduleRefresh());
+
+        window.EventBus.on(events.SOLVER_START, () => this.expansions.clear());
+
+        // Store the step a cell was expanded in, so skipped frames still leave the order intact
+        window.EventBus.on(events.SOLVER_PROGRESS, (data) => {
+            const state = data.currentState;
+            if (!state || !state.current) return;
+
+            const key = `${state.current.x},${state.current.y}`;
+            if (!this.expansions.has(key)) {
+                this.expansions.set(key, state.step);
+            }
+        });
+
+        window.EventBus.on(events.SOLVER_COMPLETE, () => this.scheduleRefresh());
+        window.EventBus.on(events.SOLVER_CANCELLED, () => this.scheduleRefresh());
+
+        window.EventBus.on(events.TRAINING_COMPLETE, (data) => {
+            this.valueMap = data.stats.valueMap || null;
+            this.scheduleRefresh();
+        });
+
+        window.EventBus.on(events.MAZE_RESET, () => {
+            this.maze = null;
+            this.visits.clear();
+            this.expansions.clear();
+            this.valueMap = null;
+            this.updateLegend(null);
+            window.EventBus.ui.heatmapChanged(null, null);
+        });
+    }
+}
+
+// Create global heatmap overlay instance
+window.HeatmapOverlay = new HeatmapOverlay();
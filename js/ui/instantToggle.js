@@ -0,0 +1,38 @@
+/**
+ * Instant Mode Toggle
+ * Checkbox next to the speed slider that makes runs step as fast as the frame budget allows;
+ * runs longer than performance.maxAnimationSteps then skip drawing until they finish
+ */
+
+class InstantToggle {
+    constructor(inputId = 'instantToggle') {
+        this.input = document.getElementById(inputId);
+        this.enabled = false;
+
+        this.setupEventListeners();
+    }
+
+    /**
+     * Turn instant mode on or off and mirror it in the checkbox
+     * @param {boolean} enabled - Whether instant mode is on
+     */
+    setEnabled(enabled) {
+        this.enabled = !!enabled;
+        if (this.input) {
+            this.input.checked = this.enabled;
+        }
+        window.EventBus.ui.instantModeChanged(this.enabled);
+    }
+
+    /**
+     * Setup event listeners
+     */
+    setupEventListeners() {
+        if (this.input) {
+            this.input.addEventListener('change', () => this.setEnabled(this.input.checked));
+        }
+    }
+}
+
+// Create global instant toggle instance
+window.InstantToggle = new InstantToggle();
@@ -0,0 +1,450 @@
+/**
+ * Interactive Maze Editor
+ * Edit mode for the 2D canvas: paint walls and passages freehand or with rectangle and line tools,
+ * undo/redo each stroke, validate live, and commit so the 3D scene rebuilds from the edited grid
+ */
+
+class MazeEditor {
+    constructor(canvasId = 'mazeCanvas') {
+        this.canvas = document.getElementById(canvasId);
+        this.ctx = this.canvas ? this.canvas.getContext('2d') : null;
+        this.elements = {
+            toggle: document.getElementById('editModeBtn'),
+            tools: document.querySelectorAll('.editor-tool'),
+            undo: document.getElementById('undoEditBtn'),
+            redo: document.getElementById('redoEditBtn'),
+            commit: document.getElementById('commitEditBtn'),
+            report: document.getElementById('validationReport')
+        };
+
+        this.maze = null;
+        this.isEditing = false;
+        this.tool = 'toggle';
+        this.stroke = null;
+        this.undoStack = [];
+        this.redoStack = [];
+        this.hasUncommittedEdits = false;
+        this.validation = null;
+
+        this.setupEventListeners();
+        this.updateControls();
+    }
+
+    /**
+     * Enter or leave edit mode; leaving commits any pending edits
+     * @param {boolean} editing - Desired state
+     */
+    setEditing(editing) {
+        if (editing && !this.maze) return;
+        if (!editing && this.hasUncommittedEdits) {
+            this.commit();
+        }
+
+        this.isEditing = editing;
+        this.stroke = null;
+        if (this.canvas) {
+            this.canvas.style.cursor = editing ? 'crosshair' : '';
+        }
+        if (editing) {
+            this.validate();
+            this.drawMaze();
+        }
+        this.updateControls();
+    }
+
+    /**
+     * Choose the active tool
+     * @param {string} tool - 'toggle', 'rect' or 'line'
+     */
+    setTool(tool) {
+        this.tool = tool;
+        this.updateControls();
+    }
+
+    /**
+     * Start a stroke on the cell under the pointer
+     * @param {PointerEvent} event - Pointer event
+     */
+    onPointerDown(event) {
+        // An armed start/exit pick takes the click instead
+        if (!this.isEditing || (window.CellPicker && window.CellPicker.mode)) return;
+
+        const cell = this.cellAt(event);
+        if (!this.maze.inBounds(cell.x, cell.y)) return;
+
+        // The first cell decides whether the whole stroke paints walls or passages
+        this.stroke = {
+            tool: this.tool,
+            from: cell,
+            to: cell,
+            paintWall: !this.maze.isWall(cell.x, cell.y),
+            changes: new Map()
+        };
+        this.canvas.setPointerCapture(event.pointerId);
+
+        if (this.tool === 'toggle') {
+            this.paintCells([cell]);
+        }
+        this.drawMaze();
+    }
+
+    /**
+     * Extend the stroke or update the shape preview
+     * @param {PointerEvent} event - Pointer event
+     */
+    onPointerMove(event) {
+        if (!this.stroke) return;
+
+        const cell = this.cellAt(event);
+        const previous = this.stroke.to;
+        if (cell.x === previous.x && cell.y === previous.y) return;
+        this.stroke.to = cell;
+
+        if (this.stroke.tool === 'toggle') {
+            // Fill the gap between pointer samples so fast drags leave no holes
+            this.paintCells(this.lineCells(previous, cell));
+            this.drawMaze();
+        } else {
+            this.drawMaze();
+            this.drawPreview(this.shapeCells());
+        }
+    }
+
+    /**
+     * Finish the stroke and record it for undo
+     */
+    onPointerUp() {
+        if (!this.stroke) return;
+
+        if (this.stroke.tool !== 'toggle') {
+            this.paintCells(this.shapeCells());
+        }
+
+        const changes = [...this.stroke.changes.entries()].map(([index, change]) => ({ index, ...change }));
+        this.stroke = null;
+
+        if (changes.length > 0) {
+            this.pushHistory(changes);
+            this.maze.clearDirty();
+            this.hasUncommittedEdits = true;
+            this.validate();
+        }
+        this.drawMaze();
+        this.updateControls();
+    }
+
+    /**
+     * Cells covered by the current rectangle or line stroke
+     * @returns {Array} Cell coordinates
+     */
+    shapeCells() {
+        const { tool, from, to } = this.stroke;
+        if (tool === 'line') {
+            return this.lineCells(from, to);
+        }
+
+        const cells = [];
+        for (let y = Math.min(from.y, to.y); y <= Math.max(from.y, to.y); y++) {
+            for (let x = Math.min(from.x, to.x); x <= Math.max(from.x, to.x); x++) {
+                cells.push({ x, y });
+            }
+        }
+        return cells;
+    }
+
+    /**
+     * Cells on a straight line between two cells (Bresenham)
+     * @param {Object} from - First cell
+     * @param {Object} to - Last cell
+     * @returns {Array} Cell coordinates, both ends included
+     */
+    lineCells(from, to) {
+        const cells = [];
+        const dx = Math.abs(to.x - from.x);
+        const dy = -Math.abs(to.y - from.y);
+        const sx = from.x < to.x ? 1 : -1;
+        const sy = from.y < to.y ? 1 : -1;
+        let error = dx + dy;
+        let x = from.x;
+        let y = from.y;
+
+        while (true) {
+            cells.push({ x, y });
+            if (x === to.x && y === to.y) break;
+
+            const doubled = 2 * error;
+            if (doubled >= dy) {
+                error += dy;
+                x += sx;
+            }
+            if (doubled <= dx) {
+                error += dx;
+                y += sy;
+            }
+        }
+        return cells;
+    }
+
+    /**
+     * Paint cells with the stroke's wall/passage value, recording what changed
+     * Start and exit cells are left alone so the markers always stay on passages
+     * @param {Array} cells - Cells to paint
+     */
+    paintCells(cells) {
+        const { paintWall, changes } = this.stroke;
+
+        cells.forEach(({ x, y }) => {
+            if (!this.maze.inBounds(x, y) || this.hasMarker(x, y)) return;
+            if (this.maze.isWall(x, y) === paintWall) return;
+
+            const index = this.maze.index(x, y);
+            const before = this.maze.getFlags(x, y);
+            // A wall carries no solver path or current-cell marker, or views and exports would keep showing them
+            this.maze.setCell(x, y, paintWall
+                ? { wall: true, visited: false, path: false, current: false }
+                : { wall: false, visited: true });
+
+            const change = changes.get(index);
+            changes.set(index, { before: change ? change.before : before, after: this.maze.getFlags(x, y) });
+        });
+    }
+
+    /**
+     * Check whether a cell holds the start or exit
+     * @param {number} x - Cell X coordinate
+     * @param {number} y - Cell Y coordinate
+     * @returns {boolean} True if a marker is on the cell
+     */
+    hasMarker(x, y) {
+        const { start, exit } = this.maze;
+        return (start && start.x === x && start.y === y) || (exit && exit.x === x && exit.y === y);
+    }
+
+    /**
+     * Record a finished stroke
+     * @param {Array} changes - Per-cell {index, before, after} flags
+     */
+    pushHistory(changes) {
+        this.undoStack.push(changes);
+        if (this.undoStack.length > window.MazeConfig.ui.editorHistoryLimit) {
+            this.undoStack.shift();
+        }
+        this.redoStack = [];
+    }
+
+    /**
+     * Revert the last stroke
+     */
+    undo() {
+        const changes = this.undoStack.pop();
+        if (!changes) return;
+
+        this.applyChanges(changes, 'before');
+        this.redoStack.push(changes);
+    }
+
+    /**
+     * Re-apply the last undone stroke
+     */
+    redo() {
+        const changes = this.redoStack.pop();
+        if (!changes) return;
+
+        this.applyChanges(changes, 'after');
+        this.undoStack.push(changes);
+    }
+
+    /**
+     * Write one side of a stroke's recorded flags back into the grid
+     * @param {Array} changes - Per-cell {index, before, after} flags
+     * @param {string} side - 'before' to undo, 'after' to redo
+     */
+    applyChanges(changes, side) {
+        changes.forEach(change => {
+            const x = change.index % this.maze.width;
+            const y = Math.floor(change.index / this.maze.width);
+            // A marker moved onto the cell since the stroke; leave it where it is
+            if (this.hasMarker(x, y)) return;
+            this.maze.setFlags(x, y, change[side]);
+        });
+
+        this.maze.clearDirty();
+        this.hasUncommittedEdits = true;
+        this.validate();
+        this.drawMaze();
+        this.updateControls();
+    }
+
+    /**
+     * Publish the edited grid so the 3D scene and other views rebuild from it
+     */
+    commit() {
+        if (!this.maze) return;
+
+        this.validate();
+        this.hasUncommittedEdits = false;
+        window.EventBus.maze.edited(this.maze, this.validation);
+        this.updateControls();
+
+        window.MazeUtils.debug('MazeEditor', 'Edits committed', this.validation);
+    }
+
+    /**
+     * Run the validator and show its report
+     */
+    validate() {
+        this.validation = window.MazeValidator.validate(this.maze);
+        if (!this.elements.report) return;
+
+        const v = this.validation;
+        const summary = v.reachable
+            ? `✅ Exit reachable in ${v.distance} steps`
+            : `❌ ${v.problems.join('; ')}`;
+        this.elements.report.textContent = [
+            summary,
+            `${v.loops} loop${v.loops === 1 ? '' : 's'}`,
+            `${v.deadEnds} dead end${v.deadEnds === 1 ? '' : 's'}`,
+            `${v.unreachableCells} unreachable cell${v.unreachableCells === 1 ? '' : 's'}`
+        ].join(' · ');
+    }
+
+    /**
+     * Repaint the whole maze on the 2D canvas
+     */
+    drawMaze() {
+        if (!this.ctx || !this.maze) return;
+
+        const colors = window.MazeConfig.colors;
+        const cellWidth = this.canvas.width / this.maze.width;
+        const cellHeight = this.canvas.height / this.maze.height;
+
+        for (let y = 0; y < this.maze.height; y++) {
+            for (let x = 0; x < this.maze.width; x++) {
+                this.ctx.fillStyle = this.maze.isWall(x, y) ? colors.wall : colors.path;
+                this.ctx.fillRect(x * cellWidth, y * cellHeight, cellWidth, cellHeight);
+            }
+        }
+
+        if (window.CellPicker) {
+            window.CellPicker.redrawMarkers();
+        }
+    }
+
+    /**
+     * Shade the cells a rectangle or line stroke will paint
+     * @param {Array} cells - Cells to shade
+     */
+    drawPreview(cells) {
+        const cellWidth = this.canvas.width / this.maze.width;
+        const cellHeight = this.canvas.height / this.maze.height;
+
+        this.ctx.save();
+        this.ctx.globalAlpha = 0.5;
+        this.ctx.fillStyle = window.MazeConfig.colors.current;
+        cells.forEach(({ x, y }) => {
+            if (this.maze.inBounds(x, y)) {
+                this.ctx.fillRect(x * cellWidth, y * cellHeight, cellWidth, cellHeight);
+            }
+        });
+        this.ctx.restore();
+    }
+
+    /**
+     * Cell under a pointer event
+     * @param {PointerEvent} event - Pointer event
+     * @returns {Object} Cell coordinates
+     */
+    cellAt(event) {
+        return window.MazeUtils.canvasToCell(this.canvas, event, this.maze.width, this.maze.height);
+    }
+
+    /**
+     * Sync button states with the editor state
+     */
+    updateControls() {
+        const { toggle, tools, undo, redo, commit } = this.elements;
+
+        if (toggle) {
+            toggle.disabled = !this.maze;
+            toggle.classList.toggle('active', this.isEditing);
+            toggle.textContent = this.isEditing ? '✅ Finish Editing' : '✏️ Edit Maze';
+        }
+        tools.forEach(button => {
+            button.disabled = !this.isEditing;
+            button.classList.toggle('active', button.dataset.tool === this.tool);
+        });
+        if (undo) undo.disabled = !this.isEditing || this.undoStack.length === 0;
+        if (redo) redo.disabled = !this.isEditing || this.redoStack.length === 0;
+        if (commit) commit.disabled = !this.isEditing || !this.hasUncommittedEdits;
+    }
+
+    /**
+     * Forget the current maze and its history
+     * @param {MazeGrid|null} maze - Maze to edit next
+     */
+    setMaze(maze) {
+        this.isEditing = false;
+        this.stroke = null;
+        this.maze = maze;
+        this.undoStack = [];
+        this.redoStack = [];
+        this.hasUncommittedEdits = false;
+        if (this.canvas) {
+            this.canvas.style.cursor = '';
+        }
+        if (this.elements.report) {
+            this.elements.report.textContent = '';
+        }
+        this.updateControls();
+    }
+
+    /**
+     * Setup event listeners
+     */
+    setupEventListeners() {
+        const { toggle, tools, undo, redo, commit } = this.elements;
+
+        if (toggle) toggle.addEventListener('click', () => this.setEditing(!this.isEditing));
+        tools.forEach(button => {
+            button.addEventListener('click', () => this.setTool(button.dataset.tool));
+        });
+        if (undo) undo.addEventListener('click', () => this.undo());
+        if (redo) redo.addEventListener('click', () => this.redo());
+        if (commit) commit.addEventListener('click', () => this.commit());
+
+        if (this.canvas) {
+            this.canvas.addEventListener('pointerdown', event => this.onPointerDown(event));
+            this.canvas.addEventListener('pointermove', event => this.onPointerMove(event));
+            this.canvas.addEventListener('pointerup', () => this.onPointerUp());
+            this.canvas.addEventListener('pointercancel', () => this.onPointerUp());
+        }
+
+        document.addEventListener('keydown', (event) => {
+            if (!this.isEditing || event.target instanceof HTMLInputElement) return;
+            if (!(event.ctrlKey || event.metaKey)) return;
+
+            if (event.code === 'KeyZ' && !event.shiftKey) {
+                this.undo();
+            } else if (event.code === 'KeyY' || (event.code === 'KeyZ' && event.shiftKey)) {
+                this.redo();
+            } else {
+                return;
+            }
+            event.preventDefault();
+        });
+
+        window.EventBus.on(window.MazeConfig.events.MAZE_GENERATION_START, () => this.setMaze(null));
+        window.EventBus.on(window.MazeConfig.events.MAZE_GENERATION_COMPLETE, (data) => this.setMaze(data.maze));
+        window.EventBus.on(window.MazeConfig.events.MAZE_RESET, () => this.setMaze(null));
+
+        // Moving a marker changes what the validator measures
+        const revalidate = () => {
+            if (this.isEditing) this.validate();
+        };
+        window.EventBus.on(window.MazeConfig.events.MAZE_START_CHANGED, revalidate);
+        window.EventBus.on(window.MazeConfig.events.MAZE_EXIT_CHANGED, revalidate);
+    }
+}
+
+// Create global maze editor instance
+window.MazeEditor = new MazeEditor();
@@ -0,0 +1,229 @@
+/**
+ * Shareable Permalinks
+ * Mirrors algorithm, size, seed, speed, view mode and camera into location.hash
+ * Each generated maze gets its own history entry so back/forward walks between mazes
+ */
+
+class PermalinkManager {
+    constructor() {
+        this.state = {
+            algorithm: 'recursive',
+            width: window.MazeConfig.maze.defaultWidth,
+            height: window.MazeConfig.maze.defaultHeight,
+            seed: null,
+            speed: 5,
+            view: '2d',
+            camera: 'overhead'
+        };
+        this.isRestoring = false;
+        // Grid of the generation a restore started; its completion rewrites the current entry instead of adding one
+        this.restoredMaze = null;
+
+        // Short keys keep shared links readable
+        this.keys = {
+            algorithm: 'a',
+            width: 'w',
+            height: 'h',
+            seed: 's',
+            speed: 'sp',
+            view: 'v',
+            camera: 'c'
+        };
+        this.viewModes = ['2d', '3d'];
+        this.cameraTypes = ['overhead', 'perspective', 'first-person'];
+
+        this.setupEventListeners();
+    }
+
+    /**
+     * Serialize the current state into a hash string
+     * @returns {string} Hash including the leading '#'
+     */
+    toHash() {
+        const params = new URLSearchParams();
+        Object.entries(this.keys).forEach(([field, key]) => {
+            const value = this.state[field];
+            if (value !== null && value !== undefined) {
+                params.set(key, value);
+            }
+        });
+        return `#${params.toString()}`;
+    }
+
+    /**
+     * Parse and validate a hash string; unknown or invalid values are dropped
+     * @param {string} hash - location.hash value
+     * @returns {Object} Partial state containing only valid fields
+     */
+    parseHash(hash) {
+        const params = new URLSearchParams(hash.replace(/^#/, ''));
+        const parsed = {};
+        const mazeConfig = window.MazeConfig.maze;
+
+        const algorithm = params.get(this.keys.algorithm);
+        if (algorithm && window.MazeConfig.algorithms[algorithm]) {
+            parsed.algorithm = algorithm;
+        }
+
+        ['width', 'height'].forEach(field => {
+            const value = parseInt(params.get(this.keys[field]), 10);
+            if (Number.isFinite(value)) {
+                // Dimensions must be odd for the maze structure to work
+                const clamped = window.MazeUtils.clamp(value, mazeConfig.minSize, mazeConfig.maxSize);
+                parsed[field] = clamped % 2 === 0 ? clamped - 1 : clamped;
+            }
+        });
+
+        const seed = params.get(this.keys.seed);
+        if (seed !== null && seed !== '') {
+            parsed.seed = window.MazeUtils.normalizeSeed(seed);
+        }
+
+        const speed = parseInt(params.get(this.keys.speed), 10);
+        if (Number.isFinite(speed)) {
+            parsed.speed = window.MazeUtils.clamp(speed, 1, 10);
+        }
+
+        const view = params.get(this.keys.view);
+        if (this.viewModes.includes(view)) {
+            parsed.view = view;
+        }
+
+        const camera = params.get(this.keys.camera);
+        if (this.cameraTypes.includes(camera)) {
+            parsed.camera = camera;
+        }
+
+        return parsed;
+    }
+
+    /**
+     * Write the state to the URL
+     * @param {boolean} newEntry - Push a history entry instead of replacing the current one
+     */
+    writeHash(newEntry = false) {
+        if (this.isRestoring) return;
+
+        const hash = this.toHash();
+        if (hash === window.location.hash) return;
+
+        if (newEntry) {
+            window.history.pushState(null, '', hash);
+        } else {
+            window.history.replaceState(null, '', hash);
+        }
+    }
+
+    /**
+     * Apply the state in location.hash to the app
+     * Emits the same events the controls would, then asks GenerationRunner to rebuild the maze
+     */
+    restoreFromHash() {
+        const parsed = this.parseHash(window.location.hash);
+        if (Object.keys(parsed).length === 0) return;
+
+        this.isRestoring = true;
+        try {
+            this.state = { ...this.state, ...parsed };
+            const events = window.EventBus.ui;
+
+            if (parsed.algorithm) {
+                this.syncAlgorithmButtons(parsed.algorithm);
+                events.algorithmChanged(parsed.algorithm, window.MazeConfig.algorithms[parsed.algorithm]);
+            }
+            if (parsed.speed) {
+                const slider = document.getElementById('speedSlider');
+                if (slider) slider.value = parsed.speed;
+                events.speedChanged(parsed.speed);
+            }
+            if (parsed.seed !== undefined && window.SeedControl) {
+                window.SeedControl.setSeed(parsed.seed);
+            }
+            if (parsed.view) {
+                events.viewModeChanged(parsed.view);
+            }
+            if (parsed.camera) {
+                events.cameraChanged(parsed.camera, { restored: true });
+            }
+
+            // Rebuild the linked maze; a link with a size but no seed gets a fresh maze of that size
+            if (parsed.seed !== undefined || parsed.width || parsed.height) {
+                window.EventBus.maze.generationRequested(this.state.algorithm, {
+                    width: this.state.width,
+                    height: this.state.height,
+                    seed: parsed.seed ?? null,
+                    animationSpeed: this.state.speed
+                });
+            }
+        } finally {
+            this.isRestoring = false;
+        }
+
+        window.MazeUtils.debug('Permalink', 'State restored from URL', this.state);
+    }
+
+    /**
+     * Mark the matching algorithm button as active
+     * @param {string} algorithm - Algorithm name
+     */
+    syncAlgorithmButtons(algorithm) {
+        document.querySelectorAll('.algorithm-btn').forEach(button => {
+            button.classList.toggle('active', button.dataset.algorithm === algorithm);
+        });
+    }
+
+    /**
+     * Setup event listeners
+     */
+    setupEventListeners() {
+        const events = window.MazeConfig.events;
+
+        window.EventBus.on(events.ALGORITHM_CHANGED, (data) => {
+            this.state.algorithm = data.algorithm;
+            this.writeHash();
+        });
+
+        window.EventBus.on(events.SPEED_CHANGED, (data) => {
+            this.state.speed = data.speed;
+            this.writeHash();
+        });
+
+        window.EventBus.on(events.VIEW_MODE_CHANGED, (data) => {
+            this.state.view = data.mode;
+            this.writeHash();
+        });
+
+        window.EventBus.on(events.CAMERA_CHANGED, (data) => {
+            this.state.camera = data.cameraType;
+            this.writeHash();
+        });
+
+        // The rebuild a restore asks for starts synchronously, while isRestoring is still set
+        window.EventBus.on(events.MAZE_GENERATION_START, (data) => {
+            this.restoredMaze = this.isRestoring && data.config ? data.config.maze || null : null;
+        });
+
+        window.EventBus.on(events.MAZE_GENERATION_COMPLETE, (data) => {
+            const stats = data.stats || {};
+            const restored = this.restoredMaze !== null && data.maze === this.restoredMaze;
+            this.restoredMaze = null;
+            this.state.width = data.maze.width;
+            this.state.height = data.maze.height;
+            if (stats.algorithm) this.state.algorithm = stats.algorithm;
+            this.state.seed = stats.seed ?? null;
+
+            // A maze without a seed (e.g. imported) cannot be rebuilt from a link
+            // The maze a link rebuilt already has its history entry, so only normalize that entry's hash
+            if (this.state.seed !== null) {
+                this.writeHash(!restored);
+            }
+        });
+
+        // Restore once every module has registered its listeners
+        window.addEventListener('load', () => this.restoreFromHash());
+        window.addEventListener('popstate', () => this.restoreFromHash());
+    }
+}
+
+// Create global permalink manager instance
+window.PermalinkManager = new PermalinkManager();
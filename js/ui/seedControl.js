@@ -0,0 +1,63 @@
+/**
+ * Seed Input and Display
+ * Lets users type a seed to reproduce a maze and shows the seed of the last one
+ * An empty input means every generation picks a fresh random seed
+ */
+
+class SeedControl {
+    constructor(inputId = 'seedInput', displayId = 'mazeSeed') {
+        this.input = document.getElementById(inputId);
+        this.display = document.getElementById(displayId);
+        this.seed = window.MazeConfig.maze.defaultSeed;
+
+        this.setupEventListeners();
+    }
+
+    /**
+     * Seed to use for the next generation
+     * @returns {number} Entered seed, or a fresh random one when the input is empty
+     */
+    getSeed() {
+        return this.seed ?? window.MazeUtils.randomSeed();
+    }
+
+    /**
+     * Set the seed programmatically and mirror it in the input
+     * @param {number|string|null} seed - Seed value, or null for random
+     */
+    setSeed(seed) {
+        this.seed = seed === null || seed === '' ? null : window.MazeUtils.normalizeSeed(seed);
+        if (this.input) {
+            this.input.value = this.seed ?? '';
+        }
+        window.EventBus.ui.seedChanged(this.seed);
+    }
+
+    /**
+     * Setup event listeners
+     */
+    setupEventListeners() {
+        if (this.input) {
+            this.input.addEventListener('change', () => {
+                const value = this.input.value.trim();
+                this.seed = value === '' ? null : window.MazeUtils.normalizeSeed(value);
+                window.EventBus.ui.seedChanged(this.seed);
+            });
+        }
+
+        window.EventBus.on(window.MazeConfig.events.MAZE_GENERATION_COMPLETE, (data) => {
+            if (this.display && data.stats && data.stats.seed !== undefined) {
+                this.display.textContent = data.stats.seed;
+            }
+        });
+
+        window.EventBus.on(window.MazeConfig.events.MAZE_RESET, () => {
+            if (this.display) {
+                this.display.textContent = '-';
+            }
+        });
+    }
+}
+
+// Create global seed control instance
+window.SeedControl = new SeedControl();
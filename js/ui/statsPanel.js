@@ -0,0 +1,88 @@
+/**
+ * Extended Statistics Panel
+ * Fills the .maze-stats items that are not part of the generation stats:
+ * maze quality from MazeAnalyzer and 3D render cost from events published by other modules
+ */
+
+class StatsPanel {
+    constructor() {
+        this.elements = {
+            deadEnds: document.getElementById('deadEndCount'),
+            junctions: document.getElementById('junctionCount'),
+            loops: document.getElementById('loopCount'),
+            longestCorridor: document.getElementById('longestCorridor'),
+            riverFactor: document.getElementById('riverFactor'),
+            solutionLength: document.getElementById('solutionLength'),
+            difficulty: document.getElementById('difficultyScore'),
+            drawCalls: document.getElementById('drawCalls'),
+            triangleCount: document.getElementById('triangleCount')
+        };
+        this.qualityKeys = ['deadEnds', 'junctions', 'loops', 'longestCorridor', 'riverFactor', 'solutionLength', 'difficulty'];
+
+        this.maze = null;
+        this.analysis = null;
+
+        this.setupEventListeners();
+    }
+
+    /**
+     * Write a value into a stat element if it exists
+     * @param {string} key - Key in this.elements
+     * @param {*} value - Value to show
+     */
+    setValue(key, value) {
+        const element = this.elements[key];
+        if (element) {
+            element.textContent = value;
+        }
+    }
+
+    /**
+     * Analyze the current maze and show its quality metrics
+     */
+    updateAnalysis() {
+        if (!this.maze) return;
+
+        this.analysis = window.MazeAnalyzer.analyze(this.maze);
+        const analysis = this.analysis;
+
+        this.setValue('deadEnds', analysis.deadEnds);
+        this.setValue('junctions', analysis.junctions);
+        this.setValue('loops', analysis.loops);
+        this.setValue('longestCorridor', analysis.longestCorridor);
+        this.setValue('riverFactor', analysis.riverFactor.toFixed(1));
+        this.setValue('solutionLength', analysis.solutionLength === null ? 'No route' : analysis.solutionLength);
+        this.setValue('difficulty', analysis.difficulty === null ? '-' : `${analysis.difficulty} · ${analysis.difficultyLabel}`);
+    }
+
+    /**
+     * Setup event listeners
+     */
+    setupEventListeners() {
+        const events = window.MazeConfig.events;
+
+        window.EventBus.on(events.SCENE_STATS_UPDATED, (data) => {
+            this.setValue('drawCalls', data.drawCalls);
+            this.setValue('triangleCount', data.triangles.toLocaleString());
+        });
+
+        window.EventBus.on(events.MAZE_GENERATION_COMPLETE, (data) => {
+            this.maze = data.maze;
+            this.updateAnalysis();
+        });
+
+        // Edits change the layout; moved markers change the solution
+        window.EventBus.on(events.MAZE_EDITED, () => this.updateAnalysis());
+        window.EventBus.on(events.MAZE_START_CHANGED, () => this.updateAnalysis());
+        window.EventBus.on(events.MAZE_EXIT_CHANGED, () => this.updateAnalysis());
+
+        window.EventBus.on(events.MAZE_RESET, () => {
+            this.maze = null;
+            this.analysis = null;
+            this.qualityKeys.forEach(key => this.setValue(key, '-'));
+        });
+    }
+}
+
+// Create global stats panel instance
+window.StatsPanel = new StatsPanel();
@@ -0,0 +1,355 @@
+/**
+ * Generation Timeline Controls
+ * Transport bar for stepping through a generation: play/pause, single step, step back and a scrubber,
+ * with the algorithm's stack shown as it was at the selected step
+ */
+
+class TimelineControls {
+    constructor() {
+        this.elements = {
+            start: document.getElementById('timelineStartBtn'),
+            play: document.getElementById('timelinePlayBtn'),
+            back: document.getElementById('timelineBackBtn'),
+            forward: document.getElementById('timelineStepBtn'),
+            scrubber: document.getElementById('timelineScrubber'),
+            label: document.getElementById('timelineStepLabel'),
+            stack: document.getElementById('timelineStack')
+        };
+
+        this.timeline = null;
+        this.algorithmId = 'recursive';
+        this.width = window.MazeConfig.maze.defaultWidth;
+        this.height = window.MazeConfig.maze.defaultHeight;
+        this.speed = 5;
+        this.isPlaying = false;
+        // Aborts the scheduler driving playback
+        this.playController = null;
+        this.startTime = null;
+        // Ignore our own start event when deciding whether another run took over
+        this.isStarting = false;
+        // Settles the run registered with MazeRunController once the timeline finishes or is dropped
+        this.finishRun = null;
+
+        this.setupEventListeners();
+        this.updateControls();
+    }
+
+    /**
+     * Begin a new step-through generation with the current algorithm, size and seed
+     */
+    start() {
+        const entry = window.MazeConfig.algorithms[this.algorithmId];
+        const AlgorithmClass = entry && window[entry.className];
+        if (!AlgorithmClass) return;
+
+        this.pause();
+        const maze = new window.MazeGrid(this.width, this.height);
+        const seed = window.SeedControl ? window.SeedControl.getSeed() : window.MazeUtils.randomSeed();
+        const algorithm = new AlgorithmClass(maze, { seed });
+
+        this.claimGrid();
+        this.timeline = new window.GenerationTimeline(algorithm, maze);
+        this.startTime = performance.now();
+
+        this.isStarting = true;
+        try {
+            window.EventBus.maze.generationStarted(this.algorithmId, {
+                width: this.width,
+                height: this.height,
+                seed: algorithm.seed,
+                maze,
+                timeline: true
+            });
+        } finally {
+            this.isStarting = false;
+        }
+
+        this.timeline.initialize();
+        this.updateControls();
+
+        window.MazeUtils.debug('TimelineControls', 'Step-through generation started', {
+            algorithm: this.algorithmId,
+            seed: algorithm.seed
+        });
+    }
+
+    /**
+     * Advance one step
+     * @returns {boolean} True if a step was taken
+     */
+    stepForward() {
+        if (!this.timeline) return false;
+
+        const wasComplete = this.timeline.algorithm.isComplete;
+        const frame = this.timeline.stepForward();
+        if (!frame) return false;
+
+        this.publish(frame);
+
+        // The first time the live edge finishes, announce the maze like a normal generation
+        if (!wasComplete && this.timeline.algorithm.isComplete) {
+            const algorithm = this.timeline.algorithm;
+            window.EventBus.maze.generationCompleted(this.timeline.maze, {
+                algorithm: this.algorithmId,
+                seed: algorithm.seed,
+                steps: algorithm.stepCount,
+                time: (performance.now() - this.startTime) / 1000
+            });
+            this.releaseGrid();
+        }
+        return true;
+    }
+
+    /**
+     * Register the step-through as the run that owns the grid
+     * The run stays open while the user steps; any other run or a Reset aborts it and drops the timeline
+     */
+    claimGrid() {
+        if (!window.MazeRunController) return;
+
+        window.MazeRunController.run('generation', signal => new Promise((resolve, reject) => {
+            this.finishRun = resolve;
+            signal.addEventListener('abort', () => {
+                const timeline = this.timeline;
+                window.EventBus.maze.generationCancelled(window.MazeUtils.abortReason(signal), {
+                    algorithm: this.algorithmId,
+                    seed: timeline ? timeline.algorithm.seed : null,
+                    steps: timeline ? timeline.length : 0,
+                    timeline: true
+                });
+                reject(window.MazeUtils.createAbortError());
+                this.discard();
+            }, { once: true });
+        }), { algorithm: this.algorithmId, timeline: true });
+    }
+
+    /**
+     * Give up grid ownership without cancelling (finished or discarded timeline)
+     */
+    releaseGrid() {
+        if (this.finishRun) {
+            this.finishRun(null);
+            this.finishRun = null;
+        }
+    }
+
+    /**
+     * Go back one step
+     */
+    stepBack() {
+        if (!this.timeline) return;
+
+        const frame = this.timeline.stepBack();
+        if (frame) {
+            this.publish(frame);
+        }
+    }
+
+    /**
+     * Jump to a recorded step
+     * @param {number} step - Step index from the scrubber
+     */
+    seek(step) {
+        if (!this.timeline) return;
+
+        const changedCells = this.timeline.seek(step);
+        this.publish({ ...this.timeline.getFrame(), changedCells });
+    }
+
+    /**
+     * Start or stop automatic stepping
+     */
+    togglePlay() {
+        if (this.isPlaying) {
+            this.pause();
+        } else {
+            this.play();
+        }
+    }
+
+    /**
+     * Step automatically at the animation speed until the end
+     */
+    play() {
+        if (!this.timeline || this.timeline.isComplete) return;
+
+        this.isPlaying = true;
+        this.updateControls();
+
+        const controller = new AbortController();
+        this.playController = controller;
+
+        // Playback is for watching, so it always animates even in instant mode
+        const scheduler = new window.StepScheduler({ speed: this.speed, signal: controller.signal, instant: false });
+        scheduler.run(
+            () => this.stepForward(),
+            () => !this.timeline || this.timeline.isComplete
+        ).catch(error => {
+            if (!window.MazeUtils.isAbortError(error)) this.fail(error);
+        }).finally(() => {
+            if (this.playController === controller) {
+                this.pause();
+            }
+        });
+    }
+
+    /**
+     * Stop playback after a step threw: drop the timeline, give up the grid and show what went wrong
+     * @param {Error} error - Error thrown while stepping
+     */
+    fail(error) {
+        console.error('Timeline playback failed:', error);
+
+        // While we own the grid, cancelling announces the stop and discards the timeline through claimGrid's abort handler
+        if (!this.finishRun || !window.MazeRunController.cancel('error')) {
+            this.discard();
+        }
+        if (this.elements.label) {
+            this.elements.label.textContent = `Stopped: ${error.message}`;
+        }
+    }
+
+    /**
+     * Stop automatic stepping
+     */
+    pause() {
+        this.isPlaying = false;
+        if (this.playController) {
+            this.playController.abort();
+            this.playController = null;
+        }
+        this.updateControls();
+    }
+
+    /**
+     * Emit a progress event for the step now shown and refresh the controls
+     * @param {Object} frame - Frame at the cursor, with changedCells
+     */
+    publish(frame) {
+        const timeline = this.timeline;
+        // Until the run finishes its length is unknown; use the same rough estimate as the generators
+        const percentage = timeline.algorithm.isComplete
+            ? window.MazeUtils.calculatePercentage(timeline.cursor, timeline.length)
+            : Math.min(99, window.MazeUtils.calculatePercentage(timeline.cursor, Math.floor((this.width * this.height) / 4)));
+
+        window.EventBus.maze.generationProgress(percentage, timeline.cursor, {
+            complete: timeline.isComplete,
+            current: frame.current || null,
+            step: timeline.cursor,
+            changedCells: frame.changedCells,
+            stack: timeline.stack,
+            timeline: true
+        });
+
+        this.updateControls();
+    }
+
+    /**
+     * Sync buttons, scrubber, label and stack view with the timeline
+     */
+    updateControls() {
+        const { play, back, forward, scrubber, label, stack } = this.elements;
+        const timeline = this.timeline;
+        const hasTimeline = !!timeline;
+
+        if (play) {
+            play.disabled = !hasTimeline || timeline.isComplete;
+            play.textContent = this.isPlaying ? '⏸️ Pause' : '▶️ Play';
+        }
+        if (back) back.disabled = !hasTimeline || this.isPlaying || timeline.cursor === 0;
+        if (forward) forward.disabled = !hasTimeline || this.isPlaying || timeline.isComplete;
+
+        if (scrubber) {
+            scrubber.disabled = !hasTimeline || this.isPlaying;
+            scrubber.max = hasTimeline ? timeline.length : 0;
+            scrubber.value = hasTimeline ? timeline.cursor : 0;
+        }
+
+        if (label) {
+            label.textContent = hasTimeline
+                ? `Step ${timeline.cursor} / ${timeline.length}${timeline.algorithm.isComplete ? '' : '+'}`
+                : 'Not started';
+        }
+
+        if (stack) {
+            stack.textContent = hasTimeline ? this.describeStack() : '';
+        }
+    }
+
+    /**
+     * Text view of the stack at the cursor, top first
+     * @returns {string} Stack description
+     */
+    describeStack() {
+        const timeline = this.timeline;
+        if (!Array.isArray(timeline.algorithm.stack)) {
+            // Algorithms without a stack show their own state instead
+            const frame = timeline.getFrame();
+            const state = frame ? frame.state : {};
+            return Object.entries(state)
+                .filter(([, value]) => typeof value !== 'object')
+                .map(([key, value]) => `${key}: ${value}`)
+                .join(' · ');
+        }
+
+        const limit = window.MazeConfig.ui.timelineStackPreview;
+        const cells = timeline.stack.slice(-limit).reverse().map(cell => `(${cell.x}, ${cell.y})`);
+        const hidden = timeline.stack.length - cells.length;
+        if (cells.length === 0) {
+            return 'Stack: empty';
+        }
+        return `Stack (${timeline.stack.length}, top first): ${cells.join(' ')}${hidden > 0 ? ` … +${hidden} more` : ''}`;
+    }
+
+    /**
+     * Drop the current timeline
+     */
+    discard() {
+        this.pause();
+        this.releaseGrid();
+        this.timeline = null;
+        this.updateControls();
+    }
+
+    /**
+     * Setup event listeners
+     */
+    setupEventListeners() {
+        const { start, play, back, forward, scrubber } = this.elements;
+
+        if (start) start.addEventListener('click', () => this.start());
+        if (play) play.addEventListener('click', () => this.togglePlay());
+        if (back) back.addEventListener('click', () => this.stepBack());
+        if (forward) forward.addEventListener('click', () => this.stepForward());
+        if (scrubber) {
+            scrubber.addEventListener('input', () => this.seek(Number(scrubber.value)));
+        }
+
+        const events = window.MazeConfig.events;
+
+        window.EventBus.on(events.ALGORITHM_CHANGED, (data) => {
+            this.algorithmId = data.algorithm;
+        });
+
+        window.EventBus.on(events.SPEED_CHANGED, (data) => {
+            this.speed = data.speed;
+        });
+
+        window.EventBus.on(events.MAZE_GENERATION_START, (data) => {
+            const config = data.config || {};
+            if (config.width && config.height) {
+                this.width = config.width;
+                this.height = config.height;
+            }
+            // A normal generation replaces whatever we were stepping through
+            if (!this.isStarting) {
+                this.discard();
+            }
+        });
+
+        window.EventBus.on(events.MAZE_RESET, () => this.discard());
+    }
+}
+
+// Create global timeline controls instance
+window.TimelineControls = new TimelineControls();
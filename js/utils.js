@@ -8,30 +8,136 @@ window.MazeUtils = {
     /**
      * Create a delay promise for async functions
      * @param {number} ms - Milliseconds to delay
+     * @param {AbortSignal} signal - Optional signal; aborting rejects the promise with an AbortError
      * @returns {Promise} Promise that resolves after delay
      */
-    delay(ms) {
-        return new Promise(resolve => setTimeout(resolve, ms));
+    delay(ms, signal = null) {
+        if (signal && signal.aborted) {
+            return Promise.reject(this.createAbortError());
+        }
+
+        return new Promise((resolve, reject) => {
+            const onAbort = () => {
+                clearTimeout(timeout);
+                reject(this.createAbortError());
+            };
+            const timeout = setTimeout(() => {
+                if (signal) signal.removeEventListener('abort', onAbort);
+                resolve();
+            }, ms);
+
+            if (signal) signal.addEventListener('abort', onAbort, { once: true });
+        });
+    },
+
+    /**
+     * Throw an AbortError if a signal has fired
+     * @param {AbortSignal} signal - Optional signal to check
+     */
+    throwIfAborted(signal) {
+        if (signal && signal.aborted) {
+            throw this.createAbortError();
+        }
+    },
+
+    /**
+     * Build the error cancelled runs reject with
+     * A plain Error named AbortError, so it also works where DOMException is unavailable (Node sandbox)
+     * @returns {Error} Abort error
+     */
+    createAbortError() {
+        const error = new Error('Run cancelled');
+        error.name = 'AbortError';
+        return error;
+    },
+
+    /**
+     * Check whether an error came from a cancelled run
+     * @param {*} error - Caught value
+     * @returns {boolean} True for AbortError
+     */
+    isAbortError(error) {
+        return !!error && error.name === 'AbortError';
+    },
+
+    /**
+     * Why a signal was aborted, as passed to AbortController.abort(reason)
+     * @param {AbortSignal} signal - Aborted signal
+     * @returns {string} The reason string ('reset', 'superseded', ...), or 'cancelled' when none was given
+     */
+    abortReason(signal) {
+        return signal && typeof signal.reason === 'string' ? signal.reason : 'cancelled';
+    },
+
+    /**
+     * Create a seeded pseudo-random generator (mulberry32)
+     * Same seed always yields the same sequence, so mazes can be reproduced
+     * @param {number|string} seed - Seed value
+     * @returns {Function} Function returning floats in [0, 1), like Math.random
+     */
+    createRandom(seed) {
+        let state = this.normalizeSeed(seed);
+        return function random() {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    },
+
+    /**
+     * Convert user input into a 32-bit unsigned seed
+     * Numeric strings keep their value; other text is hashed (FNV-1a)
+     * @param {number|string} seed - Seed value
+     * @returns {number} Unsigned 32-bit seed
+     */
+    normalizeSeed(seed) {
+        if (typeof seed === 'number' && Number.isFinite(seed)) {
+            return Math.floor(seed) >>> 0;
+        }
+
+        const text = String(seed).trim();
+        if (/^\d+$/.test(text)) {
+            return Number(text) >>> 0;
+        }
+
+        let hash = 0x811C9DC5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return hash >>> 0;
+    },
+
+    /**
+     * Pick a fresh seed for a maze the user did not seed explicitly
+     * @returns {number} Unsigned 32-bit seed
+     */
+    randomSeed() {
+        return Math.floor(Math.random() * 4294967296) >>> 0;
     },
 
     /**
      * Generate random integer between min and max (inclusive)
      * @param {number} min - Minimum value
      * @param {number} max - Maximum value
+     * @param {Function} random - Random source (default Math.random)
      * @returns {number} Random integer
      */
-    randomInt(min, max) {
-        return Math.floor(Math.random() * (max - min + 1)) + min;
+    randomInt(min, max, random = Math.random) {
+        return Math.floor(random() * (max - min + 1)) + min;
     },
 
     /**
      * Shuffle array in place using Fisher-Yates algorithm
      * @param {Array} array - Array to shuffle
+     * @param {Function} random - Random source (default Math.random)
      * @returns {Array} The same array, shuffled
      */
-    shuffleArray(array) {
+    shuffleArray(array, random = Math.random) {
         for (let i = array.length - 1; i > 0; i--) {
-            const j = Math.floor(Math.random() * (i + 1));
+            const j = Math.floor(random() * (i + 1));
             [array[i], array[j]] = [array[j], array[i]];
         }
         return array;
@@ -107,7 +213,25 @@ window.MazeUtils = {
     },
 
     /**
-     * Convert 2D maze coordinates to 3D world coordinates
+     * Map a pointer position over a canvas to the maze cell under it
+     * Works from the displayed size, so CSS scaling of the canvas does not matter
+     * @param {HTMLCanvasElement} canvas - Canvas the maze is drawn on
+     * @param {MouseEvent} event - Pointer or mouse event
+     * @param {number} width - Maze width in cells
+     * @param {number} height - Maze height in cells
+     * @returns {Object} Object with x, y maze coordinates
+     */
+    canvasToCell(canvas, event, width, height) {
+        const rect = canvas.getBoundingClientRect();
+        return {
+            x: Math.floor((event.clientX - rect.left) / rect.width * width),
+            y: Math.floor((event.clientY - rect.top) / rect.height * height)
+        };
+    },
+
+    /**
+     * Convert 2D maze coordinates to the 3D world position of the cell's center
+     * Matches MazeTransform, which adds the dimension-aware helpers
      * @param {number} mazeX - Maze X coordinate
      * @param {number} mazeY - Maze Y coordinate
      * @param {Object} config - Configuration object with cellSize
@@ -115,13 +239,13 @@ window.MazeUtils = {
      */
     mazeToWorld(mazeX, mazeY, config = window.MazeConfig.threeD) {
         return {
-            x: (mazeX - config.cellSize / 2) * config.cellSize,
-            z: (mazeY - config.cellSize / 2) * config.cellSize
+            x: (mazeX + 0.5) * config.cellSize,
+            z: (mazeY + 0.5) * config.cellSize
         };
     },
 
     /**
-     * Convert 3D world coordinates to 2D maze coordinates
+     * Convert 3D world coordinates to the 2D maze cell containing them
      * @param {number} worldX - World X coordinate
      * @param {number} worldZ - World Z coordinate
      * @param {Object} config - Configuration object with cellSize
@@ -129,8 +253,8 @@ window.MazeUtils = {
      */
     worldToMaze(worldX, worldZ, config = window.MazeConfig.threeD) {
         return {
-            x: Math.floor(worldX / config.cellSize + config.cellSize / 2),
-            y: Math.floor(worldZ / config.cellSize + config.cellSize / 2)
+            x: Math.floor(worldX / config.cellSize),
+            y: Math.floor(worldZ / config.cellSize)
         };
     },
 
@@ -156,6 +280,15 @@ window.MazeUtils = {
         return a + (b - a) * this.clamp(t, 0, 1);
     },
 
+    /**
+     * Cubic ease-in-out curve for tweening
+     * @param {number} t - Linear progress (0-1)
+     * @returns {number} Eased progress (0-1)
+     */
+    easeInOutCubic(t) {
+        return t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2;
+    },
+
     /**
      * Format time in seconds to readable string
      * @param {number} seconds - Time in seconds
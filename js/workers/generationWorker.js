@@ -0,0 +1,241 @@
+/**
+ * Generation Worker
+ * Runs generators and solvers off the main thread and posts their changes back in batches,
+ * with cell diffs as transferable buffers. Loads in a browser Worker or a Node worker_threads Worker
+ *
+ * Messages in:  {type: 'generate' | 'solve' | 'cancel', id, ...}
+ * Messages out: {type: 'progress' | 'complete' | 'cancelled' | 'error', id, ...}
+ */
+
+// Browser modules the worker needs, relative to this file; no DOM access at load time
+const WORKER_MODULES = [
+    '../config.js',
+    '../utils.js',
+    '../maze/grid.js',
+    '../maze/registry.js',
+    '../maze/algorithms/baseAlgorithm.js',
+    '../maze/algorithms/recursive.js',
+    '../maze/algorithms/kruskal.js',
+    '../maze/algorithms/cellular.js',
+    '../maze/algorithms/prim.js',
+    '../maze/algorithms/eller.js',
+    '../maze/algorithms/wilson.js',
+    '../maze/algorithms/aldousBroder.js',
+    '../maze/algorithms/huntAndKill.js',
+    '../maze/algorithms/binaryTree.js',
+    '../maze/algorithms/sidewinder.js',
+    '../maze/algorithms/recursiveDivision.js',
+    '../ai/priorityQueue.js',
+    '../ai/solvers/baseSolver.js',
+    '../ai/solvers/bfs.js',
+    '../ai/solvers/dfs.js',
+    '../ai/solvers/dijkstra.js',
+    '../ai/solvers/astar.js',
+    '../ai/solvers/greedy.js'
+];
+
+const isBrowserWorker = typeof importScripts === 'function';
+let scope;
+let post;
+
+if (isBrowserWorker) {
+    self.window = self;
+    importScripts(...WORKER_MODULES);
+    scope = self;
+    post = (message, transfer = []) => self.postMessage(message, transfer);
+    self.onmessage = (event) => handleMessage(event.data);
+} else {
+    const { parentPort } = require('worker_threads');
+    scope = require('../headless.js').loadModules();
+    post = (message, transfer = []) => parentPort.postMessage(message, transfer);
+    parentPort.on('message', handleMessage);
+}
+
+// Ids of jobs cancelled while they were running
+const cancelled = new Set();
+
+/**
+ * Dispatch one message from the client
+ * @param {Object} message - Job or cancel request
+ */
+function handleMessage(message) {
+    if (message.type === 'cancel') {
+        cancelled.add(message.id);
+        return;
+    }
+
+    const run = message.type === 'generate' ? runGeneration : message.type === 'solve' ? runSolver : null;
+    if (!run) {
+        post({ type: 'error', id: message.id, message: `Unknown message type '${message.type}'` });
+        return;
+    }
+
+    run(message).catch(error => {
+        post({ type: 'error', id: message.id, message: error.message });
+    }).finally(() => {
+        cancelled.delete(message.id);
+    });
+}
+
+/**
+ * Look up the class registered for a config entry
+ * @param {Object} group - MazeConfig.algorithms or MazeConfig.solvers
+ * @param {string} id - Entry key
+ * @param {string} kind - 'algorithm' or 'solver', for error messages
+ * @returns {Function} Class constructor
+ */
+function resolveClass(group, id, kind) {
+    const entry = group[id];
+    if (!entry || !entry.className || !scope[entry.className]) {
+        throw new Error(`Unknown ${kind} '${id}'`);
+    }
+    return scope[entry.className];
+}
+
+/**
+ * Let queued messages (such as a cancel) through between batches
+ * @returns {Promise} Resolves on the next macrotask
+ */
+function yieldToMessages() {
+    return new Promise(resolve => setTimeout(resolve, 0));
+}
+
+/**
+ * Step until the time slice runs out or the run finishes
+ * @param {Object} instance - Algorithm or solver with step() and isComplete
+ * @param {Function} onStep - Called with each step result
+ */
+function runBatch(instance, onStep) {
+    const deadline = performance.now() + scope.MazeConfig.performance.workerBatchTime;
+    do {
+        onStep(instance.step());
+    } while (!instance.isComplete && performance.now() < deadline);
+}
+
+/**
+ * Generate a maze, posting one diff per time slice
+ * @param {Object} job - {id, algorithm, width, height, seed, config}
+ */
+async function runGeneration(job) {
+    const AlgorithmClass = resolveClass(scope.MazeConfig.algorithms, job.algorithm, 'algorithm');
+    const maze = new scope.MazeGrid(job.width, job.height);
+    const algorithm = new AlgorithmClass(maze, { ...job.config, seed: job.seed });
+    const startTime = performance.now();
+
+    // Flags as last posted, so each batch sends only cells that really changed
+    const shadow = new Uint8Array(maze.cells);
+    algorithm.initialize();
+
+    while (!algorithm.isComplete) {
+        if (cancelled.has(job.id)) {
+            post({ type: 'cancelled', id: job.id });
+            return;
+        }
+
+        const touched = new Set();
+        let current = null;
+        runBatch(algorithm, (result) => {
+            (result.changedCells || []).forEach(cell => touched.add(maze.index(cell.x, cell.y)));
+            current = result.current || current;
+        });
+
+        if (algorithm.isComplete) {
+            maze.ensureMarkers();
+            maze.flushDirty().forEach(cell => touched.add(maze.index(cell.x, cell.y)));
+        }
+
+        const indices = Int32Array.from([...touched].filter(i => shadow[i] !== maze.cells[i]));
+        const flags = Uint8Array.from(indices, i => maze.cells[i]);
+        indices.forEach(i => {
+            shadow[i] = maze.cells[i];
+        });
+
+        post({
+            type: 'progress',
+            id: job.id,
+            // Run length is unknown up front; carving visits roughly a quarter of the cells twice
+            percentage: algorithm.isComplete
+                ? 100
+                : Math.min(99, scope.MazeUtils.calculatePercentage(algorithm.stepCount, (job.width * job.height) / 2)),
+            steps: algorithm.stepCount,
+            current: current ? { x: current.x, y: current.y } : null,
+            indices,
+            flags
+        }, [indices.buffer, flags.buffer]);
+
+        await yieldToMessages();
+    }
+
+    const cells = maze.cells.slice();
+    post({
+        type: 'complete',
+        id: job.id,
+        cells,
+        start: maze.start,
+        exit: maze.exit,
+        stats: {
+            algorithm: job.algorithm,
+            seed: algorithm.seed,
+            steps: algorithm.stepCount,
+            time: (performance.now() - startTime) / 1000,
+            worker: true
+        }
+    }, [cells.buffer]);
+}
+
+/**
+ * Solve a maze, posting the cells opened in each time slice
+ * @param {Object} job - {id, solver, width, height, cells, start, exit, options}
+ */
+async function runSolver(job) {
+    const SolverClass = resolveClass(scope.MazeConfig.solvers, job.solver, 'solver');
+    const maze = new scope.MazeGrid(job.width, job.height);
+    maze.setCells(job.cells);
+    maze.start = job.start;
+    maze.exit = job.exit;
+
+    const solver = new SolverClass(maze, job.options || {});
+    const startTime = performance.now();
+    solver.initialize();
+
+    while (!solver.isComplete) {
+        if (cancelled.has(job.id)) {
+            post({ type: 'cancelled', id: job.id });
+            return;
+        }
+
+        const opened = [];
+        let current = null;
+        runBatch(solver, (result) => {
+            (result.opened || []).forEach(cell => opened.push(maze.index(cell.x, cell.y)));
+            current = result.current || current;
+        });
+
+        const indices = Int32Array.from(opened);
+        post({
+            type: 'progress',
+            id: job.id,
+            nodesExpanded: solver.closedSet.size,
+            steps: solver.stepCount,
+            current: current ? { x: current.x, y: current.y } : null,
+            indices
+        }, [indices.buffer]);
+
+        await yieldToMessages();
+    }
+
+    post({
+        type: 'complete',
+        id: job.id,
+        stats: {
+            solver: job.solver,
+            found: solver.found,
+            nodesExpanded: solver.closedSet.size,
+            pathLength: solver.path.length,
+            steps: solver.stepCount,
+            time: (performance.now() - startTime) / 1000,
+            path: solver.path,
+            worker: true
+        }
+    });
+}
@@ -0,0 +1,267 @@
+/**
+ * Worker Client
+ * Main-thread side of the generation worker: sends jobs, applies the cell diffs it posts back
+ * to a local MazeGrid and re-emits them as the usual generation and solver events
+ */
+
+class MazeWorkerClient {
+    /**
+     * @param {Function} createWorker - Returns {postMessage, onMessage, onError, terminate}; defaults to a browser Worker
+     */
+    constructor(createWorker = null) {
+        this.createWorker = createWorker || MazeWorkerClient.createBrowserWorker;
+        this.worker = null;
+        this.jobs = new Map();
+        this.nextId = 1;
+    }
+
+    /**
+     * Whether this environment can start a browser Worker
+     * @returns {boolean} True when Worker is available
+     */
+    static isSupported() {
+        return typeof Worker === 'function';
+    }
+
+    /**
+     * Whether runs should go through a worker
+     * @returns {boolean} True when worker mode is on and supported
+     */
+    static isEnabled() {
+        return window.MazeConfig.performance.useWorker && MazeWorkerClient.isSupported();
+    }
+
+    /**
+     * Wrap a browser Worker in the small interface the client uses
+     * @returns {Object} Worker handle
+     */
+    static createBrowserWorker() {
+        const worker = new Worker(window.MazeConfig.performance.workerUrl);
+        return {
+            postMessage: (message, transfer) => worker.postMessage(message, transfer),
+            onMessage: (callback) => worker.addEventListener('message', event => callback(event.data)),
+            onError: (callback) => worker.addEventListener('error', event => {
+                callback(event.error || new Error(event.message || 'Worker failed'));
+            }),
+            terminate: () => worker.terminate()
+        };
+    }
+
+    /**
+     * Start the worker on first use
+     * @returns {Object} Worker handle
+     */
+    ensureWorker() {
+        if (this.worker) return this.worker;
+
+        this.worker = this.createWorker();
+        this.worker.onMessage(message => this.handleMessage(message));
+        this.worker.onError(error => {
+            // A crashed worker takes every job with it; the next run starts a fresh one
+            this.jobs.forEach(job => job.reject(error));
+            this.jobs.clear();
+            this.terminate();
+        });
+        return this.worker;
+    }
+
+    /**
+     * Generate a maze in the worker
+     * @param {Object} options - algorithm, width, height, seed and algorithm config
+     * @param {AbortSignal} signal - Optional signal that cancels the job
+     * @returns {Promise} Resolves with {maze, stats}; rejects with an AbortError if cancelled
+     */
+    generate(options = {}, signal = null) {
+        const {
+            algorithm = 'recursive',
+            width = window.MazeConfig.maze.defaultWidth,
+            height = window.MazeConfig.maze.defaultHeight,
+            seed = window.MazeUtils.randomSeed(),
+            config = {}
+        } = options;
+
+        const maze = new window.MazeGrid(width, height);
+        window.EventBus.maze.generationStarted(algorithm, { width, height, seed, maze, worker: true });
+
+        return this.submit({ type: 'generate', algorithm, width, height, seed, config }, {
+            kind: 'generate',
+            maze,
+            algorithm,
+            seed
+        }, signal);
+    }
+
+    /**
+     * Solve a maze in the worker
+     * @param {MazeGrid} maze - Maze to solve; its cells are copied, not shared
+     * @param {Object} options - solver plus solver config (start, goal, heuristic)
+     * @param {AbortSignal} signal - Optional signal that cancels the job
+     * @returns {Promise} Resolves with solver statistics; rejects with an AbortError if cancelled
+     */
+    solve(maze, options = {}, signal = null) {
+        const { solver = 'astar', ...config } = options;
+        const cells = maze.cells.slice();
+
+        window.EventBus.solver.started(solver, { ...config, worker: true });
+
+        return this.submit({
+            type: 'solve',
+            solver,
+            width: maze.width,
+            height: maze.height,
+            cells,
+            start: maze.start,
+            exit: maze.exit,
+            options: config
+        }, { kind: 'solve', maze, solver }, signal, [cells.buffer]);
+    }
+
+    /**
+     * Post a job and track it until the worker reports back
+     * @param {Object} message - Job message without id
+     * @param {Object} job - Local job state
+     * @param {AbortSignal} signal - Optional cancellation signal
+     * @param {Array} transfer - Buffers to hand over to the worker
+     * @returns {Promise} Settles when the job completes, fails or is cancelled
+     */
+    submit(message, job, signal, transfer = []) {
+        if (signal && signal.aborted) {
+            this.announceCancelled(job, signal);
+            return Promise.reject(window.MazeUtils.createAbortError());
+        }
+
+        const id = this.nextId++;
+        const worker = this.ensureWorker();
+
+        return new Promise((resolve, reject) => {
+            const onAbort = () => {
+                this.jobs.delete(id);
+                worker.postMessage({ type: 'cancel', id });
+                this.announceCancelled(job, signal);
+                reject(window.MazeUtils.createAbortError());
+            };
+            const settle = (callback) => (value) => {
+                if (signal) signal.removeEventListener('abort', onAbort);
+                this.jobs.delete(id);
+                callback(value);
+            };
+
+            this.jobs.set(id, { ...job, resolve: settle(resolve), reject: settle(reject) });
+            if (signal) signal.addEventListener('abort', onAbort, { once: true });
+
+            worker.postMessage({ ...message, id }, transfer);
+        });
+    }
+
+    /**
+     * Emit the cancelled event for an aborted job, as the main-thread runs do
+     * @param {Object} job - Local job state
+     * @param {AbortSignal} signal - The aborted signal
+     */
+    announceCancelled(job, signal) {
+        if (job.kind === 'solve') {
+            window.EventBus.solver.cancelled(job.solver, { worker: true });
+        } else {
+            window.EventBus.maze.generationCancelled(window.MazeUtils.abortReason(signal), {
+                algorithm: job.algorithm,
+                seed: job.seed,
+                worker: true
+            });
+        }
+    }
+
+    /**
+     * Route a worker message to its job
+     * @param {Object} message - Message posted by the worker
+     */
+    handleMessage(message) {
+        const job = this.jobs.get(message.id);
+        // Late messages for cancelled jobs are dropped
+        if (!job) return;
+
+        if (message.type === 'error') {
+            job.reject(new Error(message.message));
+        } else if (message.type === 'cancelled') {
+            job.reject(window.MazeUtils.createAbortError());
+        } else if (job.kind === 'generate') {
+            this.handleGeneration(job, message);
+        } else {
+            this.handleSolver(job, message);
+        }
+    }
+
+    /**
+     * Apply a generation diff or result and re-emit it
+     * @param {Object} job - Generation job
+     * @param {Object} message - Progress or complete message
+     */
+    handleGeneration(job, message) {
+        const maze = job.maze;
+
+        if (message.type === 'progress') {
+            const changedCells = [];
+            message.indices.forEach((index, i) => {
+                const x = index % maze.width;
+                const y = Math.floor(index / maze.width);
+                maze.setFlags(x, y, message.flags[i]);
+                changedCells.push({ x, y });
+            });
+            maze.clearDirty();
+
+            window.EventBus.maze.generationProgress(message.percentage, message.steps, {
+                complete: false,
+                current: message.current,
+                step: message.steps,
+                changedCells,
+                worker: true
+            });
+            return;
+        }
+
+        maze.setCells(message.cells);
+        maze.start = message.start;
+        maze.exit = message.exit;
+        maze.clearDirty();
+
+        window.EventBus.maze.generationCompleted(maze, message.stats);
+        job.resolve({ maze, stats: message.stats });
+    }
+
+    /**
+     * Re-emit solver progress or the final result
+     * @param {Object} job - Solver job
+     * @param {Object} message - Progress or complete message
+     */
+    handleSolver(job, message) {
+        if (message.type === 'progress') {
+            const width = job.maze.width;
+            window.EventBus.solver.progress(job.solver, message.nodesExpanded, {
+                complete: false,
+                current: message.current,
+                step: message.steps,
+                opened: Array.from(message.indices, index => ({ x: index % width, y: Math.floor(index / width) })),
+                worker: true
+            });
+            return;
+        }
+
+        window.EventBus.solver.completed(job.solver, message.stats);
+        job.resolve(message.stats);
+    }
+
+    /**
+     * Stop the worker; running jobs are rejected
+     */
+    terminate() {
+        this.jobs.forEach(job => job.reject(window.MazeUtils.createAbortError()));
+        this.jobs.clear();
+
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+    }
+}
+
+// Register globally
+window.MazeWorkerClient = MazeWorkerClient;
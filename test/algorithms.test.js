@@ -0,0 +1,73 @@
+/**
+ * Generator Tests
+ * Every registered generator is deterministic per seed and leaves a connected maze; perfect-maze generators leave no loops
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { headless, loadWindow, oddSizes } = require('./helpers.js');
+
+const window = loadWindow();
+const sizes = oddSizes(window);
+const algorithms = Object.entries(window.MazeConfig.algorithms);
+
+/**
+ * Wall layout and markers of a maze, comparable with deepEqual
+ * @param {MazeGrid} maze - Generated maze
+ * @returns {Object} Snapshot
+ */
+function snapshot(maze) {
+    const walls = [];
+    for (let y = 0; y < maze.height; y++) {
+        for (let x = 0; x < maze.width; x++) {
+            walls.push(maze.isWall(x, y) ? 1 : 0);
+        }
+    }
+    return { walls: walls.join(''), start: { ...maze.start }, exit: { ...maze.exit } };
+}
+
+test('every generator is registered with its class, description and biases', () => {
+    assert.ok(algorithms.length > 0);
+    algorithms.forEach(([id, entry]) => {
+        assert.equal(window.MazeAlgorithmRegistry.get(id), entry, id);
+        assert.equal(typeof window[entry.className], 'function', `${id} has no class`);
+        assert.ok(entry.name && entry.description, `${id} has no name or description`);
+        assert.ok(Array.isArray(entry.biases) && entry.biases.length > 0, `${id} has no biases`);
+        assert.equal(typeof entry.createLoops, 'boolean', `${id} does not say whether it creates loops`);
+    });
+});
+
+algorithms.forEach(([id, entry]) => {
+    test(`${id}: the same seed builds the same maze`, () => {
+        for (const seed of [1, 42]) {
+            const first = headless.generate({ algorithm: id, width: 21, height: 15, seed });
+            const second = headless.generate({ algorithm: id, width: 21, height: 15, seed });
+            assert.deepEqual(snapshot(second.maze), snapshot(first.maze), `seed ${seed}`);
+            assert.equal(second.stats.steps, first.stats.steps, `seed ${seed}`);
+        }
+    });
+
+    test(`${id}: every passage is reachable from the start at every odd size`, () => {
+        sizes.forEach((width, i) => {
+            const height = sizes[sizes.length - 1 - i];
+            const { maze } = headless.generate({ algorithm: id, width, height, seed: width });
+            const label = `${width}x${height}`;
+
+            // Lattice generators carve every odd cell; caves open whatever their rule leaves
+            if (entry.guaranteesSolution) {
+                for (let y = 1; y < height; y += 2) {
+                    for (let x = 1; x < width; x += 2) {
+                        assert.ok(maze.isPassable(x, y), `${label}: (${x}, ${y}) is a wall`);
+                    }
+                }
+            }
+
+            const { reached } = window.MazeValidator.floodFill(maze, maze.start);
+            assert.equal(reached, maze.countPassages(), `${label}: unreachable passages`);
+
+            if (!entry.createLoops) {
+                assert.equal(window.MazeValidator.countLoops(maze), 0, `${label}: loops in a perfect maze`);
+            }
+        });
+    });
+});
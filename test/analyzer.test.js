@@ -0,0 +1,144 @@
+/**
+ * Analyzer Tests
+ * Corridor lengths, dead-end spurs, the solution path and difficulty on small hand-drawn mazes
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadWindow } = require('./helpers.js');
+
+const window = loadWindow();
+const analyzer = window.MazeAnalyzer;
+
+/**
+ * Build a maze from rows of '#' (wall), '.' (passage), 'S' (start) and 'E' (exit)
+ * @param {Array<string>} rows - Equal-length rows, top first
+ * @returns {MazeGrid} Maze
+ */
+function draw(rows) {
+    const maze = new window.MazeGrid(rows[0].length, rows.length);
+    rows.forEach((row, y) => {
+        [...row].forEach((char, x) => {
+            if (char !== '#') {
+                maze.setCell(x, y, { wall: false, visited: true });
+            }
+            if (char === 'S') maze.setStart(x, y);
+            if (char === 'E') maze.setExit(x, y);
+        });
+    });
+    return maze;
+}
+
+/**
+ * Numbers in ascending order, so scan order does not matter
+ * The copy also lives in this realm, where deepEqual can compare it with a literal
+ * @param {Array<number>} values - Numbers from the sandbox
+ * @returns {Array<number>} Sorted copy
+ */
+function sorted(values) {
+    return [...values].sort((a, b) => a - b);
+}
+
+const straight = draw([
+    '#######',
+    '#S...E#',
+    '#######'
+]);
+
+const junction = draw([
+    '#######',
+    '#S...E#',
+    '###.###',
+    '###.###',
+    '###.###',
+    '#######'
+]);
+
+// A 14-cell ring whose only node is the junction the spur hangs off
+const ring = draw([
+    '#######',
+    '#E....#',
+    '#.###.#',
+    '#.###.#',
+    '#.....#',
+    '###.###',
+    '###S###',
+    '#######'
+]);
+
+const walledOff = draw([
+    '#######',
+    '#S.#.E#',
+    '#######'
+]);
+
+test('a straight corridor is one corridor and two spurs running its full length', () => {
+    assert.deepEqual(sorted(analyzer.corridorLengths(straight)), [4]);
+    assert.deepEqual(sorted(analyzer.deadEndSpurs(straight)), [4, 4]);
+});
+
+test('a T junction splits into three corridors that each end in a spur', () => {
+    assert.deepEqual(sorted(analyzer.corridorLengths(junction)), [2, 2, 3]);
+    assert.deepEqual(sorted(analyzer.deadEndSpurs(junction)), [2, 2, 3]);
+});
+
+test('a corridor that loops back to its own node is counted once', () => {
+    // The junction walks the ring from both sides; only one of the two walks is kept
+    assert.deepEqual(sorted(analyzer.corridorLengths(ring)), [2, 14]);
+    assert.deepEqual(sorted(analyzer.deadEndSpurs(ring)), [2]);
+});
+
+test('the solution path takes the shorter way round the ring', () => {
+    const path = analyzer.solutionPath(ring);
+
+    assert.deepEqual(Array.from(path, cell => ({ ...cell })), [
+        { x: 3, y: 6 }, { x: 3, y: 5 }, { x: 3, y: 4 }, { x: 2, y: 4 },
+        { x: 1, y: 4 }, { x: 1, y: 3 }, { x: 1, y: 2 }, { x: 1, y: 1 }
+    ]);
+});
+
+test('the downhill walk picks one of two equal routes and keeps every step adjacent', () => {
+    ring.setExit(3, 1);
+    try {
+        const path = analyzer.solutionPath(ring);
+
+        assert.equal(path.length, 10);
+        assert.deepEqual({ ...path[0] }, { x: 3, y: 6 });
+        assert.deepEqual({ ...path[path.length - 1] }, { x: 3, y: 1 });
+        for (let i = 1; i < path.length; i++) {
+            const moves = Math.abs(path[i].x - path[i - 1].x) + Math.abs(path[i].y - path[i - 1].y);
+            assert.equal(moves, 1, `step ${i}`);
+            assert.ok(ring.isPassable(path[i].x, path[i].y), `step ${i}`);
+        }
+    } finally {
+        ring.setExit(1, 1);
+    }
+});
+
+test('an unreachable exit has no solution and no difficulty', () => {
+    assert.equal(analyzer.solutionPath(walledOff), null);
+
+    const metrics = analyzer.analyze(walledOff);
+    assert.equal(metrics.solutionLength, null);
+    assert.equal(metrics.solutionDecisions, null);
+    assert.equal(metrics.difficulty, null);
+    assert.equal(metrics.difficultyLabel, null);
+});
+
+test('difficulty weighs route, decisions and spurs, and loops take some of it back', () => {
+    // Route fills its share, no decisions, spurs 4/10 deep: 0.35 + 0.25 * 0.4
+    assert.equal(analyzer.analyze(straight).difficulty, 45);
+
+    // Full route and decision marks, spurs 2.33/10 deep: 0.35 + 0.4 + 0.25 * 0.233
+    const tee = analyzer.analyze(junction);
+    assert.equal(tee.solutionLength, 4);
+    assert.equal(tee.solutionDecisions, 1);
+    assert.equal(tee.difficulty, 81);
+    assert.equal(tee.difficultyLabel, 'Expert');
+
+    // Route 7/8, one decision in 7 moves, spurs 2/10 deep, then the one loop cuts 30%
+    const loop = analyzer.analyze(ring);
+    assert.equal(loop.loops, 1);
+    assert.equal(loop.difficulty, 41);
+    assert.equal(loop.difficultyLabel, 'Medium');
+});
@@ -0,0 +1,65 @@
+/**
+ * Cancellation Tests
+ * Every generator announces MAZE_GENERATION_CANCELLED from its own step loop when its signal aborts,
+ * with the reason given to AbortController.abort
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadWindow } = require('./helpers.js');
+
+const window = loadWindow('maze/runController.js');
+const events = window.MazeConfig.events;
+
+test('every generator reports an aborted run with its reason, algorithm and step count', async () => {
+    for (const { id, entry } of window.MazeAlgorithmRegistry.list()) {
+        const maze = new window.MazeGrid(21, 21);
+        const algorithm = new window[entry.className](maze, { seed: 3 });
+        const controller = new window.AbortController();
+        const cancelled = [];
+        const onCancelled = data => cancelled.push(data);
+        window.EventBus.on(events.MAZE_GENERATION_CANCELLED, onCancelled);
+
+        try {
+            const run = algorithm.generate(() => controller.abort('reset'), 1, controller.signal);
+            await assert.rejects(run, error => window.MazeUtils.isAbortError(error), id);
+        } finally {
+            window.EventBus.off(events.MAZE_GENERATION_CANCELLED, onCancelled);
+        }
+
+        assert.equal(cancelled.length, 1, id);
+        assert.equal(cancelled[0].reason, 'reset', id);
+        assert.equal(cancelled[0].info.algorithm, id);
+        assert.equal(cancelled[0].info.seed, 3, id);
+        assert.ok(cancelled[0].info.steps > 0, id);
+    }
+});
+
+test('a signal aborted without a reason reports "cancelled"', async () => {
+    const controller = new window.AbortController();
+    controller.abort();
+    const cancelled = new Promise(resolve => window.EventBus.once(events.MAZE_GENERATION_CANCELLED, resolve));
+
+    const algorithm = new window.PrimAlgorithm(new window.MazeGrid(11, 11), { seed: 1 });
+    await assert.rejects(algorithm.generate(null, 5, controller.signal), { name: 'AbortError' });
+    assert.equal((await cancelled).reason, 'cancelled');
+});
+
+test('MazeRunController hands its reason to the run it aborts, which announces it once', async () => {
+    const cancelled = [];
+    const onCancelled = data => cancelled.push(data);
+    window.EventBus.on(events.MAZE_GENERATION_CANCELLED, onCancelled);
+
+    try {
+        const algorithm = new window.KruskalAlgorithm(new window.MazeGrid(21, 21), { seed: 8 });
+        const run = window.MazeRunController.run('generation', signal => algorithm.generate(null, 1, signal), { algorithm: 'kruskal' });
+        window.EventBus.maze.reset();
+
+        assert.equal(await run, null);
+        assert.equal(cancelled.length, 1);
+        assert.equal(cancelled[0].reason, 'reset');
+        assert.equal(cancelled[0].info.algorithm, 'kruskal');
+    } finally {
+        window.EventBus.off(events.MAZE_GENERATION_CANCELLED, onCancelled);
+    }
+});
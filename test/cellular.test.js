@@ -0,0 +1,51 @@
+/**
+ * Cellular Automata Generator Tests
+ * Small grids used to smooth down to a single open cell; every cave must leave room for a start and an exit
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { headless, loadWindow } = require('./helpers.js');
+
+const window = loadWindow();
+const { minSize } = window.MazeConfig.maze;
+const { minOpenShare } = window.MazeConfig.algorithms.cellular;
+
+test('caves at minSize keep the minimum open area and separate start and exit', () => {
+    for (let seed = 1; seed <= 100; seed++) {
+        const { maze } = headless.generate({ algorithm: 'cellular', width: minSize, height: minSize, seed });
+        const interior = (minSize - 2) * (minSize - 2);
+
+        assert.ok(maze.countPassages() >= Math.floor(interior * minOpenShare), `seed ${seed}: ${maze.countPassages()} open cells`);
+        assert.ok(maze.start && maze.exit, `seed ${seed}: missing marker`);
+        assert.notDeepEqual({ ...maze.start }, { ...maze.exit }, `seed ${seed}: start and exit share a cell`);
+    }
+});
+
+test('seed 42 at minSize no longer collapses to one cell', () => {
+    const { maze } = headless.generate({ algorithm: 'cellular', width: minSize, height: minSize, seed: 42 });
+    assert.ok(maze.countPassages() > 1);
+    assert.notDeepEqual({ ...maze.start }, { ...maze.exit });
+});
+
+test('the connectivity pass leaves one region', () => {
+    for (let seed = 1; seed <= 20; seed++) {
+        const { maze } = headless.generate({ algorithm: 'cellular', width: 31, height: 31, seed });
+        const { reached } = window.MazeValidator.floodFill(maze, maze.start);
+        assert.equal(reached, maze.countPassages(), `seed ${seed}`);
+    }
+});
+
+test('a cave that smooths to solid rock gets a center room instead of throwing', () => {
+    // A minOpenShare of 0 skips the usual room, and all-wall noise leaves no region at all
+    const maze = new window.MazeGrid(minSize, minSize);
+    const algorithm = new window.CellularAutomataAlgorithm(maze, { seed: 1, initialWallProbability: 1, minOpenShare: 0 });
+
+    algorithm.initialize();
+    while (!algorithm.isComplete) {
+        algorithm.step();
+    }
+
+    assert.equal(algorithm.regionCount, 1);
+    assert.ok(maze.countPassages() > 0);
+});
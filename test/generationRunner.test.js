@@ -0,0 +1,53 @@
+/**
+ * Generation Runner Tests
+ * A MAZE_GENERATION_REQUESTED event (as sent by a restored permalink) builds the requested maze
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { headless, loadWindow } = require('./helpers.js');
+
+const window = loadWindow('maze/runController.js', 'ui/generationRunner.js');
+const events = window.MazeConfig.events;
+
+/**
+ * Wait for the next emission of an event
+ * @param {string} event - Event name
+ * @returns {Promise} Resolves with the event data
+ */
+function nextEvent(event) {
+    return new Promise(resolve => window.EventBus.once(event, resolve));
+}
+
+test('a generation request builds the maze with the requested algorithm, size and seed', async () => {
+    const started = nextEvent(events.MAZE_GENERATION_START);
+    const completed = nextEvent(events.MAZE_GENERATION_COMPLETE);
+
+    window.EventBus.maze.generationRequested('kruskal', { width: 15, height: 11, seed: 42, animationSpeed: 10 });
+
+    const start = await started;
+    assert.equal(start.algorithm, 'kruskal');
+    assert.equal(start.config.seed, 42);
+
+    const { maze, stats } = await completed;
+    const expected = headless.generate({ algorithm: 'kruskal', width: 15, height: 11, seed: 42 }).maze;
+    assert.equal(maze.width, 15);
+    assert.equal(maze.height, 11);
+    assert.equal(stats.seed, 42);
+    assert.deepEqual(Array.from(maze.cells), Array.from(expected.cells));
+});
+
+test('a new request supersedes the one in progress', async () => {
+    const cancelled = nextEvent(events.MAZE_GENERATION_CANCELLED);
+
+    const first = window.GenerationRunner.generate('recursive', { width: 21, height: 21, seed: 1, animationSpeed: 1 });
+    const second = window.GenerationRunner.generate('prim', { width: 11, height: 11, seed: 2, animationSpeed: 10 });
+
+    assert.equal((await cancelled).reason, 'superseded');
+    assert.equal(await first, null);
+    assert.equal((await second).stats.algorithm, 'prim');
+});
+
+test('unknown algorithms are rejected', async () => {
+    await assert.rejects(window.GenerationRunner.generate('nope', {}), /Unknown algorithm 'nope'/);
+});
@@ -0,0 +1,72 @@
+/**
+ * Grid Tests
+ * Marker placement rules and the cached grid[y][x] view
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadWindow } = require('./helpers.js');
+
+const window = loadWindow();
+
+/**
+ * 5x5 grid with a passage along row 1
+ * @returns {MazeGrid} Grid
+ */
+function corridor() {
+    const maze = new window.MazeGrid(5, 5);
+    for (let x = 1; x < 4; x++) {
+        maze.setCell(x, 1, { wall: false, visited: true, path: true });
+    }
+    return maze;
+}
+
+test('markers move onto passages and can be cleared', () => {
+    const maze = corridor();
+
+    assert.equal(maze.setStart(1, 1), true);
+    assert.equal(maze.setStart(3, 1), true);
+    assert.deepEqual({ ...maze.start }, { x: 3, y: 1 });
+    assert.equal(maze.getCell(1, 1).start, false);
+    assert.equal(maze.getCell(3, 1).start, true);
+
+    assert.equal(maze.setStart(null), true);
+    assert.equal(maze.start, null);
+    assert.equal(maze.getCell(3, 1).start, false);
+});
+
+test('markers refuse walls and cells outside the grid and stay where they were', () => {
+    const maze = corridor();
+    maze.setExit(2, 1);
+
+    for (const [x, y] of [[0, 0], [2, 2], [-1, 1], [5, 1], [1, 5]]) {
+        assert.equal(maze.setExit(x, y), false, `(${x}, ${y})`);
+        assert.deepEqual({ ...maze.exit }, { x: 2, y: 1 });
+        assert.equal(maze.getCell(2, 1).exit, true);
+    }
+    assert.equal(maze.setStart(0, 1), false);
+    assert.equal(maze.start, null);
+});
+
+test('grid[y][x] is reused until a cell changes', () => {
+    const maze = corridor();
+    const first = maze.grid;
+
+    assert.equal(maze.grid, first);
+    assert.equal(first[1][2].wall, false);
+
+    maze.setCell(2, 1, { wall: true });
+    const second = maze.grid;
+    assert.notEqual(second, first);
+    assert.equal(second[1][2].wall, true);
+
+    // An unchanged write keeps the cache
+    maze.setCell(2, 1, { wall: true });
+    assert.equal(maze.grid, second);
+
+    maze.setCells(new Uint8Array(25));
+    assert.equal(maze.grid[0][0].wall, false);
+
+    maze.reset();
+    assert.equal(maze.grid[0][0].wall, true);
+});
@@ -0,0 +1,45 @@
+/**
+ * Test Helpers
+ * Shared sandbox for the Node tests: the headless module set plus any extra browser modules a test needs
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const headless = require('../js/headless.js');
+
+const loaded = new Set();
+
+/**
+ * Load the headless sandbox, then run extra browser modules in it
+ * @param {...string} files - Paths under js/, e.g. '3d/transform.js'
+ * @returns {Object} The sandbox's window object
+ */
+function loadWindow(...files) {
+    const window = headless.loadModules();
+    // Run ownership in the UI modules relies on AbortController, which the headless sandbox leaves out
+    window.AbortController = window.AbortController || AbortController;
+    files.forEach(file => {
+        if (loaded.has(file)) return;
+        const filename = path.join(__dirname, '..', 'js', file);
+        vm.runInContext(fs.readFileSync(filename, 'utf8'), window, { filename });
+        loaded.add(file);
+    });
+    return window;
+}
+
+/**
+ * Odd maze sizes from MazeConfig.maze.minSize to maxSize
+ * @param {Object} window - Sandbox window
+ * @returns {Array<number>} Sizes
+ */
+function oddSizes(window) {
+    const { minSize, maxSize } = window.MazeConfig.maze;
+    const sizes = [];
+    for (let size = minSize | 1; size <= maxSize; size += 2) {
+        sizes.push(size);
+    }
+    return sizes;
+}
+
+module.exports = { headless, loadWindow, oddSizes };
@@ -0,0 +1,72 @@
+/**
+ * Permalink Tests
+ * Opening a link rebuilds its maze without adding history entries; user runs still push one
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadWindow } = require('./helpers.js');
+
+const window = loadWindow('maze/runController.js', 'ui/generationRunner.js');
+const events = window.MazeConfig.events;
+
+// Just enough of a page: a location, a history that records its calls, and no control elements
+const history = [];
+window.URLSearchParams = URLSearchParams;
+window.location = { hash: '' };
+window.history = {
+    pushState: (state, title, hash) => {
+        history.push(['push', hash]);
+        window.location.hash = hash;
+    },
+    replaceState: (state, title, hash) => {
+        history.push(['replace', hash]);
+        window.location.hash = hash;
+    }
+};
+window.document = { getElementById: () => null, querySelectorAll: () => [] };
+window.addEventListener = () => {};
+loadWindow('ui/permalink.js');
+
+const permalink = window.PermalinkManager;
+
+/**
+ * Wait for the next completed generation
+ * @returns {Promise} Resolves with the event data
+ */
+function nextCompletion() {
+    return new Promise(resolve => window.EventBus.once(events.MAZE_GENERATION_COMPLETE, resolve));
+}
+
+test('restoring a non-canonical link replaces its entry instead of pushing a new one', async () => {
+    history.length = 0;
+    window.location.hash = '#s=42&w=12&h=11&sp=10';
+
+    const completed = nextCompletion();
+    permalink.restoreFromHash();
+    const { maze, stats } = await completed;
+
+    assert.equal(stats.seed, 42);
+    assert.equal(maze.width, 11);
+    assert.deepEqual(history.map(([kind]) => kind), ['replace']);
+    assert.match(window.location.hash, /s=42/);
+
+    // Back/forward onto the same entry restores again without touching history
+    history.length = 0;
+    const again = nextCompletion();
+    permalink.restoreFromHash();
+    await again;
+    assert.deepEqual(history, []);
+});
+
+test('a generation the user starts afterwards still gets its own entry', async () => {
+    history.length = 0;
+
+    const completed = nextCompletion();
+    window.GenerationRunner.generate('prim', { width: 11, height: 11, seed: 7, animationSpeed: 10 });
+    await completed;
+
+    assert.deepEqual(history.map(([kind]) => kind), ['push']);
+    assert.match(window.location.hash, /a=prim/);
+    assert.match(window.location.hash, /s=7/);
+});
@@ -0,0 +1,127 @@
+/**
+ * Serializer Tests
+ * JSON and bitfield round trips, and rejection of malformed JSON imports
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { headless, loadWindow } = require('./helpers.js');
+
+const window = loadWindow('maze/runController.js');
+const serializer = window.MazeSerializer;
+const { maze } = headless.generate({ algorithm: 'recursive', width: 15, height: 11, seed: 9 });
+
+/**
+ * A fresh copy of the generated maze's JSON, safe to corrupt
+ * @returns {Object} Serialized maze
+ */
+function sample() {
+    return JSON.parse(JSON.stringify(serializer.toJSON(maze)));
+}
+
+test('JSON round trip keeps every cell and both markers', () => {
+    const restored = serializer.fromJSON(JSON.stringify(serializer.toJSON(maze))).maze;
+
+    assert.equal(restored.width, maze.width);
+    assert.equal(restored.height, maze.height);
+    assert.deepEqual({ ...restored.start }, { ...maze.start });
+    assert.deepEqual({ ...restored.exit }, { ...maze.exit });
+    for (let y = 0; y < maze.height; y++) {
+        for (let x = 0; x < maze.width; x++) {
+            assert.equal(restored.isWall(x, y), maze.isWall(x, y), `(${x}, ${y})`);
+            assert.equal(restored.isVisited(x, y), maze.isVisited(x, y), `(${x}, ${y})`);
+        }
+    }
+});
+
+test('bitfield round trip keeps walls and both markers', () => {
+    const restored = serializer.fromBitfield(serializer.toBitfield(maze)).maze;
+
+    assert.deepEqual({ ...restored.start }, { ...maze.start });
+    assert.deepEqual({ ...restored.exit }, { ...maze.exit });
+    for (let y = 0; y < maze.height; y++) {
+        for (let x = 0; x < maze.width; x++) {
+            assert.equal(restored.isWall(x, y), maze.isWall(x, y), `(${x}, ${y})`);
+        }
+    }
+});
+
+test('rejects cell characters that are not flag digits', () => {
+    for (const char of ['x', ' ', '8', '-']) {
+        const json = sample();
+        json.cells[3] = json.cells[3].slice(0, 4) + char + json.cells[3].slice(5);
+        assert.throws(() => serializer.fromJSON(json), /row 3 has an invalid cell .* at column 4/);
+    }
+});
+
+test('rejects zero, fractional and non-numeric dimensions', () => {
+    for (const [width, height] of [[0, 11], [15, 0], [0, 0], [7.5, 11], ['15', 11]]) {
+        const json = sample();
+        json.width = width;
+        json.height = height;
+        assert.throws(() => serializer.fromJSON(json), /Maze size .* is invalid/);
+    }
+});
+
+test('rejects dimensions that disagree with the row data', () => {
+    const wide = sample();
+    wide.width += 2;
+    assert.throws(() => serializer.fromJSON(wide), /row 0 has 15 cells but a width of 17/);
+
+    const short = sample();
+    short.cells.pop();
+    assert.throws(() => serializer.fromJSON(short), /10 cell rows but a height of 11/);
+
+    const ragged = sample();
+    ragged.cells[5] += '1';
+    assert.throws(() => serializer.fromJSON(ragged), /row 5 has 16 cells/);
+});
+
+test('rejects markers outside the maze', () => {
+    for (const start of [{ x: -1, y: 1 }, { x: 15, y: 1 }, { x: 1, y: 11 }, { x: 1.5, y: 1 }, {}]) {
+        const json = sample();
+        json.start = start;
+        assert.throws(() => serializer.fromJSON(json), /Start .* is outside the 15x11 maze/);
+    }
+});
+
+test('rejects markers on walls', () => {
+    const json = sample();
+    json.exit = { x: 0, y: 0 };
+    assert.throws(() => serializer.fromJSON(json), /Exit \(0, 0\) is on a wall/);
+});
+
+test('bitfield import rejects an empty size and a marker on a wall', () => {
+    const empty = new window.MazeGrid(1, 1);
+    empty.width = 0;
+    assert.throws(() => serializer.fromBitfield(serializer.toBitfield(empty)), /Maze size 0x1 is invalid/);
+
+    // Point the start marker at the corner cell, which is always wall
+    const bytes = Buffer.from(serializer.toBitfield(maze), 'base64url');
+    bytes.writeUInt32BE(0, 6);
+    assert.throws(() => serializer.fromBitfield(bytes.toString('base64url')), /Start \(0, 0\) is on a wall/);
+});
+
+test('loading a maze cancels the generation still running', async () => {
+    const events = window.MazeConfig.events;
+    const completed = [];
+    const onCompleted = data => completed.push(data);
+    const cancelled = new Promise(resolve => window.EventBus.once(events.MAZE_GENERATION_CANCELLED, resolve));
+
+    const algorithm = new window.KruskalAlgorithm(new window.MazeGrid(31, 31), { seed: 2 });
+    const run = window.MazeRunController.run('generation', signal => algorithm.generate(null, 1, signal), { algorithm: 'kruskal' });
+
+    window.EventBus.on(events.MAZE_GENERATION_COMPLETE, onCompleted);
+    try {
+        const imported = serializer.fromJSON(sample());
+        serializer.load(imported.maze, { imported: true });
+
+        assert.equal((await cancelled).reason, 'superseded');
+        assert.equal(await run, null);
+        assert.equal(window.MazeRunController.isRunning, false);
+        assert.equal(completed.length, 1);
+        assert.equal(completed[0].maze, imported.maze);
+    } finally {
+        window.EventBus.off(events.MAZE_GENERATION_COMPLETE, onCompleted);
+    }
+});
@@ -0,0 +1,36 @@
+/**
+ * Solver Tests
+ * Every entry in MazeConfig.solvers is a runnable solver that finds the exit
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { headless, loadWindow } = require('./helpers.js');
+
+const window = loadWindow();
+
+test('every MazeConfig.solvers key names a solver class', () => {
+    Object.entries(window.MazeConfig.solvers).forEach(([id, entry]) => {
+        assert.equal(typeof entry, 'object', `${id} is not a solver entry`);
+        assert.equal(typeof window[entry.className], 'function', `${id} has no class`);
+    });
+});
+
+test('every solver reaches the exit; shortest-path solvers agree on the length', () => {
+    const { maze } = headless.generate({ algorithm: 'kruskal', width: 21, height: 21, seed: 5 });
+    const shortest = window.MazeAnalyzer.solutionPath(maze).length;
+
+    Object.entries(window.MazeConfig.solvers).forEach(([id, entry]) => {
+        const result = headless.solve(maze, { solver: id });
+        assert.ok(result.found, `${id} found no path`);
+        if (entry.guaranteesShortest) {
+            assert.equal(result.pathLength, shortest, id);
+        }
+    });
+});
+
+test('solvers fall back to the shared default heuristic', () => {
+    const maze = new window.MazeGrid(11, 11);
+    const solver = new window.AStarSolver(maze);
+    assert.equal(solver.config.heuristic, window.MazeConfig.solverDefaults.heuristic);
+});
@@ -0,0 +1,53 @@
+/**
+ * Timeline Controls Tests
+ * Playback errors are reported and end the run instead of escaping as unhandled rejections
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadWindow } = require('./helpers.js');
+
+const window = loadWindow('maze/runController.js');
+// No page here: every control element is missing, which the controls already tolerate
+window.document = { getElementById: () => null };
+loadWindow('ui/timelineControls.js');
+
+const controls = window.TimelineControls;
+const events = window.MazeConfig.events;
+
+test('an error during playback cancels the run and drops the timeline', async () => {
+    const unhandled = [];
+    const onUnhandled = reason => unhandled.push(reason);
+    process.on('unhandledRejection', onUnhandled);
+    const logged = [];
+    const consoleError = console.error;
+    console.error = (...args) => logged.push(args);
+
+    try {
+        controls.algorithmId = 'prim';
+        controls.width = 11;
+        controls.height = 11;
+        controls.speed = 10;
+        controls.start();
+        assert.equal(window.MazeRunController.kind, 'generation');
+
+        controls.timeline.stepForward = () => {
+            throw new Error('step exploded');
+        };
+        const cancelled = new Promise(resolve => window.EventBus.once(events.MAZE_GENERATION_CANCELLED, resolve));
+        controls.play();
+
+        assert.equal((await cancelled).reason, 'error');
+        await new Promise(resolve => setTimeout(resolve, 20));
+
+        assert.equal(controls.timeline, null);
+        assert.equal(controls.isPlaying, false);
+        assert.equal(window.MazeRunController.isRunning, false);
+        assert.equal(logged.length, 1);
+        assert.match(String(logged[0][1].message), /step exploded/);
+        assert.deepEqual(unhandled, []);
+    } finally {
+        console.error = consoleError;
+        process.off('unhandledRejection', onUnhandled);
+    }
+});
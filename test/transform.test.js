@@ -0,0 +1,67 @@
+/**
+ * Maze ↔ World Transform Tests
+ * Round trips between cells and world positions for every configured maze size
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadWindow, oddSizes } = require('./helpers.js');
+
+const window = loadWindow('3d/transform.js');
+const config = window.MazeConfig.threeD;
+const cellSize = config.cellSize;
+
+test('worldToMaze(mazeToWorld(x, y)) returns the same cell at every odd size', () => {
+    const utils = window.MazeUtils;
+    oddSizes(window).forEach(size => {
+        for (let y = 0; y < size; y++) {
+            for (let x = 0; x < size; x++) {
+                const world = utils.mazeToWorld(x, y, config);
+                assert.deepEqual({ ...utils.worldToMaze(world.x, world.z, config) }, { x, y }, `size ${size}, cell (${x}, ${y})`);
+            }
+        }
+    });
+});
+
+test('MazeTransform round trips cell centers and indices at every odd size', () => {
+    oddSizes(window).forEach(size => {
+        const transform = new window.MazeTransform(size, size, config);
+        for (let y = 0; y < size; y++) {
+            for (let x = 0; x < size; x++) {
+                const center = transform.cellCenter(x, y);
+                assert.deepEqual({ ...transform.worldToCell(center.x, center.z) }, { x, y }, `size ${size}, cell (${x}, ${y})`);
+                assert.deepEqual({ ...transform.indexCenter(y * size + x) }, { ...center });
+                assert.ok(transform.contains(x, y));
+            }
+        }
+        assert.ok(!transform.contains(-1, 0));
+        assert.ok(!transform.contains(size, 0));
+        assert.ok(!transform.contains(0, size));
+    });
+});
+
+test('cell centers sit at (x + 0.5) * cellSize', () => {
+    const transform = new window.MazeTransform(11, 11, config);
+    assert.deepEqual({ ...window.MazeUtils.mazeToWorld(0, 0, config) }, { x: cellSize / 2, z: cellSize / 2 });
+    assert.deepEqual({ ...transform.cellCenter(3, 7) }, { x: 3.5 * cellSize, z: 7.5 * cellSize });
+});
+
+test('the maze starts at the world origin and spans size * cellSize', () => {
+    oddSizes(window).forEach(size => {
+        const transform = new window.MazeTransform(size, size, config);
+        const first = transform.cellBounds(0, 0);
+        const last = transform.cellBounds(size - 1, size - 1);
+
+        assert.equal(first.minX, 0);
+        assert.equal(first.minZ, 0);
+        assert.equal(last.maxX, size * cellSize);
+        assert.equal(last.maxZ, size * cellSize);
+        assert.deepEqual({ ...transform.getSize() }, { width: size * cellSize, depth: size * cellSize });
+        assert.deepEqual({ ...transform.getCenter() }, { x: size * cellSize / 2, y: 0, z: size * cellSize / 2 });
+
+        // Cell edges belong to the cell on their positive side
+        assert.deepEqual({ ...transform.worldToCell(0, 0) }, { x: 0, y: 0 });
+        assert.deepEqual({ ...transform.worldToCell(-0.001, 0) }, { x: -1, y: 0 });
+        assert.ok(!transform.contains(...Object.values(transform.worldToCell(size * cellSize, 0))));
+    });
+});
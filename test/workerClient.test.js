@@ -0,0 +1,60 @@
+/**
+ * Worker Client Tests
+ * Worker mode through GenerationRunner, and cancellation of worker jobs
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Worker } = require('worker_threads');
+const { headless, loadWindow } = require('./helpers.js');
+
+const window = loadWindow('maze/runController.js', 'ui/generationRunner.js');
+const events = window.MazeConfig.events;
+const runner = window.GenerationRunner;
+
+test.before(() => {
+    // Turn worker mode on; the runner uses a worker_threads client instead of a browser Worker
+    window.Worker = Worker;
+    window.MazeConfig.performance.useWorker = true;
+    runner.workerClient = headless.createWorkerClient();
+});
+
+test.after(() => {
+    runner.workerClient.terminate();
+    window.MazeConfig.performance.useWorker = false;
+    delete window.Worker;
+});
+
+test('with useWorker on, the runner builds the maze in the worker', async () => {
+    const started = new Promise(resolve => window.EventBus.once(events.MAZE_GENERATION_START, resolve));
+
+    const { maze, stats } = await runner.generate('wilson', { width: 21, height: 21, seed: 12 });
+
+    assert.equal((await started).config.worker, true);
+    assert.equal(stats.seed, 12);
+    const expected = headless.generate({ algorithm: 'wilson', width: 21, height: 21, seed: 12 }).maze;
+    assert.deepEqual(Array.from(maze.cells), Array.from(expected.cells));
+});
+
+test('aborting a worker generation emits the cancelled event with the abort reason', async () => {
+    const cancelled = new Promise(resolve => window.EventBus.once(events.MAZE_GENERATION_CANCELLED, resolve));
+
+    const run = runner.generate('recursive', { width: 101, height: 101, seed: 4 });
+    window.EventBus.maze.reset();
+
+    assert.equal(await run, null);
+    const { reason, info } = await cancelled;
+    assert.equal(reason, 'reset');
+    assert.equal(info.algorithm, 'recursive');
+    assert.equal(info.seed, 4);
+    assert.equal(info.worker, true);
+});
+
+test('a worker job whose signal is already aborted is announced and rejected', async () => {
+    const controller = new window.AbortController();
+    controller.abort('superseded');
+    const cancelled = new Promise(resolve => window.EventBus.once(events.MAZE_GENERATION_CANCELLED, resolve));
+
+    await assert.rejects(runner.workerClient.generate({ algorithm: 'prim', seed: 1 }, controller.signal), { name: 'AbortError' });
+    assert.equal((await cancelled).reason, 'superseded');
+});